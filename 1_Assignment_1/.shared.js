@@ -82,14 +82,48 @@ WebGLUtils = ( function () {
     '<a href="http://get.webgl.org/troubleshooting/">Click here for more information.</a>';
 
   /**
-   * Creates a webgl context. If creation fails, it will
-   * change the contents of the parent container of the <canvas>
-   * tag to an error message with the correct links for WebGL.
+   * Returns a message saying the page needs a newer WebGL version than the
+   * browser or computer supports.
+   * @param  { number } version. The WebGL version the page needs.
+   * @return { string } The message.
+   */
+  var versionProblem = function (version) {
+    return (
+      "This page requires WebGL " + version + ", which this browser or computer does not support.<br/>" +
+      '<a href="http://get.webgl.org/webgl2/">Click here for more information.</a>'
+    );
+  };
+
+  /**
+   * Returns a message saying the page needs WebGL features the browser or
+   * computer does not support.
+   * @param  { string[] } names. The names of the missing capabilities.
+   * @return { string } The message.
+   */
+  var capabilityProblem = function (names) {
+    return (
+      "This page requires WebGL features this browser or computer does not support: " +
+      names.join(", ") + "."
+    );
+  };
+
+  /**
+   * Creates a webgl context, using WebGL 2 if it is available and WebGL 1
+   * otherwise. If creation fails, it will change the contents of the parent
+   * container of the <canvas> tag to an error message with the correct links
+   * for WebGL. The capabilities of the new context are saved in
+   * WebGLUtils.capabilities; see getCapabilities().
    * @param  { WebGLContextCreationAttributes } opt_attribs. Any creation
    *                                            attributes you want to pass in.
-   * @return { WebGLRenderingContext } The created context.
+   * @param  { number } minimumVersion. The lowest WebGL version the page can
+   *                    use, 1 or 2. Defaults to 1.
+   * @param  { string[] } requiredCapabilities. The names of capabilities the
+   *                      page cannot run without, such as "instancing".
+   *                      Optional.
+   * @return { WebGLRenderingContext | WebGL2RenderingContext } The created
+   *         context, or null if no suitable context could be created.
    */
-  var setupWebGL = function (opt_attribs) {
+  var setupWebGL = function (opt_attribs, minimumVersion = 1, requiredCapabilities = []) {
 
     // Get the canvas from the DOM.
     const canvas = document.getElementById(globalCanvasID);
@@ -102,31 +136,53 @@ WebGLUtils = ( function () {
     }
 
     // Create a webgl context.
-    var context = create3DContext(opt_attribs);
+    var context = create3DContext(opt_attribs, minimumVersion);
 
     // If the context was not created, display an error message.
     if (!context) {
-      showErrorText(HARDWARE_PROBLEM);
+      showErrorText(minimumVersion > 1 ? versionProblem(minimumVersion) : HARDWARE_PROBLEM);
+      return null;
+    }
+
+    // Track the context, so it can be put back if the GPU resets.
+    trackContext(context);
+
+    // Describe the context, and refuse it if the page needs something it lacks.
+    utilities.capabilities = getCapabilities(context);
+
+    var missing = requiredCapabilities.filter(function (name) {
+      return !utilities.capabilities[name];
+    });
+
+    if (missing.length > 0) {
+      showErrorText(capabilityProblem(missing));
+      return null;
     }
 
-    // Return the created context. If it was not successfully created, this
-    // will be null.
+    // Return the created context.
     return context;
   };
 
   /**
-   * Creates a 3D webgl context.
+   * Creates a 3D webgl context, trying WebGL 2 first.
    * @param  { WebGLContextCreationAttributes } opt_attribs. Any creation
    *                                            attributes you want to pass in.
+   * @param  { number } minimumVersion. The lowest WebGL version to accept, 1
+   *                    or 2. Defaults to 1.
    * @return { !WebGLContext } The created context.
    */
-  var create3DContext = function (opt_attribs) {
+  var create3DContext = function (opt_attribs, minimumVersion = 1) {
 
     // Get the canvas from the DOM.
     const canvas = document.getElementById(globalCanvasID);
 
-    // An array of possible WebGL context names across different browsers.
-    var names = ["webgl", "experimental-webgl", "webkit-3d", "moz-webgl"];
+    // An array of possible WebGL context names across different browsers, best
+    // first. Only "webgl2" gives a WebGL 2 context.
+    var names = ["webgl2", "webgl", "experimental-webgl", "webkit-3d", "moz-webgl"];
+
+    if (minimumVersion > 1) {
+      names = ["webgl2"];
+    }
 
     // The context to be returned. Starts as null.
     var context = null;
@@ -152,12 +208,69 @@ WebGLUtils = ( function () {
     return context;
   };
 
+  /**
+   * Describes what a context can do, so demos can branch on it. Asking for an
+   * extension turns it on, so a WebGL 1 context gets every feature listed here
+   * that it supports.
+   * @param  { WebGLRenderingContext | WebGL2RenderingContext } gl. The context.
+   * @return { object } An object with the WebGL version (1 or 2), the
+   *         maxTextureSize, maxVertexAttribs, and maxTextureUnits limits, the
+   *         floatTextures, floatLinearFiltering, floatRenderTargets,
+   *         instancing, and vertexArrayObjects flags, and the extensions that
+   *         were turned on (such as ANGLE_instanced_arrays, whose methods WebGL
+   *         1 needs for instancing), by name.
+   */
+  var getCapabilities = function (gl) {
+    var webgl2 =
+      typeof WebGL2RenderingContext !== "undefined" &&
+      gl instanceof WebGL2RenderingContext;
+
+    // WebGL 2 has instancing, vertex array objects, and float textures built in.
+    var names = webgl2
+      ? ["EXT_color_buffer_float", "OES_texture_float_linear"]
+      : [
+          "OES_texture_float",
+          "OES_texture_float_linear",
+          "WEBGL_color_buffer_float",
+          "ANGLE_instanced_arrays",
+          "OES_vertex_array_object",
+        ];
+
+    var extensions = {};
+    for (var i = 0; i < names.length; ++i) {
+      var extension = gl.getExtension(names[i]);
+      if (extension) {
+        extensions[names[i]] = extension;
+      }
+    }
+
+    return {
+      version: webgl2 ? 2 : 1,
+      maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      maxVertexAttribs: gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+      maxTextureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+      floatTextures: webgl2 || !!extensions.OES_texture_float,
+      floatLinearFiltering: !!extensions.OES_texture_float_linear,
+      floatRenderTargets: !!(
+        extensions.EXT_color_buffer_float || extensions.WEBGL_color_buffer_float
+      ),
+      instancing: webgl2 || !!extensions.ANGLE_instanced_arrays,
+      vertexArrayObjects: webgl2 || !!extensions.OES_vertex_array_object,
+      extensions: extensions,
+    };
+  };
+
   // End of setupWebGL.
-  return {
+  var utilities = {
     create3DContext: create3DContext,
     setupWebGL: setupWebGL,
+    getCapabilities: getCapabilities,
+    // The capabilities of the context last made by setupWebGL(), or null.
+    capabilities: null,
   };
 
+  return utilities;
+
 }) (); // End of WebGLUtils.
 
 /**
@@ -214,9 +327,12 @@ window.requestAnimFrame = ( function () {
  * @param  { WebGLRenderingContext } gl - The WebGL rendering context.
  * @param  { string } vertexShaderId - The id of the vertex shader.
  * @param  { string } fragmentShaderId - The id of the fragment shader.
+ * @param  { string } sharedSource - GLSL code to include in both shaders,
+ *                    such as the text of a <script> element holding
+ *                    functions both use. Optional.
  * @return { WebGLProgram } - The WebGL program.
  */
-function initShaders(gl, vertexShaderId, fragmentShaderId) {
+function initShaders(gl, vertexShaderId, fragmentShaderId, sharedSource) {
 
   var vertexShader;
   var fragmentShader;
@@ -240,7 +356,10 @@ function initShaders(gl, vertexShaderId, fragmentShaderId) {
 
     // Set the source code of the vertex shader to the text of the vertex
     // element.
-    gl.shaderSource(vertexShader, vertexElement.text);
+    gl.shaderSource(
+      vertexShader,
+      insertShaderSource(vertexElement.text, sharedSource)
+    );
 
     // Compile the vertex shader.
     gl.compileShader(vertexShader);
@@ -277,7 +396,10 @@ function initShaders(gl, vertexShaderId, fragmentShaderId) {
 
     // Set the source code of the fragment shader to the text of the fragment
     // element.
-    gl.shaderSource(fragmentShader, fragElem.text);
+    gl.shaderSource(
+      fragmentShader,
+      insertShaderSource(fragElem.text, sharedSource)
+    );
 
     // Compile the fragment shader.
     gl.compileShader(fragmentShader);
@@ -322,6 +444,810 @@ function initShaders(gl, vertexShaderId, fragmentShaderId) {
   return program;
 }
 
+/**
+ * This function inserts shared GLSL code into a shader's source. The code
+ * goes after any #version, #extension, and precision lines, so it is compiled
+ * with the shader's own precision.
+ * @param  { string } source - The shader's source.
+ * @param  { string } sharedSource - The code to insert. Optional.
+ * @return { string } - The combined source.
+ */
+function insertShaderSource(source, sharedSource) {
+  if (!sharedSource) {
+    return source;
+  }
+
+  var lines = source.split("\n");
+  var insertAt = 0;
+
+  for (var i = 0; i < lines.length; i++) {
+    if (/^\s*(#version|#extension|precision)\b/.test(lines[i])) {
+      insertAt = i + 1;
+    }
+  }
+
+  lines.splice(insertAt, 0, sharedSource);
+  return lines.join("\n");
+}
+
+/* ############################################################
+   ####################### CONTEXT LOSS #######################
+   ############################################################ */
+
+// The browser can take the GPU away from a page at any time (when a driver
+// resets, or too many pages use WebGL), which clears everything the page gave
+// it. These functions put it all back when the context is restored.
+
+// What is tracked about the context made by setupWebGL(). See trackContext().
+var contextTracker = null;
+
+/**
+ * This function starts tracking a context so it can survive a context loss.
+ * setupWebGL() calls it for the context it creates. It wraps the context's
+ * methods so that buffers, textures, shaders, programs, and uniform locations
+ * made through it are remembered along with their data, and so is the state
+ * set on it (enabled capabilities, the viewport, clear color, blending,
+ * bindings, vertex attributes, and uniform values).
+ *
+ * When the context is lost, the render loop is paused: frames requested with
+ * requestAnimFrame() wait until the context is back. When it is restored,
+ * everything tracked is recreated and put back, and the handles the page
+ * already holds keep working. Framebuffers, renderbuffers, and vertex array
+ * objects are not tracked, nor are 3D and array textures (texImage3D(),
+ * texStorage3D()) or images copied with copyTexImage2D(); recreate those in an
+ * onContextRestored() callback.
+ * @param  { WebGLRenderingContext } gl - The context to track.
+ * @return { void }
+ */
+function trackContext(gl) {
+  const tracker = {
+    gl: gl,
+    lost: false,
+    // The real methods of the context, before wrapping.
+    originals: {},
+    // Each handle the page holds, mapped to the object it stands for now.
+    handles: new Map(),
+    // What is needed to recreate each handle, in the order they were made.
+    resources: new Map(),
+    // The latest call of each kind that sets state, keyed by what it sets.
+    state: new Map(),
+    // The latest value of each uniform location.
+    uniforms: new Map(),
+    // The pointer, enabled flag, and constant value of each vertex attribute.
+    attributes: new Map(),
+    // Bound buffers by target, bound textures by unit and target.
+    bindings: new Map(),
+    activeTexture: gl.TEXTURE0,
+    program: null,
+    lostCallbacks: [],
+    restoredCallbacks: [],
+    // Frames requested while the context was lost.
+    pausedFrames: [],
+    loseContextExtension: gl.getExtension("WEBGL_lose_context"),
+  };
+
+  contextTracker = tracker;
+
+  const recorders = contextRecorders(tracker);
+
+  // Wrap every method so it is called with the objects the handles stand for
+  // now, and is recorded if it creates something or sets state.
+  for (const name in gl) {
+    if (typeof gl[name] !== "function") {
+      continue;
+    }
+
+    const original = gl[name];
+    const recorder = recorders[name];
+    tracker.originals[name] = original;
+
+    gl[name] = function () {
+      const args = Array.prototype.slice.call(arguments);
+
+      for (var i = 0; i < args.length; ++i) {
+        if (args[i] && typeof args[i] === "object" && tracker.handles.has(args[i])) {
+          args[i] = tracker.handles.get(args[i]);
+        }
+      }
+
+      const result = original.apply(gl, args);
+
+      if (recorder) {
+        recorder(arguments, result);
+      }
+
+      return result;
+    };
+  }
+
+  gl.canvas.addEventListener("webglcontextlost", (event) => {
+    // Without this the browser never restores the context.
+    event.preventDefault();
+
+    tracker.lost = true;
+    tracker.lostCallbacks.forEach((callback) => callback(gl));
+  });
+
+  gl.canvas.addEventListener("webglcontextrestored", () => {
+    restoreTrackedContext();
+  });
+
+  // Hold back frames while the context is lost, which pauses the render loop.
+  const requestFrame = window.requestAnimFrame;
+  window.requestAnimFrame = function (callback, element) {
+    if (tracker.lost) {
+      tracker.pausedFrames.push(callback);
+      return;
+    }
+
+    return requestFrame(callback, element);
+  };
+  tracker.requestFrame = requestFrame;
+}
+
+/**
+ * This function builds the functions that record calls on a tracked context,
+ * one per context method that creates something or sets state. Each is called
+ * with the arguments the page passed (handles, not the objects they stand
+ * for) and the method's result.
+ * @param  { object } tracker - The tracker from trackContext().
+ * @return { object } - The recorders, by method name.
+ */
+function contextRecorders(tracker) {
+  const gl = tracker.gl;
+
+  // Views are copied, since the page may change them after the call.
+  const copy = (value) =>
+    ArrayBuffer.isView(value) ? value.slice() : Array.isArray(value) ? value.slice() : value;
+  const copyArgs = (args) => Array.prototype.map.call(args, copy);
+
+  const create = (kind) => (args, result) => {
+    if (result) {
+      tracker.handles.set(result, result);
+      tracker.resources.set(result, { kind: kind, args: copyArgs(args) });
+    }
+  };
+
+  const remove = (args) => {
+    tracker.handles.delete(args[0]);
+    tracker.resources.delete(args[0]);
+  };
+
+  const setState = (key, name, args) => {
+    tracker.state.delete(key);
+    tracker.state.set(key, { name: name, args: copyArgs(args) });
+  };
+
+  const recorders = {
+    createBuffer: create("buffer"),
+    createTexture: create("texture"),
+    createShader: create("shader"),
+    createProgram: create("program"),
+    deleteBuffer: remove,
+    deleteTexture: remove,
+    deleteShader: remove,
+    deleteProgram: (args) => {
+      // Its uniform locations and their values go with it.
+      tracker.resources.forEach((resource, handle) => {
+        if (resource.kind === "uniform" && resource.program === args[0]) {
+          tracker.handles.delete(handle);
+          tracker.resources.delete(handle);
+          tracker.uniforms.delete(handle);
+        }
+      });
+      // It can't be put back in use once the context is restored.
+      if (tracker.program === args[0]) {
+        tracker.program = null;
+      }
+      remove(args);
+    },
+
+    getUniformLocation: (args, result) => {
+      if (result) {
+        tracker.handles.set(result, result);
+        tracker.resources.set(result, { kind: "uniform", program: args[0], name: args[1] });
+      }
+    },
+
+    bindBuffer: (args) => {
+      tracker.bindings.set(args[0], args[1]);
+    },
+    bufferData: (args) => {
+      const buffer = tracker.resources.get(tracker.bindings.get(args[0]));
+      if (buffer) {
+        buffer.data = [copyArgs(args)];
+      }
+    },
+    bufferSubData: (args) => {
+      const buffer = tracker.resources.get(tracker.bindings.get(args[0]));
+      if (buffer && buffer.data) {
+        buffer.data.push(copyArgs(args));
+      }
+    },
+
+    activeTexture: (args) => {
+      tracker.activeTexture = args[0];
+    },
+    bindTexture: (args) => {
+      tracker.bindings.set(tracker.activeTexture + ":" + args[0], args[1]);
+    },
+    texParameteri: (args) => {
+      const texture = boundTexture(args[0]);
+      if (texture) {
+        texture.parameters.set(args[1], { name: "texParameteri", args: copyArgs(args) });
+      }
+    },
+    texParameterf: (args) => {
+      const texture = boundTexture(args[0]);
+      if (texture) {
+        texture.parameters.set(args[1], { name: "texParameterf", args: copyArgs(args) });
+      }
+    },
+
+    useProgram: (args) => {
+      tracker.program = args[0];
+    },
+    shaderSource: (args) => {
+      const shader = tracker.resources.get(args[0]);
+      if (shader) {
+        shader.source = args[1];
+      }
+    },
+    attachShader: (args) => {
+      const program = tracker.resources.get(args[0]);
+      if (program) {
+        program.shaders = (program.shaders || []).concat([args[1]]);
+      }
+    },
+    detachShader: (args) => {
+      const program = tracker.resources.get(args[0]);
+      if (program && program.shaders) {
+        program.shaders = program.shaders.filter((shader) => shader !== args[1]);
+      }
+    },
+    bindAttribLocation: (args) => {
+      const program = tracker.resources.get(args[0]);
+      if (program) {
+        program.attributes = program.attributes || new Map();
+        program.attributes.set(args[2], args[1]);
+      }
+    },
+    linkProgram: (args) => {
+      // Keep the sources, since shaders are often deleted once linked.
+      const program = tracker.resources.get(args[0]);
+      if (program) {
+        program.linked = (program.shaders || [])
+          .map((handle) => tracker.resources.get(handle))
+          .filter((shader) => shader)
+          .map((shader) => ({ type: shader.args[0], source: shader.source }));
+      }
+    },
+
+    vertexAttribPointer: (args) => {
+      vertexAttribute(args[0]).pointer = {
+        buffer: tracker.bindings.get(gl.ARRAY_BUFFER),
+        args: copyArgs(args),
+      };
+    },
+    enableVertexAttribArray: (args) => {
+      vertexAttribute(args[0]).enabled = true;
+    },
+    disableVertexAttribArray: (args) => {
+      vertexAttribute(args[0]).enabled = false;
+    },
+
+    enable: (args) => setState("capability:" + args[0], "enable", args),
+    disable: (args) => setState("capability:" + args[0], "disable", args),
+    pixelStorei: (args) => setState("pixelStorei:" + args[0], "pixelStorei", args),
+  };
+
+  // Texture uploads. A new image for a level replaces the uploads made to it before.
+  ["texImage2D", "texSubImage2D", "compressedTexImage2D", "texStorage2D", "generateMipmap"].forEach((name) => {
+    recorders[name] = (args) => {
+      const texture = boundTexture(args[0]);
+      if (!texture) {
+        return;
+      }
+
+      const level = name === "generateMipmap" ? "mipmap" : name === "texStorage2D" ? "storage" : args[1];
+      if (name !== "texSubImage2D") {
+        texture.uploads = texture.uploads.filter((upload) => upload.level !== level);
+      }
+
+      texture.uploads.push({
+        name: name,
+        level: level,
+        args: copyArgs(args),
+        // Uploads depend on the pixel storage settings, such as flipping.
+        pixelStore: Array.from(tracker.state.values()).filter((call) => call.name === "pixelStorei"),
+      });
+    };
+  });
+
+  // Constant vertex attribute values.
+  ["vertexAttrib1f", "vertexAttrib2f", "vertexAttrib3f", "vertexAttrib4f",
+   "vertexAttrib1fv", "vertexAttrib2fv", "vertexAttrib3fv", "vertexAttrib4fv"].forEach((name) => {
+    recorders[name] = (args) => {
+      vertexAttribute(args[0]).value = { name: name, args: copyArgs(args) };
+    };
+  });
+
+  // Uniform values, which belong to the program the location came from.
+  for (const name in gl) {
+    if (/^uniform([1-4](f|i|ui)v?|Matrix[2-4](x[2-4])?fv)$/.test(name)) {
+      recorders[name] = (args) => {
+        if (args[0]) {
+          tracker.uniforms.set(args[0], { name: name, args: copyArgs(args) });
+        }
+      };
+    }
+  }
+
+  // Setters whose latest call is all that matters. Setters that set the same
+  // thing (such as blendFunc and blendFuncSeparate) share a key.
+  const setters = {
+    viewport: "viewport", scissor: "scissor", clearColor: "clearColor",
+    clearDepth: "clearDepth", clearStencil: "clearStencil", colorMask: "colorMask",
+    depthFunc: "depthFunc", depthMask: "depthMask", depthRange: "depthRange",
+    blendColor: "blendColor", blendFunc: "blendFunc", blendFuncSeparate: "blendFunc",
+    blendEquation: "blendEquation", blendEquationSeparate: "blendEquation",
+    cullFace: "cullFace", frontFace: "frontFace", lineWidth: "lineWidth",
+    polygonOffset: "polygonOffset", sampleCoverage: "sampleCoverage",
+    stencilFunc: "stencilFunc", stencilMask: "stencilMask", stencilOp: "stencilOp",
+  };
+
+  for (const name in setters) {
+    recorders[name] = (args) => setState(setters[name], name, args);
+  }
+
+  return recorders;
+}
+
+/**
+ * This function returns what is tracked about the texture bound to a target
+ * on the active texture unit.
+ * @param  { number } target - The texture target, such as gl.TEXTURE_2D or
+ *                    a cube map face.
+ * @return { object } - The tracked texture, or undefined if none is bound.
+ */
+function boundTexture(target) {
+  const tracker = contextTracker;
+  const gl = tracker.gl;
+
+  // Cube map faces are uploaded to through the cube map binding.
+  if (target !== gl.TEXTURE_2D && target !== gl.TEXTURE_CUBE_MAP &&
+      target >= gl.TEXTURE_CUBE_MAP_POSITIVE_X && target <= gl.TEXTURE_CUBE_MAP_NEGATIVE_Z) {
+    target = gl.TEXTURE_CUBE_MAP;
+  }
+
+  const texture = tracker.resources.get(tracker.bindings.get(tracker.activeTexture + ":" + target));
+  if (texture && !texture.uploads) {
+    texture.uploads = [];
+    texture.parameters = new Map();
+  }
+
+  return texture;
+}
+
+/**
+ * This function returns what is tracked about a vertex attribute, starting
+ * a new record for it if there is none.
+ * @param  { number } index - The attribute location.
+ * @return { object } - The tracked attribute.
+ */
+function vertexAttribute(index) {
+  const attributes = contextTracker.attributes;
+
+  if (!attributes.has(index)) {
+    attributes.set(index, { enabled: false, pointer: null, value: null });
+  }
+
+  return attributes.get(index);
+}
+
+/**
+ * This function recreates everything tracked on a restored context, points
+ * the page's handles at the new objects, calls the onContextRestored()
+ * callbacks, and restarts the render loop.
+ * @return { void }
+ */
+function restoreTrackedContext() {
+  const tracker = contextTracker;
+  const gl = tracker.gl;
+
+  // Call a real method with the current objects, without recording it.
+  const call = (name, args) => {
+    args = Array.prototype.map.call(args, (arg) =>
+      arg && typeof arg === "object" && tracker.handles.has(arg) ? tracker.handles.get(arg) : arg
+    );
+    return tracker.originals[name].apply(gl, args);
+  };
+
+  // Shaders and programs first, since uniform locations come from programs.
+  const kinds = ["shader", "program", "uniform", "buffer", "texture"];
+
+  kinds.forEach((kind) => {
+    tracker.resources.forEach((resource, handle) => {
+      if (resource.kind !== kind) {
+        return;
+      }
+
+      if (kind === "shader") {
+        tracker.handles.set(handle, call("createShader", resource.args));
+        if (resource.source !== undefined) {
+          call("shaderSource", [handle, resource.source]);
+          call("compileShader", [handle]);
+        }
+      } else if (kind === "program") {
+        tracker.handles.set(handle, call("createProgram", []));
+        relinkProgram(handle, resource, call);
+      } else if (kind === "uniform") {
+        tracker.handles.set(handle, call("getUniformLocation", [resource.program, resource.name]));
+      } else if (kind === "buffer") {
+        tracker.handles.set(handle, call("createBuffer", []));
+        (resource.data || []).forEach((args, i) => {
+          call("bindBuffer", [args[0], handle]);
+          call(i === 0 ? "bufferData" : "bufferSubData", args);
+        });
+      } else {
+        tracker.handles.set(handle, call("createTexture", []));
+        restoreTexture(handle, resource, call);
+      }
+    });
+  });
+
+  // Simple state, in the order it was last set.
+  tracker.state.forEach((setting) => call(setting.name, setting.args));
+
+  // Uniform values, each set while its own program is in use.
+  tracker.uniforms.forEach((uniform, location) => {
+    const resource = tracker.resources.get(location);
+    if (resource) {
+      call("useProgram", [resource.program]);
+      call(uniform.name, uniform.args);
+    }
+  });
+
+  tracker.attributes.forEach((attribute, index) => {
+    if (attribute.pointer) {
+      call("bindBuffer", [gl.ARRAY_BUFFER, attribute.pointer.buffer]);
+      call("vertexAttribPointer", attribute.pointer.args);
+    }
+    if (attribute.value) {
+      call(attribute.value.name, attribute.value.args);
+    }
+    call(attribute.enabled ? "enableVertexAttribArray" : "disableVertexAttribArray", [index]);
+  });
+
+  // Bindings last, since recreating things above changed them.
+  tracker.bindings.forEach((handle, key) => {
+    if (typeof key === "number") {
+      call("bindBuffer", [key, handle]);
+    } else {
+      const [unit, target] = key.split(":").map(Number);
+      call("activeTexture", [unit]);
+      call("bindTexture", [target, handle]);
+    }
+  });
+  call("activeTexture", [tracker.activeTexture]);
+  call("useProgram", [tracker.program]);
+
+  // Extensions have to be asked for again.
+  WebGLUtils.capabilities = WebGLUtils.getCapabilities(gl);
+
+  tracker.lost = false;
+  tracker.restoredCallbacks.forEach((callback) => callback(gl));
+
+  // Restart the render loop.
+  const frames = tracker.pausedFrames;
+  tracker.pausedFrames = [];
+  frames.forEach((callback) => tracker.requestFrame(callback));
+}
+
+/**
+ * This function rebuilds a program on a restored context from the shader
+ * sources it was last linked with.
+ * @param  { WebGLProgram } handle - The program's handle.
+ * @param  { object } resource - What is tracked about the program.
+ * @param  { function } call - Calls a real context method.
+ * @return { void }
+ */
+function relinkProgram(handle, resource, call) {
+  if (!resource.linked) {
+    return;
+  }
+
+  const shaders = resource.linked.map((linked) => {
+    const shader = call("createShader", [linked.type]);
+    call("shaderSource", [shader, linked.source]);
+    call("compileShader", [shader]);
+    call("attachShader", [handle, shader]);
+    return shader;
+  });
+
+  (resource.attributes || new Map()).forEach((index, name) => {
+    call("bindAttribLocation", [handle, index, name]);
+  });
+
+  call("linkProgram", [handle]);
+
+  shaders.forEach((shader) => {
+    call("detachShader", [handle, shader]);
+    call("deleteShader", [shader]);
+  });
+}
+
+/**
+ * This function uploads a texture's images again on a restored context and
+ * sets its parameters.
+ * @param  { WebGLTexture } handle - The texture's handle.
+ * @param  { object } resource - What is tracked about the texture.
+ * @param  { function } call - Calls a real context method.
+ * @return { void }
+ */
+function restoreTexture(handle, resource, call) {
+  if (!resource.uploads) {
+    return;
+  }
+
+  const gl = contextTracker.gl;
+  const target = resource.uploads.length > 0 && resource.uploads[0].args[0] !== gl.TEXTURE_2D
+    ? gl.TEXTURE_CUBE_MAP
+    : gl.TEXTURE_2D;
+
+  call("bindTexture", [target, handle]);
+
+  resource.uploads.forEach((upload) => {
+    upload.pixelStore.forEach((setting) => call(setting.name, setting.args));
+    call(upload.name, upload.args);
+  });
+
+  resource.parameters.forEach((parameter) => call(parameter.name, parameter.args));
+}
+
+/**
+ * This function returns the object a handle stands for on the current
+ * context. Handles made by a tracked context keep working after the context
+ * is restored, so this is only needed to pass a handle to code that calls
+ * the browser's WebGL functions some other way.
+ * @param  { object } handle - A buffer, texture, shader, program, or uniform
+ *                    location made by the tracked context.
+ * @return { object } - The object the handle stands for now.
+ */
+function resolve(handle) {
+  const tracker = contextTracker;
+
+  return tracker && tracker.handles.has(handle) ? tracker.handles.get(handle) : handle;
+}
+
+/**
+ * This function registers a function to call when the context is lost.
+ * @param  { function } callback - Called with the context.
+ * @return { void }
+ */
+function onContextLost(callback) {
+  contextTracker.lostCallbacks.push(callback);
+}
+
+/**
+ * This function registers a function to call once the context has been
+ * restored and everything tracked has been recreated. Use it to redraw a
+ * scene that is not drawn every frame, or to recreate anything that is not
+ * tracked.
+ * @param  { function } callback - Called with the context.
+ * @return { void }
+ */
+function onContextRestored(callback) {
+  contextTracker.restoredCallbacks.push(callback);
+}
+
+/**
+ * This function returns whether the tracked context is currently lost.
+ * @return { boolean } - True while the context is lost.
+ */
+function isContextLost() {
+  return !!contextTracker && contextTracker.lost;
+}
+
+/**
+ * This function loses the context on purpose, and by default restores it
+ * again a second later, to test how a page handles losing the GPU. It uses
+ * the WEBGL_lose_context extension.
+ * @param  { number } restoreAfter - Milliseconds to wait before restoring
+ *                    the context. Negative to leave it lost. Defaults to
+ *                    1000.
+ * @return { void }
+ */
+function simulateContextLoss(restoreAfter = 1000) {
+  const extension = contextTracker && contextTracker.loseContextExtension;
+
+  if (!extension) {
+    console.error("WebGL", "simulateContextLoss(): WEBGL_lose_context isn't available.");
+    return;
+  }
+
+  extension.loseContext();
+
+  if (restoreAfter >= 0) {
+    setTimeout(() => extension.restoreContext(), restoreAfter);
+  }
+}
+
+/* ############################################################
+   ###################### RANDOM NUMBERS ######################
+   ############################################################ */
+
+// Every random value on the page comes from one seeded generator, so a scene
+// can be drawn again by opening the page with the same ?seed= in its URL.
+
+// The seed the generator was started from, and its current state.
+var randomSeed;
+var randomState;
+
+/**
+ * This function reads the random seed from the page URL's seed parameter
+ * (for example circle10.html?seed=1234).
+ * @return { string } - The seed, or null if the URL does not have one.
+ */
+function randomSeedFromURL() {
+  if (typeof window === "undefined" || !window.location) {
+    return null;
+  }
+
+  return new URLSearchParams(window.location.search).get("seed");
+}
+
+/**
+ * This function turns a seed into the 32-bit starting state of the random
+ * number generator. Whole numbers are used as they are, and any other seed
+ * (such as a word) is hashed.
+ * @param  { number | string } seed - The seed.
+ * @return { number } - The 32-bit state.
+ */
+function hashRandomSeed(seed) {
+  var text = String(seed);
+
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash of the characters.
+  var hash = 2166136261;
+  for (var i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * This function restarts the random number generator from a seed, so the
+ * same seed always gives the same sequence of random values. Without a seed,
+ * a new one is picked (and can be read back with getRandomSeed()).
+ * @param  { number | string } seed - The seed. Optional.
+ * @return { number | string } - The seed in use.
+ */
+function setRandomSeed(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    seed = Math.floor(Math.random() * 4294967296);
+  }
+
+  randomSeed = seed;
+  randomState = hashRandomSeed(seed);
+  showRandomSeed();
+
+  return seed;
+}
+
+/**
+ * This function returns the seed the random number generator was last
+ * started from.
+ * @return { number | string } - The seed.
+ */
+function getRandomSeed() {
+  return randomSeed;
+}
+
+/**
+ * This function shows the random seed in the element with the given ID, if
+ * the page has one. If the element is a link, it is pointed at this page with
+ * the seed in the URL, so opening it draws the same scene again.
+ * @param  { string } elementId - The ID of the element. Defaults to
+ *                    "random-seed".
+ * @return { void }
+ */
+function showRandomSeed(elementId = "random-seed") {
+  if (typeof document === "undefined") {
+    return;
+  }
+
+  const element = document.getElementById(elementId);
+
+  if (!element) {
+    return;
+  }
+
+  element.textContent = String(randomSeed);
+
+  if (element.tagName == "A") {
+    element.href = "?seed=" + encodeURIComponent(randomSeed);
+  }
+}
+
+/**
+ * This function returns the next value from the seeded random number
+ * generator (Mulberry32). Use it in place of Math.random().
+ * @return { number } - A random number from 0 up to, but not including, 1.
+ */
+function randomFloat() {
+  randomState = (randomState + 0x6d2b79f5) >>> 0;
+
+  var t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * This function returns a random number from a normal (bell curve)
+ * distribution, using the Box-Muller transform.
+ * @param  { number } mean - The center of the distribution. Defaults to 0.
+ * @param  { number } standardDeviation - The spread of the distribution.
+ *                    Defaults to 1.
+ * @return { number } - The random number.
+ */
+function randomGaussian(mean = 0, standardDeviation = 1) {
+  // 1 - randomFloat() is never 0, so the logarithm is always finite.
+  var u = 1 - randomFloat();
+  var v = randomFloat();
+
+  return mean +
+    standardDeviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * This function returns a random point inside a disc, spread evenly over its
+ * area.
+ * @param  { number } radius - The radius of the disc. Defaults to 1.
+ * @return { object } - An object with x and y properties.
+ */
+function randomInDisc(radius = 1) {
+  // The square root keeps points from bunching up near the center.
+  var distance = radius * Math.sqrt(randomFloat());
+  var angle = 2 * Math.PI * randomFloat();
+
+  return {
+    x: distance * Math.cos(angle),
+    y: distance * Math.sin(angle),
+  };
+}
+
+/**
+ * This function returns a random point on the surface of a sphere, spread
+ * evenly over its area. With a radius of 1 this is a random direction.
+ * @param  { number } radius - The radius of the sphere. Defaults to 1.
+ * @return { object } - An object with x, y, and z properties.
+ */
+function randomOnSphere(radius = 1) {
+  var z = 2 * randomFloat() - 1;
+  var angle = 2 * Math.PI * randomFloat();
+  var ring = Math.sqrt(1 - z * z);
+
+  return {
+    x: radius * ring * Math.cos(angle),
+    y: radius * ring * Math.sin(angle),
+    z: radius * z,
+  };
+}
+
+// Start from the URL's seed, or a new one, and show it once the page exists.
+setRandomSeed(randomSeedFromURL());
+document.addEventListener("DOMContentLoaded", function () {
+  showRandomSeed();
+});
+
 /* ############################################################
    ###################### CUSTOM SCRIPTS ######################
    ############################################################ */
@@ -338,10 +1264,10 @@ function initShaders(gl, vertexShaderId, fragmentShaderId) {
 function randomNumber(roundResult = false, maximumValue = 1, minimumValue = 0) {
   if (roundResult) {
     return Math.min(
-        Math.round(Math.random() * maximumValue) + minimumValue, maximumValue
+        Math.round(randomFloat() * maximumValue) + minimumValue, maximumValue
       );
   } else {
-    return Math.min(Math.random() * maximumValue + minimumValue, maximumValue);
+    return Math.min(randomFloat() * maximumValue + minimumValue, maximumValue);
   }
 }
 
@@ -351,7 +1277,7 @@ function randomNumber(roundResult = false, maximumValue = 1, minimumValue = 0) {
  * @return { number } - A random number of 1 or -1.
  */
 function randomSignMultiplier() {
-  return Math.random() < 0.5 ? -1 : 1;
+  return randomFloat() < 0.5 ? -1 : 1;
 }
 
 /**
@@ -450,11 +1376,14 @@ function randomRGBAColor() {
 }
 
 /**
- * This function reloads the page that the user is currently on.
+ * This function reloads the page that the user is currently on with a new
+ * random seed. To draw the same scene again, open the seed link instead.
  * @return { void }
  */
 function reloadPage() {
-  location.reload();
+  const url = new URL(location.href);
+  url.searchParams.delete("seed");
+  location.href = url.href;
 }
 
 /**
@@ -482,3 +1411,396 @@ function random2DCoordinate() {
     y: randomSignMultiplier() * randomNumber(),
   };
 }
+
+/* ############################################################
+   ######################### COLORS ###########################
+   ############################################################ */
+
+// Colors are objects with red, green, blue, and alpha properties from 0 to 1,
+// the same shape randomRGBAColor() returns. Unless a function says otherwise,
+// the red, green, and blue values are sRGB, which is what color pickers, hex
+// strings, and the canvas itself use.
+
+/**
+ * This function returns a color object with the given red, green, blue, and
+ * alpha values.
+ * @param  { number } red - The red value, from 0 to 1.
+ * @param  { number } green - The green value, from 0 to 1.
+ * @param  { number } blue - The blue value, from 0 to 1.
+ * @param  { number } alpha - The alpha value, from 0 to 1. Defaults to 1.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function rgbaColor(red, green, blue, alpha = 1.0) {
+  return { red: red, green: green, blue: blue, alpha: alpha };
+}
+
+/**
+ * This function converts a color object into a vec4 ([red, green, blue,
+ * alpha]) ready to be pushed onto a color array for buffer upload.
+ * @param  { object } color - The color object.
+ * @return { Array } - The color as a vec4.
+ */
+function colorToVec4(color) {
+  return [color.red, color.green, color.blue, color.alpha];
+}
+
+/**
+ * This function converts a vec3 or vec4 into a color object. A vec3 is given
+ * an alpha of 1.
+ * @param  { Array } v - The vector.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function vec4ToColor(v) {
+  return rgbaColor(v[0], v[1], v[2], v.length > 3 ? v[3] : 1.0);
+}
+
+/**
+ * This function converts a hex string (#rgb, #rgba, #rrggbb, or #rrggbbaa,
+ * with or without the #) into a color object.
+ * @param  { string } hex - The hex string.
+ * @return { object } - An object with red, green, blue, and alpha properties,
+ *                      or null if the string is not a valid hex color.
+ */
+function hexToColor(hex) {
+  var digits = String(hex).trim().replace(/^#/, "");
+
+  if (!/^[0-9a-fA-F]+$/.test(digits) || [3, 4, 6, 8].indexOf(digits.length) < 0) {
+    console.error("WebGL", "hexToColor(): '" + hex + "' is not a valid hex color.");
+    return null;
+  }
+
+  // Expand the short forms so every channel has two digits.
+  if (digits.length <= 4) {
+    digits = digits.replace(/./g, "$&$&");
+  }
+
+  var channels = [];
+  for (var i = 0; i < digits.length; i += 2) {
+    channels.push(parseInt(digits.substr(i, 2), 16) / 255);
+  }
+
+  return rgbaColor(channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] : 1.0);
+}
+
+/**
+ * This function converts a color object into a hex string.
+ * @param  { object } color - The color object.
+ * @param  { boolean } includeAlpha - Whether to append the alpha value
+ *                     (#rrggbbaa). Defaults to false (#rrggbb).
+ * @return { string } - The hex string.
+ */
+function colorToHex(color, includeAlpha = false) {
+  var channels = [color.red, color.green, color.blue];
+
+  if (includeAlpha) {
+    channels.push(color.alpha);
+  }
+
+  return "#" + channels.map(function (channel) {
+    var byte = Math.round(Math.min(Math.max(channel, 0.0), 1.0) * 255);
+    return (byte < 16 ? "0" : "") + byte.toString(16);
+  }).join("");
+}
+
+/**
+ * This function converts a color object into hue, saturation, and value.
+ * @param  { object } color - The color object.
+ * @return { object } - An object with hue (in degrees, from 0 to 360),
+ *                      saturation, value, and alpha properties.
+ */
+function colorToHSV(color) {
+  var max = Math.max(color.red, color.green, color.blue);
+  var min = Math.min(color.red, color.green, color.blue);
+  var delta = max - min;
+
+  return {
+    hue: colorHue(color, max, delta),
+    saturation: max == 0 ? 0 : delta / max,
+    value: max,
+    alpha: color.alpha,
+  };
+}
+
+/**
+ * This function converts hue, saturation, and value into a color object.
+ * @param  { object } hsv - An object with hue (in degrees), saturation, value,
+ *                    and (optionally) alpha properties.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function hsvToColor(hsv) {
+  var chroma = hsv.value * hsv.saturation;
+  return colorFromChroma(hsv.hue, chroma, hsv.value - chroma, hsv.alpha);
+}
+
+/**
+ * This function converts a color object into hue, saturation, and lightness.
+ * @param  { object } color - The color object.
+ * @return { object } - An object with hue (in degrees, from 0 to 360),
+ *                      saturation, lightness, and alpha properties.
+ */
+function colorToHSL(color) {
+  var max = Math.max(color.red, color.green, color.blue);
+  var min = Math.min(color.red, color.green, color.blue);
+  var delta = max - min;
+  var lightness = (max + min) / 2;
+
+  return {
+    hue: colorHue(color, max, delta),
+    saturation: delta == 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1)),
+    lightness: lightness,
+    alpha: color.alpha,
+  };
+}
+
+/**
+ * This function converts hue, saturation, and lightness into a color object.
+ * @param  { object } hsl - An object with hue (in degrees), saturation,
+ *                    lightness, and (optionally) alpha properties.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function hslToColor(hsl) {
+  var chroma = (1 - Math.abs(2 * hsl.lightness - 1)) * hsl.saturation;
+  return colorFromChroma(hsl.hue, chroma, hsl.lightness - chroma / 2, hsl.alpha);
+}
+
+/**
+ * This function returns the hue of a color, shared by colorToHSV() and
+ * colorToHSL().
+ * @param  { object } color - The color object.
+ * @param  { number } max - The largest of the red, green, and blue values.
+ * @param  { number } delta - The largest minus the smallest of the values.
+ * @return { number } - The hue in degrees, from 0 to 360.
+ */
+function colorHue(color, max, delta) {
+  if (delta == 0) {
+    return 0;
+  }
+
+  var hue;
+
+  if (max == color.red) {
+    hue = (color.green - color.blue) / delta;
+  } else if (max == color.green) {
+    hue = (color.blue - color.red) / delta + 2;
+  } else {
+    hue = (color.red - color.green) / delta + 4;
+  }
+
+  hue *= 60;
+  return hue < 0 ? hue + 360 : hue;
+}
+
+/**
+ * This function builds a color object from a hue, a chroma, and the amount to
+ * add to every channel, shared by hsvToColor() and hslToColor().
+ * @param  { number } hue - The hue in degrees.
+ * @param  { number } chroma - The difference between the largest and smallest
+ *                    channels.
+ * @param  { number } offset - The value of the smallest channel.
+ * @param  { number } alpha - The alpha value. Defaults to 1 if undefined.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function colorFromChroma(hue, chroma, offset, alpha) {
+  var sector = (((hue % 360) + 360) % 360) / 60;
+  var x = chroma * (1 - Math.abs((sector % 2) - 1));
+  var rgb;
+
+  if (sector < 1) {
+    rgb = [chroma, x, 0];
+  } else if (sector < 2) {
+    rgb = [x, chroma, 0];
+  } else if (sector < 3) {
+    rgb = [0, chroma, x];
+  } else if (sector < 4) {
+    rgb = [0, x, chroma];
+  } else if (sector < 5) {
+    rgb = [x, 0, chroma];
+  } else {
+    rgb = [chroma, 0, x];
+  }
+
+  return rgbaColor(
+    rgb[0] + offset,
+    rgb[1] + offset,
+    rgb[2] + offset,
+    alpha === undefined ? 1.0 : alpha
+  );
+}
+
+/**
+ * This function converts a single sRGB channel value into linear light.
+ * @param  { number } channel - The sRGB value, from 0 to 1.
+ * @return { number } - The linear value, from 0 to 1.
+ */
+function srgbChannelToLinear(channel) {
+  return channel <= 0.04045 ?
+    channel / 12.92 :
+    Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * This function converts a single linear light channel value into sRGB.
+ * @param  { number } channel - The linear value, from 0 to 1.
+ * @return { number } - The sRGB value, from 0 to 1.
+ */
+function linearChannelToSRGB(channel) {
+  return channel <= 0.0031308 ?
+    channel * 12.92 :
+    1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+}
+
+/**
+ * This function converts an sRGB color object into linear light, which is
+ * what lighting math and blending should be done in. Alpha is unchanged.
+ * @param  { object } color - The sRGB color object.
+ * @return { object } - The linear color object.
+ */
+function srgbToLinear(color) {
+  return rgbaColor(
+    srgbChannelToLinear(color.red),
+    srgbChannelToLinear(color.green),
+    srgbChannelToLinear(color.blue),
+    color.alpha
+  );
+}
+
+/**
+ * This function converts a linear light color object back into sRGB. Alpha is
+ * unchanged.
+ * @param  { object } color - The linear color object.
+ * @return { object } - The sRGB color object.
+ */
+function linearToSRGB(color) {
+  return rgbaColor(
+    linearChannelToSRGB(color.red),
+    linearChannelToSRGB(color.green),
+    linearChannelToSRGB(color.blue),
+    color.alpha
+  );
+}
+
+/**
+ * This function converts an sRGB color object into the OKLab perceptual color
+ * space, where equal distances look like equal differences in color.
+ * @param  { object } color - The sRGB color object.
+ * @return { object } - An object with lightness, a, b, and alpha properties.
+ */
+function colorToOKLab(color) {
+  var linear = srgbToLinear(color);
+
+  var l = Math.cbrt(0.4122214708 * linear.red + 0.5363325363 * linear.green + 0.0514459929 * linear.blue);
+  var m = Math.cbrt(0.2119034982 * linear.red + 0.6806995451 * linear.green + 0.1073969566 * linear.blue);
+  var s = Math.cbrt(0.0883024619 * linear.red + 0.2817188376 * linear.green + 0.6299787005 * linear.blue);
+
+  return {
+    lightness: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    alpha: color.alpha,
+  };
+}
+
+/**
+ * This function converts an OKLab color back into an sRGB color object.
+ * Colors outside the sRGB gamut are clamped.
+ * @param  { object } lab - An object with lightness, a, b, and (optionally)
+ *                    alpha properties.
+ * @return { object } - An object with red, green, blue, and alpha properties.
+ */
+function okLabToColor(lab) {
+  var l = lab.lightness + 0.3963377774 * lab.a + 0.2158037573 * lab.b;
+  var m = lab.lightness - 0.1055613458 * lab.a - 0.0638541728 * lab.b;
+  var s = lab.lightness - 0.0894841775 * lab.a - 1.2914855480 * lab.b;
+
+  l = l * l * l;
+  m = m * m * m;
+  s = s * s * s;
+
+  var clamp = function (channel) {
+    return Math.min(Math.max(channel, 0.0), 1.0);
+  };
+
+  return linearToSRGB(rgbaColor(
+    clamp(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    clamp(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    clamp(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+    lab.alpha === undefined ? 1.0 : lab.alpha
+  ));
+}
+
+/**
+ * This function mixes two color objects. By default the mix is done in OKLab
+ * so the halfway color looks halfway between the two; "linear" mixes light
+ * the way blending does, and "srgb" mixes the raw values.
+ * @param  { object } color1 - The first color object.
+ * @param  { object } color2 - The second color object.
+ * @param  { number } amount - How much of the second color to use, from 0 to 1.
+ * @param  { string } space - "oklab" (default), "linear", or "srgb".
+ * @return { object } - The mixed color object.
+ */
+function mixColors(color1, color2, amount, space = "oklab") {
+  var mix = function (a, b) {
+    return a + (b - a) * amount;
+  };
+  var alpha = mix(color1.alpha, color2.alpha);
+
+  if (space == "oklab") {
+    var lab1 = colorToOKLab(color1);
+    var lab2 = colorToOKLab(color2);
+    return okLabToColor({
+      lightness: mix(lab1.lightness, lab2.lightness),
+      a: mix(lab1.a, lab2.a),
+      b: mix(lab1.b, lab2.b),
+      alpha: alpha,
+    });
+  }
+
+  if (space == "linear") {
+    var linear1 = srgbToLinear(color1);
+    var linear2 = srgbToLinear(color2);
+    return linearToSRGB(rgbaColor(
+      mix(linear1.red, linear2.red),
+      mix(linear1.green, linear2.green),
+      mix(linear1.blue, linear2.blue),
+      alpha
+    ));
+  }
+
+  if (space != "srgb") {
+    console.error("WebGL", "mixColors(): Unknown color space '" + space + "'.");
+    return null;
+  }
+
+  return rgbaColor(
+    mix(color1.red, color2.red),
+    mix(color1.green, color2.green),
+    mix(color1.blue, color2.blue),
+    alpha
+  );
+}
+
+/**
+ * This function returns the relative luminance of a color object, as defined
+ * by the WCAG accessibility guidelines. Alpha is ignored.
+ * @param  { object } color - The sRGB color object.
+ * @return { number } - The luminance, from 0 (black) to 1 (white).
+ */
+function relativeLuminance(color) {
+  var linear = srgbToLinear(color);
+  return 0.2126 * linear.red + 0.7152 * linear.green + 0.0722 * linear.blue;
+}
+
+/**
+ * This function returns the WCAG contrast ratio between two color objects,
+ * for example a shape color and the background it is drawn on.
+ * @param  { object } color1 - The first color object.
+ * @param  { object } color2 - The second color object.
+ * @return { number } - The ratio, from 1 (no contrast) to 21 (black on white).
+ */
+function contrastRatio(color1, color2) {
+  var luminance1 = relativeLuminance(color1);
+  var luminance2 = relativeLuminance(color2);
+
+  return (Math.max(luminance1, luminance2) + 0.05) /
+    (Math.min(luminance1, luminance2) + 0.05);
+}
@@ -80,6 +80,9 @@ window.onload = function init() {
 
   // Render the points.
   render();
+
+  // Draw again if the context is lost and then restored.
+  onContextRestored(render);
 };
 
 function render() {
@@ -0,0 +1,651 @@
+/**
+ * @fileOverview Easing curves and a small tweening engine for the demos. Tweens
+ * animate numbers, vectors, colors and quaternion rotations over time, driven
+ * by the same requestAnimFrame loop that renders the scene, so motion is tied
+ * to elapsed time rather than to the frame rate.
+ *
+ * Requires .webgl-utilities.js (for quaternion interpolation).
+ *
+ * @license GNU GPL v3
+ */
+
+// ##################### EASING ####################
+
+/**
+ * Standard easing curves. Each takes the fraction of the tween that has
+ * elapsed, from 0 to 1, and returns the fraction of the change to apply.
+ * @type {Object<string, function(number): number>}
+ */
+var Easing = {
+  linear: function (t) {
+    return t;
+  },
+
+  quadraticIn: function (t) {
+    return t * t;
+  },
+  quadraticOut: function (t) {
+    return t * (2.0 - t);
+  },
+  quadraticInOut: function (t) {
+    return t < 0.5 ? 2.0 * t * t : -1.0 + (4.0 - 2.0 * t) * t;
+  },
+
+  cubicIn: function (t) {
+    return t * t * t;
+  },
+  cubicOut: function (t) {
+    var s = t - 1.0;
+    return s * s * s + 1.0;
+  },
+  cubicInOut: function (t) {
+    return t < 0.5 ? 4.0 * t * t * t : 1.0 - Math.pow(-2.0 * t + 2.0, 3) / 2.0;
+  },
+
+  quarticIn: function (t) {
+    return t * t * t * t;
+  },
+  quarticOut: function (t) {
+    return 1.0 - Math.pow(1.0 - t, 4);
+  },
+  quarticInOut: function (t) {
+    return t < 0.5 ? 8.0 * t * t * t * t : 1.0 - Math.pow(-2.0 * t + 2.0, 4) / 2.0;
+  },
+
+  sineIn: function (t) {
+    return 1.0 - Math.cos((t * Math.PI) / 2.0);
+  },
+  sineOut: function (t) {
+    return Math.sin((t * Math.PI) / 2.0);
+  },
+  sineInOut: function (t) {
+    return -(Math.cos(Math.PI * t) - 1.0) / 2.0;
+  },
+
+  exponentialIn: function (t) {
+    return t == 0.0 ? 0.0 : Math.pow(2.0, 10.0 * t - 10.0);
+  },
+  exponentialOut: function (t) {
+    return t == 1.0 ? 1.0 : 1.0 - Math.pow(2.0, -10.0 * t);
+  },
+  exponentialInOut: function (t) {
+    if (t == 0.0 || t == 1.0) {
+      return t;
+    }
+    return t < 0.5 ? Math.pow(2.0, 20.0 * t - 10.0) / 2.0 : (2.0 - Math.pow(2.0, -20.0 * t + 10.0)) / 2.0;
+  },
+
+  circularIn: function (t) {
+    return 1.0 - Math.sqrt(1.0 - t * t);
+  },
+  circularOut: function (t) {
+    return Math.sqrt(1.0 - (t - 1.0) * (t - 1.0));
+  },
+  circularInOut: function (t) {
+    return t < 0.5 ?
+      (1.0 - Math.sqrt(1.0 - 4.0 * t * t)) / 2.0 :
+      (Math.sqrt(1.0 - Math.pow(-2.0 * t + 2.0, 2)) + 1.0) / 2.0;
+  },
+
+  backIn: function (t) {
+    var c = 1.70158;
+    return (c + 1.0) * t * t * t - c * t * t;
+  },
+  backOut: function (t) {
+    var c = 1.70158;
+    var s = t - 1.0;
+    return 1.0 + (c + 1.0) * s * s * s + c * s * s;
+  },
+  backInOut: function (t) {
+    var c = 1.70158 * 1.525;
+    return t < 0.5 ?
+      (Math.pow(2.0 * t, 2) * ((c + 1.0) * 2.0 * t - c)) / 2.0 :
+      (Math.pow(2.0 * t - 2.0, 2) * ((c + 1.0) * (t * 2.0 - 2.0) + c) + 2.0) / 2.0;
+  },
+
+  elasticIn: function (t) {
+    if (t == 0.0 || t == 1.0) {
+      return t;
+    }
+    return -Math.pow(2.0, 10.0 * t - 10.0) * Math.sin((t * 10.0 - 10.75) * ((2.0 * Math.PI) / 3.0));
+  },
+  elasticOut: function (t) {
+    if (t == 0.0 || t == 1.0) {
+      return t;
+    }
+    return Math.pow(2.0, -10.0 * t) * Math.sin((t * 10.0 - 0.75) * ((2.0 * Math.PI) / 3.0)) + 1.0;
+  },
+  elasticInOut: function (t) {
+    if (t == 0.0 || t == 1.0) {
+      return t;
+    }
+    var c = (2.0 * Math.PI) / 4.5;
+    return t < 0.5 ?
+      -(Math.pow(2.0, 20.0 * t - 10.0) * Math.sin((20.0 * t - 11.125) * c)) / 2.0 :
+      (Math.pow(2.0, -20.0 * t + 10.0) * Math.sin((20.0 * t - 11.125) * c)) / 2.0 + 1.0;
+  },
+
+  bounceIn: function (t) {
+    return 1.0 - Easing.bounceOut(1.0 - t);
+  },
+  bounceOut: function (t) {
+    var n = 7.5625;
+    var d = 2.75;
+
+    if (t < 1.0 / d) {
+      return n * t * t;
+    } else if (t < 2.0 / d) {
+      t -= 1.5 / d;
+      return n * t * t + 0.75;
+    } else if (t < 2.5 / d) {
+      t -= 2.25 / d;
+      return n * t * t + 0.9375;
+    }
+
+    t -= 2.625 / d;
+    return n * t * t + 0.984375;
+  },
+  bounceInOut: function (t) {
+    return t < 0.5 ?
+      (1.0 - Easing.bounceOut(1.0 - 2.0 * t)) / 2.0 :
+      (1.0 + Easing.bounceOut(2.0 * t - 1.0)) / 2.0;
+  },
+};
+
+// ##################### VALUE INTERPOLATION ####################
+
+/**
+ * Returns the current time on the same clock as requestAnimFrame timestamps.
+ * @returns {number} The time in milliseconds.
+ */
+function animationNow() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Makes a deep copy of a tweenable value, keeping the quaternion tag.
+ * @param {number|Array|Object} value - The value.
+ * @returns {number|Array|Object} The copy.
+ */
+function copyTweenValue(value) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  var copy = Array.isArray(value) ? [] : {};
+
+  for (var key in value) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      copy[key] = copyTweenValue(value[key]);
+    }
+  }
+
+  if (value.quaternion) {
+    copy.quaternion = true;
+  }
+
+  return copy;
+}
+
+/**
+ * Copies the current values of the properties a tween animates.
+ * @param {Object} target - The object being animated.
+ * @param {Object} to - The requested end values, which choose the properties to copy.
+ * @returns {Object} The start values.
+ */
+function captureTweenValues(target, to) {
+  if (to === null || typeof to !== "object" || to.quaternion) {
+    return copyTweenValue(target);
+  }
+
+  var result = Array.isArray(to) ? [] : {};
+
+  for (var key in to) {
+    if (Object.prototype.hasOwnProperty.call(to, key)) {
+      result[key] = captureTweenValues(target[key], to[key]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the end values of a tween against its start values. A string such
+ * as "+90" or "-0.5" is taken relative to the start value.
+ * @param {Object} from - The start values.
+ * @param {Object} to - The requested end values.
+ * @returns {Object} The end values, with every relative value made absolute.
+ */
+function resolveTweenValues(from, to) {
+  if (typeof to === "string") {
+    var change = parseFloat(to);
+    return to.charAt(0) == "+" || to.charAt(0) == "-" ? from + change : change;
+  }
+
+  if (to === null || typeof to !== "object") {
+    return to;
+  }
+
+  var result = Array.isArray(to) ? [] : {};
+
+  for (var key in to) {
+    if (Object.prototype.hasOwnProperty.call(to, key)) {
+      result[key] = resolveTweenValues(from[key], to[key]);
+    }
+  }
+
+  if (to.quaternion) {
+    result.quaternion = true;
+  }
+
+  return result;
+}
+
+/**
+ * Copies the elements of one array into another, so that references held to
+ * the destination (for example by a uniform upload) stay valid.
+ * @param {Array} destination - The array to write to.
+ * @param {Array} source - The array to read from.
+ */
+function copyTweenArray(destination, source) {
+  for (var i = 0; i < source.length; ++i) {
+    destination[i] = source[i];
+  }
+}
+
+/**
+ * Writes the values between two sets of values into a target, in place.
+ * Numbers are interpolated linearly, quaternions (arrays tagged with
+ * .quaternion) are spherically interpolated, and arrays and objects such as
+ * vectors and {red, green, blue, alpha} colors are interpolated element by element.
+ * @param {Object} target - The object being animated.
+ * @param {Object} from - The start values.
+ * @param {Object} to - The end values.
+ * @param {number} s - How far between the values to go, usually from 0 to 1.
+ */
+function interpolateTweenValues(target, from, to, s) {
+  if (to.quaternion) {
+    copyTweenArray(target, slerpQuaternions(from, to, s));
+    return;
+  }
+
+  for (var key in to) {
+    if (!Object.prototype.hasOwnProperty.call(to, key) || key == "quaternion") {
+      continue;
+    }
+
+    var a = from[key];
+    var b = to[key];
+
+    if (typeof b === "number") {
+      target[key] = a + (b - a) * s;
+    } else if (b !== null && typeof b === "object") {
+      if (target[key] === null || typeof target[key] !== "object") {
+        target[key] = copyTweenValue(a);
+      }
+      interpolateTweenValues(target[key], a, b, s);
+    }
+  }
+}
+
+// ##################### TWEENS ####################
+
+/**
+ * A collection of tweens that are updated together. Call update() once per
+ * frame, usually from the render loop.
+ */
+class TweenGroup {
+  constructor() {
+    this.tweens = [];
+  }
+
+  /**
+   * The number of tweens in the group.
+   * @type {number}
+   */
+  get size() {
+    return this.tweens.length;
+  }
+
+  /**
+   * Adds a tween to the group. Tweens add themselves when started.
+   * @param {Tween} tween - The tween.
+   */
+  add(tween) {
+    if (this.tweens.indexOf(tween) < 0) {
+      this.tweens.push(tween);
+    }
+  }
+
+  /**
+   * Removes a tween from the group without stopping it.
+   * @param {Tween} tween - The tween.
+   */
+  remove(tween) {
+    var index = this.tweens.indexOf(tween);
+
+    if (index >= 0) {
+      this.tweens.splice(index, 1);
+    }
+  }
+
+  /**
+   * Stops every tween in the group.
+   */
+  stopAll() {
+    var tweens = this.tweens.slice();
+
+    for (var i = 0; i < tweens.length; ++i) {
+      tweens[i].stop();
+    }
+  }
+
+  /**
+   * Advances every tween in the group, removing the ones that have finished.
+   * @param {number} [time] - The current time in milliseconds, as passed to a requestAnimFrame callback.
+   */
+  update(time) {
+    if (time === undefined) {
+      time = animationNow();
+    }
+
+    // Completed tweens may start chained tweens, which are added to the group
+    // and first updated on the next frame.
+    var tweens = this.tweens.slice();
+
+    for (var i = 0; i < tweens.length; ++i) {
+      if (!tweens[i].update(time)) {
+        this.remove(tweens[i]);
+      }
+    }
+  }
+}
+
+/**
+ * The group tweens join when no other group is given.
+ * @type {TweenGroup}
+ */
+var tweens = new TweenGroup();
+
+/**
+ * Advances every tween in the default group. Call this once per frame.
+ * @param {number} [time] - The current time in milliseconds, as passed to a requestAnimFrame callback.
+ */
+function updateTweens(time) {
+  tweens.update(time);
+}
+
+/**
+ * Animates the properties of an object from their current values to new
+ * values over time. The settings methods return the tween, so they can be
+ * chained:
+ *
+ *   new Tween(theta).to([0, "+360", 0], 4000).easing("cubicInOut").repeat(Infinity).start();
+ *
+ * The target can be an object holding several values, or a vector, color or
+ * quaternion itself; it is always updated in place.
+ */
+class Tween {
+  /**
+   * @param {Object|Array} target - The object to animate.
+   * @param {TweenGroup} [group] - The group to run in. Defaults to the shared tweens group.
+   */
+  constructor(target, group) {
+    this.target = target;
+    this.group = group || tweens;
+    this.endValues = {};
+    this.duration = 1000;
+    this.delayTime = 0;
+    this.repeatCount = 0;
+    this.yoyoEnabled = false;
+    this.easingFunction = Easing.linear;
+    this.chainedTweens = [];
+    this.callbacks = {};
+    this.playing = false;
+    this.started = false;
+  }
+
+  /**
+   * Whether the tween has been started and has not yet completed or been stopped.
+   * @type {boolean}
+   */
+  get isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Sets the values to animate to.
+   * @param {Object|Array} values - The end values, in the same shape as the target. Strings such as "+90" are relative to the start value.
+   * @param {number} [duration] - The length of the tween in milliseconds.
+   * @returns {Tween} This tween.
+   */
+  to(values, duration) {
+    this.endValues = values;
+
+    if (duration !== undefined) {
+      this.duration = Math.max(duration, 0);
+    }
+
+    return this;
+  }
+
+  /**
+   * Sets the easing curve.
+   * @param {function(number): number|string} easing - An easing function, or the name of one in Easing.
+   * @returns {Tween} This tween.
+   */
+  easing(easing) {
+    if (typeof easing === "string") {
+      if (!Easing[easing]) {
+        console.error("WebGL Animation:", "Tween.easing(): Unknown easing \"" + easing + "\".");
+        return this;
+      }
+      easing = Easing[easing];
+    }
+
+    this.easingFunction = easing;
+    return this;
+  }
+
+  /**
+   * Sets how long to wait after start() before animating.
+   * @param {number} delay - The delay in milliseconds.
+   * @returns {Tween} This tween.
+   */
+  delay(delay) {
+    this.delayTime = delay;
+    return this;
+  }
+
+  /**
+   * Sets how many more times to play the tween after the first time.
+   * @param {number} count - The number of repeats. Use Infinity to repeat until stopped.
+   * @returns {Tween} This tween.
+   */
+  repeat(count) {
+    this.repeatCount = count;
+    return this;
+  }
+
+  /**
+   * Sets whether repeats play backwards and forwards in turn rather than always forwards.
+   * @param {boolean} [enabled=true] - Whether to yoyo.
+   * @returns {Tween} This tween.
+   */
+  yoyo(enabled) {
+    this.yoyoEnabled = enabled === undefined ? true : enabled;
+    return this;
+  }
+
+  /**
+   * Sets tweens to start when this one completes. Replaces any set before.
+   * @param {...Tween} tweens - The tweens to start.
+   * @returns {Tween} This tween.
+   */
+  chain() {
+    this.chainedTweens = Array.prototype.slice.call(arguments);
+    return this;
+  }
+
+  /**
+   * Sets a function to call when the delay is over and animation begins.
+   * @param {function(Object)} callback - Called with the target.
+   * @returns {Tween} This tween.
+   */
+  onStart(callback) {
+    this.callbacks.start = callback;
+    return this;
+  }
+
+  /**
+   * Sets a function to call after every update.
+   * @param {function(Object, number)} callback - Called with the target and the elapsed fraction of the current play.
+   * @returns {Tween} This tween.
+   */
+  onUpdate(callback) {
+    this.callbacks.update = callback;
+    return this;
+  }
+
+  /**
+   * Sets a function to call each time the tween repeats.
+   * @param {function(Object)} callback - Called with the target.
+   * @returns {Tween} This tween.
+   */
+  onRepeat(callback) {
+    this.callbacks.repeat = callback;
+    return this;
+  }
+
+  /**
+   * Sets a function to call when the tween completes.
+   * @param {function(Object)} callback - Called with the target.
+   * @returns {Tween} This tween.
+   */
+  onComplete(callback) {
+    this.callbacks.complete = callback;
+    return this;
+  }
+
+  /**
+   * Sets a function to call when the tween is stopped before completing.
+   * @param {function(Object)} callback - Called with the target.
+   * @returns {Tween} This tween.
+   */
+  onStop(callback) {
+    this.callbacks.stop = callback;
+    return this;
+  }
+
+  /**
+   * Starts the tween. The start values are read from the target once the delay is over.
+   * @param {number} [time] - The time to start from. Defaults to now.
+   * @returns {Tween} This tween.
+   */
+  start(time) {
+    this.startTime = (time === undefined ? animationNow() : time) + this.delayTime;
+    this.remainingRepeats = this.repeatCount;
+    this.playing = true;
+    this.started = false;
+    this.group.add(this);
+    return this;
+  }
+
+  /**
+   * Stops the tween where it is. Chained tweens are not started.
+   * @returns {Tween} This tween.
+   */
+  stop() {
+    if (!this.playing) {
+      return this;
+    }
+
+    this.playing = false;
+    this.group.remove(this);
+
+    if (this.callbacks.stop) {
+      this.callbacks.stop(this.target);
+    }
+
+    return this;
+  }
+
+  /**
+   * Advances the tween. Normally called by its group.
+   * @param {number} [time] - The current time in milliseconds.
+   * @returns {boolean} False once the tween has completed or been stopped.
+   */
+  update(time) {
+    if (!this.playing) {
+      return false;
+    }
+
+    if (time === undefined) {
+      time = animationNow();
+    }
+
+    if (time < this.startTime) {
+      return true;
+    }
+
+    if (!this.started) {
+      this.started = true;
+      this.startValues = captureTweenValues(this.target, this.endValues);
+      this.finalValues = resolveTweenValues(this.startValues, this.endValues);
+
+      if (this.callbacks.start) {
+        this.callbacks.start(this.target);
+      }
+    }
+
+    var elapsed = this.duration == 0 ? 1.0 : Math.min((time - this.startTime) / this.duration, 1.0);
+
+    interpolateTweenValues(this.target, this.startValues, this.finalValues, this.easingFunction(elapsed));
+
+    if (this.callbacks.update) {
+      this.callbacks.update(this.target, elapsed);
+    }
+
+    if (elapsed < 1.0) {
+      return true;
+    }
+
+    if (this.remainingRepeats > 0) {
+      this.remainingRepeats--;
+
+      if (this.yoyoEnabled) {
+        var swap = this.startValues;
+        this.startValues = this.finalValues;
+        this.finalValues = swap;
+      }
+
+      // Carry on from where this play should have ended rather than from
+      // the current frame, so repeats do not drift.
+      this.startTime += this.duration;
+
+      // After a long pause (such as a hidden tab) start the next play now
+      // instead of racing through the missed ones a frame at a time.
+      if (time - this.startTime >= this.duration) {
+        this.startTime = time;
+      }
+
+      if (this.callbacks.repeat) {
+        this.callbacks.repeat(this.target);
+      }
+
+      return true;
+    }
+
+    this.playing = false;
+
+    if (this.callbacks.complete) {
+      this.callbacks.complete(this.target);
+    }
+
+    for (var i = 0; i < this.chainedTweens.length; ++i) {
+      this.chainedTweens[i].start(time);
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,744 @@
+/**
+ * @fileOverview Camera controllers for the demos. Each controller listens to
+ * input on the canvas, and once per frame its update() method returns the
+ * view and projection matrices to upload as uniforms.
+ *
+ * Requires .webgl-utilities.js.
+ *
+ * @license GNU GPL v3
+ */
+
+// ##################### CAMERA CONTROLLER ####################
+
+/**
+ * The parts shared by every camera that circles a target point: projection
+ * settings, panning, dollying and damping. Subclasses decide how dragging
+ * rotates the camera, by implementing rotate() and cameraFrame().
+ *
+ * Input is not applied straight away. It is collected and then eased in by
+ * update(), so motion stays smooth and takes the same time at any frame rate.
+ */
+class CameraController {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to listen to. May be null to drive the camera from code only.
+   * @param {Object} [options] - Settings, which can also be changed later as properties of the same names.
+   * @param {vec3} [options.target=[0, 0, 0]] - The point the camera looks at.
+   * @param {number} [options.distance=5] - The distance from the camera to the target.
+   * @param {number} [options.minDistance=0.1] - The closest the camera may dolly to the target.
+   * @param {number} [options.maxDistance=1000] - The farthest the camera may dolly from the target.
+   * @param {string} [options.projection="perspective"] - "perspective" or "orthographic".
+   * @param {number} [options.fovY=45] - The vertical field of view in degrees. In orthographic mode, it sets how much is visible at the target distance.
+   * @param {number} [options.near=0.1] - The distance to the near clipping plane.
+   * @param {number} [options.far=1000] - The distance to the far clipping plane.
+   * @param {number} [options.damping=10] - How quickly input eases in, per second. 0 applies input immediately.
+   * @param {number} [options.rotateSpeed=0.3] - Degrees of rotation per pixel dragged.
+   * @param {number} [options.dollySpeed=1.1] - The distance multiplier per wheel notch.
+   * @param {boolean} [options.enablePan=true] - Whether right-drag (or shift-drag) pans.
+   */
+  constructor(canvas, options) {
+    options = options || {};
+
+    this.target = (options.target || [0, 0, 0]).slice(0, 3);
+    this.distance = options.distance !== undefined ? options.distance : 5;
+    this.minDistance = options.minDistance !== undefined ? options.minDistance : 0.1;
+    this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : 1000;
+    this.projection = options.projection || "perspective";
+    this.fovY = options.fovY !== undefined ? options.fovY : 45;
+    this.near = options.near !== undefined ? options.near : 0.1;
+    this.far = options.far !== undefined ? options.far : 1000;
+    this.damping = options.damping !== undefined ? options.damping : 10;
+    this.rotateSpeed = options.rotateSpeed !== undefined ? options.rotateSpeed : 0.3;
+    this.dollySpeed = options.dollySpeed !== undefined ? options.dollySpeed : 1.1;
+    this.enablePan = options.enablePan !== undefined ? options.enablePan : true;
+
+    // Input that has not been applied yet.
+    this.pendingRotation = [0, 0];
+    this.pendingPan = [0, 0];
+    this.pendingDolly = 0;
+
+    this.canvas = null;
+    this.dragging = null;
+    this.lastPointer = null;
+
+    this.distance = Math.min(Math.max(this.distance, this.minDistance), this.maxDistance);
+
+    if (canvas) {
+      this.attach(canvas);
+    }
+  }
+
+  /**
+   * Starts listening to pointer and wheel events on a canvas.
+   * @param {HTMLCanvasElement} canvas - The canvas.
+   */
+  attach(canvas) {
+    this.detach();
+    this.canvas = canvas;
+
+    var self = this;
+
+    this.listeners = {
+      pointerdown: function (event) {
+        var pan = event.button == 2 || event.shiftKey;
+
+        if (event.button > 2 || (pan && !self.enablePan)) {
+          return;
+        }
+
+        self.dragging = pan ? "pan" : "rotate";
+        self.lastPointer = [event.clientX, event.clientY];
+        self.beginRotate(self.canvasPoint(event));
+        canvas.setPointerCapture(event.pointerId);
+      },
+      pointermove: function (event) {
+        if (!self.dragging) {
+          return;
+        }
+
+        var dx = event.clientX - self.lastPointer[0];
+        var dy = event.clientY - self.lastPointer[1];
+        self.lastPointer = [event.clientX, event.clientY];
+
+        if (self.dragging == "pan") {
+          self.pan(dx, dy);
+        } else {
+          self.rotate(dx, dy, self.canvasPoint(event));
+        }
+      },
+      pointerup: function (event) {
+        self.dragging = null;
+        if (canvas.hasPointerCapture(event.pointerId)) {
+          canvas.releasePointerCapture(event.pointerId);
+        }
+      },
+      wheel: function (event) {
+        event.preventDefault();
+        // Wheel deltas come in pixels, lines or pages; about 100 pixels is one notch.
+        var scale = event.deltaMode == 1 ? 33 : event.deltaMode == 2 ? 800 : 1;
+        self.dolly((event.deltaY * scale) / 100);
+      },
+      contextmenu: function (event) {
+        event.preventDefault();
+      },
+    };
+
+    this.listeners.pointercancel = this.listeners.pointerup;
+
+    for (var type in this.listeners) {
+      canvas.addEventListener(type, this.listeners[type], type == "wheel" ? { passive: false } : false);
+    }
+  }
+
+  /**
+   * Stops listening to the canvas passed to attach().
+   */
+  detach() {
+    if (!this.canvas) {
+      return;
+    }
+
+    for (var type in this.listeners) {
+      this.canvas.removeEventListener(type, this.listeners[type]);
+    }
+
+    this.canvas = null;
+    this.dragging = null;
+  }
+
+  /**
+   * Converts a pointer event into canvas coordinates from -1 to 1, with y up.
+   * @param {PointerEvent} event - The event.
+   * @returns {vec2} The point.
+   */
+  canvasPoint(event) {
+    var rect = this.canvas.getBoundingClientRect();
+
+    return [
+      (2 * (event.clientX - rect.left)) / rect.width - 1,
+      1 - (2 * (event.clientY - rect.top)) / rect.height,
+    ];
+  }
+
+  /**
+   * Called when a rotating drag starts. Subclasses that need the start point override it.
+   * @param {vec2} point - The pointer position in canvas coordinates.
+   */
+  beginRotate(point) {}
+
+  /**
+   * Rotates the camera in response to a drag.
+   * @param {number} dx - The horizontal distance dragged in pixels.
+   * @param {number} dy - The vertical distance dragged in pixels.
+   * @param {vec2} [point] - The pointer position in canvas coordinates.
+   */
+  rotate(dx, dy, point) {
+    this.pendingRotation[0] += dx * this.rotateSpeed;
+    this.pendingRotation[1] += dy * this.rotateSpeed;
+  }
+
+  /**
+   * Moves the target across the screen, so the scene follows the pointer.
+   * @param {number} dx - The horizontal distance dragged in pixels.
+   * @param {number} dy - The vertical distance dragged in pixels.
+   */
+  pan(dx, dy) {
+    this.pendingPan[0] += dx;
+    this.pendingPan[1] += dy;
+  }
+
+  /**
+   * Moves the camera toward (negative) or away from (positive) the target.
+   * @param {number} notches - How far to move, in wheel notches.
+   */
+  dolly(notches) {
+    this.pendingDolly += notches;
+  }
+
+  /**
+   * Returns the position and up direction of the camera. Implemented by subclasses.
+   * @returns {{eye: vec3, up: vec3}} The camera frame.
+   */
+  cameraFrame() {
+    return { eye: linearAddition(this.target, [0, 0, this.distance]), up: [0, 1, 0] };
+  }
+
+  /**
+   * Applies the given fraction of the pending rotation. Implemented by subclasses.
+   * @param {number} fraction - How much of the pending rotation to apply, from 0 to 1.
+   */
+  applyRotation(fraction) {
+    this.pendingRotation[0] *= 1 - fraction;
+    this.pendingRotation[1] *= 1 - fraction;
+  }
+
+  /**
+   * The camera position.
+   * @type {vec3}
+   */
+  get eye() {
+    return this.cameraFrame().eye;
+  }
+
+  /**
+   * Returns the height of the view at the target distance in world units.
+   * @returns {number} The height.
+   */
+  viewHeight() {
+    return 2 * this.distance * Math.tan(degreesToRadians(this.fovY) / 2);
+  }
+
+  /**
+   * Returns the view matrix for the camera as it is now.
+   * @returns {mat4} The view matrix.
+   */
+  viewMatrix() {
+    var frame = this.cameraFrame();
+    return viewMatrixAt(frame.eye, this.target.slice(), frame.up);
+  }
+
+  /**
+   * Returns the projection matrix for the camera as it is now.
+   * @param {number} [aspect] - The width of the viewport divided by its height. Defaults to the canvas's.
+   * @returns {mat4} The projection matrix.
+   */
+  projectionMatrix(aspect) {
+    if (aspect === undefined) {
+      aspect = this.canvas ? this.canvas.width / this.canvas.height : 1;
+    }
+
+    if (this.projection == "orthographic") {
+      // Keep the target framed the same way as the perspective view, so
+      // dollying zooms the orthographic view too.
+      var halfHeight = this.viewHeight() / 2;
+      var halfWidth = halfHeight * aspect;
+      return buildOrthographicMatrix(-halfWidth, halfWidth, -halfHeight, halfHeight, this.near, this.far);
+    }
+
+    return buildPerspectiveMatrix(this.fovY, aspect, this.near, this.far);
+  }
+
+  /**
+   * Eases in pending input and returns the matrices for this frame. Call once per frame.
+   * @param {number} deltaTime - The seconds since the last frame.
+   * @param {number} [aspect] - The width of the viewport divided by its height. Defaults to the canvas's.
+   * @returns {{view: mat4, projection: mat4, eye: vec3}} The matrices and camera position.
+   */
+  update(deltaTime, aspect) {
+    // The fraction of pending input to apply this frame. Exponential easing
+    // covers the same ground in the same time whatever the frame rate.
+    var fraction = this.damping > 0 ? 1 - Math.exp(-this.damping * Math.max(deltaTime, 0)) : 1;
+
+    this.applyRotation(fraction);
+
+    if (this.pendingPan[0] != 0 || this.pendingPan[1] != 0) {
+      var view = this.viewMatrix();
+      var right = view[0].slice(0, 3);
+      var up = view[1].slice(0, 3);
+      var pixelHeight = this.canvas ? this.canvas.clientHeight || this.canvas.height : 500;
+      var scale = this.viewHeight() / pixelHeight;
+      var dx = this.pendingPan[0] * fraction * scale;
+      var dy = this.pendingPan[1] * fraction * scale;
+
+      this.target = linearAddition(this.target, linearAddition(linearScale(-dx, right), linearScale(dy, up)));
+      this.pendingPan[0] *= 1 - fraction;
+      this.pendingPan[1] *= 1 - fraction;
+    }
+
+    if (this.pendingDolly != 0) {
+      var notches = this.pendingDolly * fraction;
+      this.distance = Math.min(Math.max(this.distance * Math.pow(this.dollySpeed, notches), this.minDistance), this.maxDistance);
+      this.pendingDolly -= notches;
+    }
+
+    return {
+      view: this.viewMatrix(),
+      projection: this.projectionMatrix(aspect),
+      eye: this.eye,
+    };
+  }
+}
+
+// ##################### ORBIT CAMERA ####################
+
+/**
+ * A camera that circles a target, like a turntable. Dragging sideways spins it
+ * around the world up axis and dragging up and down tilts it, so the horizon
+ * always stays level.
+ */
+class OrbitCamera extends CameraController {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to listen to. May be null.
+   * @param {Object} [options] - The CameraController options, and:
+   * @param {number} [options.azimuth=0] - The angle around the up axis in degrees. 0 looks down -z.
+   * @param {number} [options.elevation=0] - The angle above the horizon in degrees.
+   * @param {number} [options.minElevation=-89] - The lowest the camera may tilt.
+   * @param {number} [options.maxElevation=89] - The highest the camera may tilt.
+   * @param {number} [options.minAzimuth=-Infinity] - The farthest the camera may spin one way.
+   * @param {number} [options.maxAzimuth=Infinity] - The farthest the camera may spin the other way.
+   */
+  constructor(canvas, options) {
+    options = options || {};
+    super(canvas, options);
+
+    this.azimuth = options.azimuth || 0;
+    this.elevation = options.elevation || 0;
+    this.minElevation = options.minElevation !== undefined ? options.minElevation : -89;
+    this.maxElevation = options.maxElevation !== undefined ? options.maxElevation : 89;
+    this.minAzimuth = options.minAzimuth !== undefined ? options.minAzimuth : -Infinity;
+    this.maxAzimuth = options.maxAzimuth !== undefined ? options.maxAzimuth : Infinity;
+  }
+
+  /**
+   * Applies the given fraction of the pending rotation, within the limits.
+   * @param {number} fraction - How much of the pending rotation to apply, from 0 to 1.
+   */
+  applyRotation(fraction) {
+    this.azimuth -= this.pendingRotation[0] * fraction;
+    this.elevation += this.pendingRotation[1] * fraction;
+    this.pendingRotation[0] *= 1 - fraction;
+    this.pendingRotation[1] *= 1 - fraction;
+
+    this.azimuth = Math.min(Math.max(this.azimuth, this.minAzimuth), this.maxAzimuth);
+    this.elevation = Math.min(Math.max(this.elevation, this.minElevation), this.maxElevation);
+  }
+
+  /**
+   * Returns the position and up direction of the camera.
+   * @returns {{eye: vec3, up: vec3}} The camera frame.
+   */
+  cameraFrame() {
+    var a = degreesToRadians(this.azimuth);
+    var e = degreesToRadians(this.elevation);
+
+    var offset = [
+      this.distance * Math.cos(e) * Math.sin(a),
+      this.distance * Math.sin(e),
+      this.distance * Math.cos(e) * Math.cos(a),
+    ];
+
+    return { eye: linearAddition(this.target, offset), up: [0, 1, 0] };
+  }
+}
+
+// ##################### ARCBALL CAMERA ####################
+
+/**
+ * A camera that rolls freely around a target, as if the pointer were dragging
+ * a glass ball containing the scene. Unlike OrbitCamera there is no fixed up
+ * direction, so the scene can be turned upside down.
+ */
+class ArcballCamera extends CameraController {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to listen to. May be null.
+   * @param {Object} [options] - The CameraController options, and:
+   * @param {quaternion} [options.orientation] - The starting orientation of the camera. Defaults to looking down -z.
+   */
+  constructor(canvas, options) {
+    options = options || {};
+    super(canvas, options);
+
+    this.orientation = options.orientation ? normalizeQuaternion(options.orientation) : quaternion();
+    this.pendingRotation = quaternion();
+    this.lastBallPoint = null;
+  }
+
+  /**
+   * Maps a canvas point onto the arcball: a unit sphere in the middle of the
+   * canvas, blending into a hyperbolic sheet outside it so dragging past the
+   * edge keeps turning smoothly.
+   * @param {vec2} point - The point in canvas coordinates.
+   * @returns {vec3} The point on the ball.
+   */
+  ballPoint(point) {
+    var x = point[0];
+    var y = point[1];
+    var lengthSquared = x * x + y * y;
+
+    if (lengthSquared <= 0.5) {
+      return [x, y, Math.sqrt(1 - lengthSquared)];
+    }
+
+    return normalizeVectors([x, y, 0.5 / Math.sqrt(lengthSquared)]);
+  }
+
+  /**
+   * Remembers where a rotating drag starts on the ball.
+   * @param {vec2} point - The pointer position in canvas coordinates.
+   */
+  beginRotate(point) {
+    this.lastBallPoint = this.ballPoint(point);
+  }
+
+  /**
+   * Rolls the ball from the last pointer position to the new one.
+   * @param {number} dx - The horizontal distance dragged in pixels.
+   * @param {number} dy - The vertical distance dragged in pixels.
+   * @param {vec2} [point] - The pointer position in canvas coordinates. Without it, dx and dy are treated as degrees.
+   */
+  rotate(dx, dy, point) {
+    var turn;
+
+    if (point && this.lastBallPoint) {
+      var next = this.ballPoint(point);
+      var axis = crossProduct(this.lastBallPoint, next);
+      var cosine = Math.min(Math.max(dotProduct(this.lastBallPoint, next), -1), 1);
+      this.lastBallPoint = next;
+
+      if (vectorLength(axis) < 1e-9) {
+        return;
+      }
+
+      // Twice the angle between the points, so one drag across the ball is a full turn.
+      turn = quaternionFromAxisAngle((2 * Math.acos(cosine) * 180) / Math.PI, axis);
+    } else {
+      turn = multiplyQuaternions(
+        quaternionFromAxisAngle(dx * this.rotateSpeed, [0, 1, 0]),
+        quaternionFromAxisAngle(dy * this.rotateSpeed, [1, 0, 0])
+      );
+    }
+
+    this.pendingRotation = normalizeQuaternion(multiplyQuaternions(turn, this.pendingRotation));
+  }
+
+  /**
+   * Applies the given fraction of the pending rotation.
+   * @param {number} fraction - How much of the pending rotation to apply, from 0 to 1.
+   */
+  applyRotation(fraction) {
+    var step = slerpQuaternions(quaternion(), this.pendingRotation, fraction);
+
+    // The ball is dragged in view space; turning the scene one way is the
+    // same as turning the camera the other way around it.
+    this.orientation = normalizeQuaternion(multiplyQuaternions(this.orientation, invertQuaternion(step)));
+    this.pendingRotation = normalizeQuaternion(multiplyQuaternions(this.pendingRotation, invertQuaternion(step)));
+  }
+
+  /**
+   * Returns the position and up direction of the camera.
+   * @returns {{eye: vec3, up: vec3}} The camera frame.
+   */
+  cameraFrame() {
+    return {
+      eye: linearAddition(this.target, rotateVectorByQuaternion(this.orientation, [0, 0, this.distance])),
+      up: rotateVectorByQuaternion(this.orientation, [0, 1, 0]),
+    };
+  }
+}
+
+// ##################### FLY CAMERA ####################
+
+/**
+ * A first-person camera that flies freely through the scene. Click the canvas
+ * to capture the mouse (with the Pointer Lock API) and look around, then use
+ * W/A/S/D to move, Q/E to sink and rise, and Shift to go faster. Escape
+ * releases the mouse.
+ *
+ * Movement speeds up and slows down with a set acceleration, and is scaled by
+ * the time between frames, so the camera moves at the same speed at any frame rate.
+ */
+class FlyCamera {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to listen to. May be null to drive the camera from code only.
+   * @param {Object} [options] - Settings, which can also be changed later as properties of the same names.
+   * @param {vec3} [options.position=[0, 0, 5]] - Where the camera starts.
+   * @param {number} [options.yaw=0] - The starting heading in degrees. 0 looks down -z, and positive turns left.
+   * @param {number} [options.pitch=0] - The starting angle above the horizon in degrees.
+   * @param {number} [options.speed=5] - The top speed in units per second.
+   * @param {number} [options.boost=3] - How much faster the camera goes while Shift is held.
+   * @param {number} [options.acceleration=20] - How quickly the camera speeds up and slows down, in units per second per second.
+   * @param {number} [options.lookSpeed=0.1] - Degrees turned per pixel the mouse moves.
+   * @param {number} [options.minPitch=-89] - The lowest the camera may look.
+   * @param {number} [options.maxPitch=89] - The highest the camera may look.
+   * @param {number} [options.fovY=60] - The vertical field of view in degrees.
+   * @param {number} [options.near=0.1] - The distance to the near clipping plane.
+   * @param {number} [options.far=1000] - The distance to the far clipping plane.
+   */
+  constructor(canvas, options) {
+    options = options || {};
+
+    this.position = (options.position || [0, 0, 5]).slice(0, 3);
+    this.yaw = options.yaw || 0;
+    this.pitch = options.pitch || 0;
+    this.speed = options.speed !== undefined ? options.speed : 5;
+    this.boost = options.boost !== undefined ? options.boost : 3;
+    this.acceleration = options.acceleration !== undefined ? options.acceleration : 20;
+    this.lookSpeed = options.lookSpeed !== undefined ? options.lookSpeed : 0.1;
+    this.minPitch = options.minPitch !== undefined ? options.minPitch : -89;
+    this.maxPitch = options.maxPitch !== undefined ? options.maxPitch : 89;
+    this.fovY = options.fovY !== undefined ? options.fovY : 60;
+    this.near = options.near !== undefined ? options.near : 0.1;
+    this.far = options.far !== undefined ? options.far : 1000;
+
+    this.velocity = [0, 0, 0];
+    this.keys = {};
+    this.locked = false;
+    this.canvas = null;
+
+    if (canvas) {
+      this.attach(canvas);
+    }
+  }
+
+  /**
+   * Starts listening for clicks on a canvas, and for the mouse and keyboard
+   * while the pointer is locked to it.
+   * @param {HTMLCanvasElement} canvas - The canvas.
+   */
+  attach(canvas) {
+    this.detach();
+    this.canvas = canvas;
+
+    var self = this;
+
+    this.canvasListeners = {
+      click: function () {
+        if (!self.locked && canvas.requestPointerLock) {
+          canvas.requestPointerLock();
+        }
+      },
+    };
+
+    this.documentListeners = {
+      pointerlockchange: function () {
+        self.locked = document.pointerLockElement === canvas;
+        if (!self.locked) {
+          self.keys = {};
+        }
+      },
+      mousemove: function (event) {
+        if (self.locked) {
+          self.look(event.movementX, event.movementY);
+        }
+      },
+      keydown: function (event) {
+        if (self.locked) {
+          self.keys[event.code] = true;
+          event.preventDefault();
+        }
+      },
+      keyup: function (event) {
+        delete self.keys[event.code];
+      },
+    };
+
+    // Keys held when the window loses focus never see their keyup.
+    this.windowListeners = {
+      blur: function () {
+        self.keys = {};
+      },
+    };
+
+    for (var type in this.canvasListeners) {
+      canvas.addEventListener(type, this.canvasListeners[type]);
+    }
+    for (var type in this.documentListeners) {
+      document.addEventListener(type, this.documentListeners[type]);
+    }
+    for (var type in this.windowListeners) {
+      window.addEventListener(type, this.windowListeners[type]);
+    }
+  }
+
+  /**
+   * Stops listening to the canvas passed to attach(), and releases the pointer if it is locked.
+   */
+  detach() {
+    if (!this.canvas) {
+      return;
+    }
+
+    if (this.locked && document.exitPointerLock) {
+      document.exitPointerLock();
+    }
+
+    for (var type in this.canvasListeners) {
+      this.canvas.removeEventListener(type, this.canvasListeners[type]);
+    }
+    for (var type in this.documentListeners) {
+      document.removeEventListener(type, this.documentListeners[type]);
+    }
+    for (var type in this.windowListeners) {
+      window.removeEventListener(type, this.windowListeners[type]);
+    }
+
+    this.canvas = null;
+    this.locked = false;
+    this.keys = {};
+  }
+
+  /**
+   * Turns the camera as if the mouse moved.
+   * @param {number} dx - The horizontal mouse movement in pixels. Positive turns right.
+   * @param {number} dy - The vertical mouse movement in pixels. Positive looks down.
+   */
+  look(dx, dy) {
+    this.yaw -= dx * this.lookSpeed;
+    this.pitch = Math.min(Math.max(this.pitch - dy * this.lookSpeed, this.minPitch), this.maxPitch);
+  }
+
+  /**
+   * Turns the camera to face a point.
+   * @param {vec3} point - The point to face.
+   */
+  lookAt(point) {
+    var d = linearSubtract(point.slice(0, 3), this.position);
+    var horizontal = Math.sqrt(d[0] * d[0] + d[2] * d[2]);
+
+    if (horizontal == 0 && d[1] == 0) {
+      return;
+    }
+
+    this.yaw = (Math.atan2(-d[0], -d[2]) * 180) / Math.PI;
+    this.pitch = Math.min(Math.max((Math.atan2(d[1], horizontal) * 180) / Math.PI, this.minPitch), this.maxPitch);
+  }
+
+  /**
+   * The unit vector the camera is looking along.
+   * @type {vec3}
+   */
+  get forward() {
+    var yaw = degreesToRadians(this.yaw);
+    var pitch = degreesToRadians(this.pitch);
+
+    return [-Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), -Math.cos(pitch) * Math.cos(yaw)];
+  }
+
+  /**
+   * The unit vector pointing to the camera's right, parallel to the ground.
+   * @type {vec3}
+   */
+  get right() {
+    return normalizeVectors(crossProduct(this.forward, [0, 1, 0]));
+  }
+
+  /**
+   * The camera position.
+   * @type {vec3}
+   */
+  get eye() {
+    return this.position.slice();
+  }
+
+  /**
+   * Returns the direction the held keys ask to move in, before scaling by speed.
+   * @returns {vec3} The direction, or a zero vector if no movement keys are held.
+   */
+  inputDirection() {
+    var forward = this.forward;
+    var right = this.right;
+    var keys = this.keys;
+    var direction = [0, 0, 0];
+
+    var add = function (v, s) {
+      direction = linearAddition(direction, linearScale(s, v));
+    };
+
+    if (keys.KeyW) add(forward, 1);
+    if (keys.KeyS) add(forward, -1);
+    if (keys.KeyD) add(right, 1);
+    if (keys.KeyA) add(right, -1);
+    if (keys.KeyE) add([0, 1, 0], 1);
+    if (keys.KeyQ) add([0, 1, 0], -1);
+
+    // Moving diagonally should not be faster than moving straight.
+    return vectorLength(direction) > 0 ? normalizeVectors(direction) : direction;
+  }
+
+  /**
+   * Returns the view matrix for the camera as it is now.
+   * @returns {mat4} The view matrix.
+   */
+  viewMatrix() {
+    return viewMatrixAt(this.position.slice(), linearAddition(this.position, this.forward), [0, 1, 0]);
+  }
+
+  /**
+   * Returns the projection matrix for the camera.
+   * @param {number} [aspect] - The width of the viewport divided by its height. Defaults to the canvas's.
+   * @returns {mat4} The projection matrix.
+   */
+  projectionMatrix(aspect) {
+    if (aspect === undefined) {
+      aspect = this.canvas ? this.canvas.width / this.canvas.height : 1;
+    }
+
+    return buildPerspectiveMatrix(this.fovY, aspect, this.near, this.far);
+  }
+
+  /**
+   * Moves the camera by the time since the last frame and returns the
+   * matrices for this frame. Call once per frame.
+   * @param {number} deltaTime - The seconds since the last frame.
+   * @param {number} [aspect] - The width of the viewport divided by its height. Defaults to the canvas's.
+   * @returns {{view: mat4, projection: mat4, eye: vec3}} The matrices and camera position.
+   */
+  update(deltaTime, aspect) {
+    // A long gap (such as a hidden tab) should not fling the camera away.
+    var dt = Math.min(Math.max(deltaTime, 0), 0.1);
+
+    var topSpeed = this.speed * (this.keys.ShiftLeft || this.keys.ShiftRight ? this.boost : 1);
+    var wanted = linearScale(topSpeed, this.inputDirection());
+
+    // Move the velocity toward the wanted velocity, by no more than the
+    // acceleration allows in this much time.
+    var change = linearSubtract(wanted, this.velocity);
+    var changeLength = vectorLength(change);
+    var maxChange = this.acceleration * dt;
+
+    if (changeLength > maxChange) {
+      change = linearScale(maxChange / changeLength, change);
+    }
+
+    // Moving by the average of the old and new velocity is exact while
+    // accelerating, so the distance covered does not depend on the frame rate.
+    var velocity = linearAddition(this.velocity, change);
+    this.position = linearAddition(this.position, linearScale(dt / 2, linearAddition(this.velocity, velocity)));
+    this.velocity = velocity;
+
+    return {
+      view: this.viewMatrix(),
+      projection: this.projectionMatrix(aspect),
+      eye: this.eye,
+    };
+  }
+}
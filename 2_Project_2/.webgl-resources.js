@@ -13,6 +13,10 @@
  * @license GNU GPL v3
  */
 
+// An #include line of a shader, such as #include "shaders/lighting.glsl",
+// which may end with a // comment. The first group is the chunk's name.
+const SHADER_INCLUDE_PATTERN = /^\s*#include\s+"([^"]+)"\s*(\/\/.*)?$/;
+
 class WebGLResources {
   constructor(globalCanvasID) {
     this.globalCanvasID = globalCanvasID;
@@ -21,6 +25,9 @@ class WebGLResources {
       ################### WEBGL INITIALIZATION ###################
       ############################################################ */
 
+    // The IIFE below has its own "this", so keep a reference to this one.
+    const resources = this;
+
     this.WebGLUtils = (function () {
       /**
        * Message suggesting the user get a browser which runs WebGL.
@@ -39,14 +46,48 @@ class WebGLResources {
         '<a href="http://get.webgl.org/troubleshooting/">Click here for more information.</a>';
 
       /**
-       * Creates a webgl context. If creation fails, it will
-       * change the contents of the parent container of the <canvas>
-       * tag to an error message with the correct links for WebGL.
+       * Returns a message saying the page needs a newer WebGL version than the
+       * browser or computer supports.
+       * @param  { number } version. The WebGL version the page needs.
+       * @return { string } The message.
+       */
+      var versionProblem = function (version) {
+        return (
+          "This page requires WebGL " + version + ", which this browser or computer does not support.<br/>" +
+          '<a href="http://get.webgl.org/webgl2/">Click here for more information.</a>'
+        );
+      };
+
+      /**
+       * Returns a message saying the page needs WebGL features the browser or
+       * computer does not support.
+       * @param  { string[] } names. The names of the missing capabilities.
+       * @return { string } The message.
+       */
+      var capabilityProblem = function (names) {
+        return (
+          "This page requires WebGL features this browser or computer does not support: " +
+          names.join(", ") + "."
+        );
+      };
+
+      /**
+       * Creates a webgl context, using WebGL 2 if it is available and WebGL 1
+       * otherwise. If creation fails, it will change the contents of the parent
+       * container of the <canvas> tag to an error message with the correct links
+       * for WebGL. The capabilities of the new context are saved in
+       * WebGLUtils.capabilities; see getCapabilities().
        * @param  { WebGLContextCreationAttributes } opt_attribs. Any creation
        *                                            attributes you want to pass in.
-       * @return { WebGLRenderingContext } The created context.
+       * @param  { number } minimumVersion. The lowest WebGL version the page can
+       *                    use, 1 or 2. Defaults to 1.
+       * @param  { string[] } requiredCapabilities. The names of capabilities the
+       *                      page cannot run without, such as "instancing".
+       *                      Optional.
+       * @return { WebGLRenderingContext | WebGL2RenderingContext } The created
+       *         context, or null if no suitable context could be created.
        */
-      var setupWebGL = function (opt_attribs) {
+      var setupWebGL = function (opt_attribs, minimumVersion = 1, requiredCapabilities = []) {
         // Get the canvas from the DOM.
         const canvas = document.getElementById(globalCanvasID);
 
@@ -62,30 +103,52 @@ class WebGLResources {
         }
 
         // Create a webgl context.
-        var context = create3DContext(opt_attribs);
+        var context = create3DContext(opt_attribs, minimumVersion);
 
         // If the context was not created, display an error message.
         if (!context) {
-          console.error("WebGL", HARDWARE_PROBLEM);
+          console.error("WebGL", minimumVersion > 1 ? versionProblem(minimumVersion) : HARDWARE_PROBLEM);
+          return null;
+        }
+
+        // Track the context, so it can be put back if the GPU resets.
+        resources.trackContext(context);
+
+        // Describe the context, and refuse it if the page needs something it lacks.
+        utilities.capabilities = getCapabilities(context);
+
+        var missing = requiredCapabilities.filter(function (name) {
+          return !utilities.capabilities[name];
+        });
+
+        if (missing.length > 0) {
+          console.error("WebGL", capabilityProblem(missing));
+          return null;
         }
 
-        // Return the created context. If it was not successfully created, this
-        // will be null.
+        // Return the created context.
         return context;
       };
 
       /**
-       * Creates a 3D webgl context.
+       * Creates a 3D webgl context, trying WebGL 2 first.
        * @param  { WebGLContextCreationAttributes } opt_attribs. Any creation
        *                                            attributes you want to pass in.
+       * @param  { number } minimumVersion. The lowest WebGL version to accept, 1
+       *                    or 2. Defaults to 1.
        * @return { !WebGLContext } The created context.
        */
-      var create3DContext = function (opt_attribs) {
+      var create3DContext = function (opt_attribs, minimumVersion = 1) {
         // Get the canvas from the DOM.
         const canvas = document.getElementById(globalCanvasID);
 
-        // An array of possible WebGL context names across different browsers.
-        var names = ["webgl", "experimental-webgl", "webkit-3d", "moz-webgl"];
+        // An array of possible WebGL context names across different browsers, best
+        // first. Only "webgl2" gives a WebGL 2 context.
+        var names = ["webgl2", "webgl", "experimental-webgl", "webkit-3d", "moz-webgl"];
+
+        if (minimumVersion > 1) {
+          names = ["webgl2"];
+        }
 
         // The context to be returned. Starts as null.
         var context = null;
@@ -110,11 +173,68 @@ class WebGLResources {
         return context;
       };
 
+      /**
+       * Describes what a context can do, so demos can branch on it. Asking for an
+       * extension turns it on, so a WebGL 1 context gets every feature listed here
+       * that it supports.
+       * @param  { WebGLRenderingContext | WebGL2RenderingContext } gl. The context.
+       * @return { object } An object with the WebGL version (1 or 2), the
+       *         maxTextureSize, maxVertexAttribs, and maxTextureUnits limits, the
+       *         floatTextures, floatLinearFiltering, floatRenderTargets,
+       *         instancing, and vertexArrayObjects flags, and the extensions that
+       *         were turned on (such as ANGLE_instanced_arrays, whose methods WebGL
+       *         1 needs for instancing), by name.
+       */
+      var getCapabilities = function (gl) {
+        var webgl2 =
+          typeof WebGL2RenderingContext !== "undefined" &&
+          gl instanceof WebGL2RenderingContext;
+
+        // WebGL 2 has instancing, vertex array objects, and float textures built in.
+        var names = webgl2
+          ? ["EXT_color_buffer_float", "OES_texture_float_linear"]
+          : [
+              "OES_texture_float",
+              "OES_texture_float_linear",
+              "WEBGL_color_buffer_float",
+              "ANGLE_instanced_arrays",
+              "OES_vertex_array_object",
+            ];
+
+        var extensions = {};
+        for (var i = 0; i < names.length; ++i) {
+          var extension = gl.getExtension(names[i]);
+          if (extension) {
+            extensions[names[i]] = extension;
+          }
+        }
+
+        return {
+          version: webgl2 ? 2 : 1,
+          maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+          maxVertexAttribs: gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+          maxTextureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+          floatTextures: webgl2 || !!extensions.OES_texture_float,
+          floatLinearFiltering: !!extensions.OES_texture_float_linear,
+          floatRenderTargets: !!(
+            extensions.EXT_color_buffer_float || extensions.WEBGL_color_buffer_float
+          ),
+          instancing: webgl2 || !!extensions.ANGLE_instanced_arrays,
+          vertexArrayObjects: webgl2 || !!extensions.OES_vertex_array_object,
+          extensions: extensions,
+        };
+      };
+
       // End of setupWebGL.
-      return {
+      var utilities = {
         create3DContext: create3DContext,
         setupWebGL: setupWebGL,
+        getCapabilities: getCapabilities,
+        // The capabilities of the context last made by setupWebGL(), or null.
+        capabilities: null,
       };
+
+      return utilities;
     })(); // End of WebGLUtils.
 
     /**
@@ -158,6 +278,13 @@ class WebGLResources {
         }
       );
     })();
+
+    // GLSL chunks for #include, by registered name or URL. See
+    // registerShaderChunk() and loadShaderSource().
+    this.shaderChunks = new Map();
+
+    // Start the random number generator from the URL's seed, or a new one.
+    this.setRandomSeed(this.randomSeedFromURL());
   }
 
   /* ###########################################################
@@ -165,92 +292,126 @@ class WebGLResources {
     ########################################################### */
 
   /**
-   * This function initializes the shaders for a WebGL program.
+   * This function initializes the shaders for a WebGL program from <script>
+   * tags. The shaders may #include chunks that are already registered or
+   * loaded; see loadProgram() to load them from files.
    * @param  { WebGLRenderingContext } gl - The WebGL rendering context.
    * @param  { string } vertexShaderId - The id of the vertex shader.
    * @param  { string } fragmentShaderId - The id of the fragment shader.
+   * @param  { string } sharedSource - GLSL code, such as GLSL_NOISE from
+   *                    .webgl-utilities.js, to include in both shaders.
+   *                    Optional.
    * @return { WebGLProgram } - The WebGL program.
    */
-  initShaders(gl, vertexShaderId, fragmentShaderId) {
-    var vertexShader;
-    var fragmentShader;
-
-    // ##################### VERTEX SHADER #####################
-
+  initShaders(gl, vertexShaderId, fragmentShaderId, sharedSource) {
     // Get the vertex shader from the DOM.
     var vertexElement = document.getElementById(vertexShaderId);
 
     // If the vertex shader does not exist, display an error message and return
     // null.
     if (!vertexElement) {
-      console.error(
-        "WebGL",
-        "Unable to load vertex shader " + vertexShaderId + "."
-      );
+      this.reportShaderError("Unable to load vertex shader " + vertexShaderId + ".");
       return null;
-
-      // If the vertex shader does exist, create a vertex shader and compile it.
-    } else {
-      // Create a vertex shader.
-      vertexShader = gl.createShader(gl.VERTEX_SHADER);
-
-      // Set the source code of the vertex shader to the text of the vertex
-      // element.
-      gl.shaderSource(vertexShader, vertexElement.text);
-
-      // Compile the vertex shader.
-      gl.compileShader(vertexShader);
-
-      // If the vertex shader failed to compile, display an error message and
-      // return null.
-      if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-        var msg =
-          "Vertex shader failed to compile.  The error log is:" +
-          "<pre>" +
-          gl.getShaderInfoLog(vertexShader) +
-          "</pre>";
-        console.error("WebGL", msg);
-        return null;
-      }
     }
 
-    // #################### FRAGMENT SHADER ####################
-
     // Get the fragment shader from the DOM.
     var fragElem = document.getElementById(fragmentShaderId);
 
     // If the fragment shader does not exist, display an error message and return
     // null.
     if (!fragElem) {
-      console.error(
-        "WebGL",
-        "Unable to load vertex shader " + fragmentShaderId + "."
+      this.reportShaderError("Unable to load fragment shader " + fragmentShaderId + ".");
+      return null;
+    }
+
+    // Expand any #include lines and insert the shared source.
+    var vertex = this.preprocessShader(vertexElement.text, {
+      name: "#" + vertexShaderId,
+      sharedSource: sharedSource,
+    });
+    var fragment = this.preprocessShader(fragElem.text, {
+      name: "#" + fragmentShaderId,
+      sharedSource: sharedSource,
+    });
+
+    if (!vertex || !fragment) {
+      return null;
+    }
+
+    var program = this.compileProgram(gl, vertex, fragment);
+    this.rememberProgram(
+      gl,
+      program,
+      { vertex: vertexShaderId, fragment: fragmentShaderId, options: { sharedSource } },
+      [vertex, fragment]
+    );
+
+    return program;
+  }
+
+  /**
+   * This function compiles a vertex and a fragment shader and links them into
+   * a program.
+   * @param  { WebGLRenderingContext } gl - The WebGL rendering context.
+   * @param  { object } vertex - The vertex shader, as returned by
+   *                    preprocessShader().
+   * @param  { object } fragment - The fragment shader, as returned by
+   *                    preprocessShader().
+   * @param  { Map<string, number> } attributes - Optional. Locations to bind
+   *                                 attributes to before linking, by name.
+   * @return { WebGLProgram } - The WebGL program, or null if a shader failed
+   *                            to compile or the program failed to link.
+   */
+  compileProgram(gl, vertex, fragment, attributes = new Map()) {
+    // ##################### VERTEX SHADER #####################
+
+    // Create a vertex shader.
+    var vertexShader = gl.createShader(gl.VERTEX_SHADER);
+
+    // Set the source code of the vertex shader.
+    gl.shaderSource(vertexShader, vertex.source);
+
+    // Compile the vertex shader.
+    gl.compileShader(vertexShader);
+
+    // If the vertex shader failed to compile, display its errors and return
+    // null.
+    if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+      this.reportShaderError(
+        this.formatShaderErrors(
+          "Vertex shader " + vertex.name + " failed to compile.",
+          vertex,
+          gl.getShaderInfoLog(vertexShader)
+        )
       );
+      gl.deleteShader(vertexShader);
       return null;
+    }
 
-      // If the fragment shader does exist, create a fragment shader and compile it.
-    } else {
-      // Create a fragment shader.
-      fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-
-      // Set the source code of the fragment shader to the text of the fragment
-      // element.
-      gl.shaderSource(fragmentShader, fragElem.text);
-
-      // Compile the fragment shader.
-      gl.compileShader(fragmentShader);
-
-      // If the fragment shader failed to compile, display an error message and
-      // return null.
-      if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-        var msg =
-          "Fragment shader failed to compile.  The error log is:" +
-          "<pre>" +
-          gl.getShaderInfoLog(fragmentShader) +
-          "</pre>";
-        console.error("WebGL", msg);
-        return null;
-      }
+    // #################### FRAGMENT SHADER ####################
+
+    // Create a fragment shader.
+    var fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+
+    // Set the source code of the fragment shader.
+    gl.shaderSource(fragmentShader, fragment.source);
+
+    // Compile the fragment shader.
+    gl.compileShader(fragmentShader);
+
+    // If the fragment shader failed to compile, display its errors and return
+    // null.
+    if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+      this.reportShaderError(
+        this.formatShaderErrors(
+          "Fragment shader " + fragment.name + " failed to compile.",
+          fragment,
+          gl.getShaderInfoLog(fragmentShader)
+        )
+      );
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
+      return null;
     }
 
     // ##################### SHADER PROGRAM ####################
@@ -262,181 +423,2263 @@ class WebGLResources {
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
 
+    attributes.forEach((index, name) => gl.bindAttribLocation(program, index, name));
+
     // Link the program.
     gl.linkProgram(program);
 
     // If the program failed to link, display an error message and return null.
     if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-      var msg =
-        "Shader program failed to link.  The error log is:" +
-        "<pre>" +
-        gl.getProgramInfoLog(program) +
-        "</pre>";
-      console.error("WebGL", msg);
+      this.reportShaderError(
+        "Shader program (" + vertex.name + ", " + fragment.name + ") failed to link." +
+        "  The error log is:\n\n" +
+        gl.getProgramInfoLog(program)
+      );
+      gl.deleteProgram(program);
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
       return null;
     }
 
+    // A linked program no longer needs its shaders.
+    gl.detachShader(program, vertexShader);
+    gl.detachShader(program, fragmentShader);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+
     // Return the program.
     return program;
   }
 
   /* ############################################################
-    ###################### CUSTOM SCRIPTS ######################
+    ###################### SHADER LOADING ######################
     ############################################################ */
 
+  // Shaders can be loaded from <script> tags, strings, or files, and can pull
+  // in shared chunks of GLSL with a line like
+  //
+  //   #include "shaders/lighting.glsl"
+  //
+  // A chunk is found by the name given to registerShaderChunk(), or else is
+  // fetched from the URL relative to the file that includes it. Fetching only
+  // works when the page is served over HTTP, not opened as a file.
+
   /**
-   * This function returns a random, positive integer between minimumValue
-   * (defaulted to 0) and maximumValue.
-   * @param  { boolean } roundResult - Whether or not to round the result to the
-   *                     nearest integer.
-   * @param  { number } maximumValue - The maximum value of the random number.
-   * @param  { number } minimumValue - The minimum value of the random number.
-   * @return { number } - A random number between minimumValue and maximumValue.
+   * This function registers a chunk of GLSL under a name, so shaders can
+   * #include it without fetching anything.
+   * @param  { string } name - The name to #include it by.
+   * @param  { string } source - The GLSL code.
+   * @return { void }
    */
-  randomNumber(roundResult = false, maximumValue = 1, minimumValue = 0) {
-    if (roundResult) {
-      return Math.min(
-        Math.round(Math.random() * maximumValue) + minimumValue,
-        maximumValue
-      );
-    } else {
-      return Math.min(
-        Math.random() * maximumValue + minimumValue,
-        maximumValue
+  registerShaderChunk(name, source) {
+    this.shaderChunks.set(name, source);
+  }
+
+  /**
+   * This function fetches GLSL code from a URL. Each URL is only fetched
+   * once; later calls return the same code.
+   * @param  { string } url - The URL, relative to the page.
+   * @param  { Set<string> } reloading - Optional. While reloading shaders, the
+   *                         URLs fetched again so far. URLs not in it are
+   *                         fetched again, bypassing the browser's cache.
+   * @return { Promise<string> } - The code. Rejects if it can't be fetched.
+   */
+  async loadShaderSource(url, reloading = null) {
+    const href = new URL(url, document.baseURI).href;
+
+    if (this.shaderChunks.has(href) && (!reloading || reloading.has(href))) {
+      return this.shaderChunks.get(href);
+    }
+
+    if (reloading) {
+      reloading.add(href);
+    }
+
+    var response;
+    try {
+      response = await fetch(href, reloading ? { cache: "no-store" } : undefined);
+    } catch (error) {
+      throw new Error(
+        "Unable to load shader " + url + "." +
+        (location.protocol === "file:"
+          ? " Shader files can't be fetched by a page opened as a file; serve" +
+            " this folder over HTTP (for example with python3 -m http.server)."
+          : "")
       );
     }
+
+    if (!response.ok) {
+      throw new Error("Unable to load shader " + url + " (HTTP " + response.status + ").");
+    }
+
+    const text = await response.text();
+    this.shaderChunks.set(href, text);
+
+    return text;
   }
 
   /**
-   * This function returns a random multiplier of 1 or -1 for other numbers to
-   * use for sign randomization.
-   * @return { number } - A random number of 1 or -1.
+   * This function fetches every chunk that some GLSL code #includes, and every
+   * chunk those include, so preprocessShader() can find them all.
+   * @param  { string } source - The GLSL code.
+   * @param  { string } baseURL - The URL the code came from, which included
+   *                    paths are relative to. Defaults to the page's URL.
+   * @param  { Set<string> } reloading - Optional. See loadShaderSource().
+   * @return { Promise<void> } - Resolves once every chunk is loaded.
    */
-  randomSignMultiplier() {
-    return Math.random() < 0.5 ? -1 : 1;
+  async loadShaderIncludes(source, baseURL = document.baseURI, reloading = null) {
+    for (const line of source.split("\n")) {
+      const match = SHADER_INCLUDE_PATTERN.exec(line);
+      if (!match) {
+        continue;
+      }
+
+      const url = new URL(match[1], baseURL).href;
+
+      // Registered chunks are never fetched.
+      if (match[1] !== url && this.shaderChunks.has(match[1])) {
+        continue;
+      }
+
+      if (!this.shaderChunks.has(url) || (reloading && !reloading.has(url))) {
+        await this.loadSourceWithIncludes(url, reloading);
+      }
+    }
   }
 
   /**
-   * This function returns an object representing a random color with red, green,
-   * blue, and alpha properties. It has checks in place to prevent the color
-   * being too bright against a white background.
-   * @return { object } - An object with red, green, blue, and alpha properties.
+   * This function fetches GLSL code and every chunk it #includes.
+   * @param  { string } url - The URL of the code.
+   * @param  { Set<string> } reloading - Optional. See loadShaderSource().
+   * @return { Promise<string> } - The code.
    */
-  randomRGBAColor() {
-    // The minimum alpha value for the color.
-    const minimumAlpha = 1.0; // Arbitrary value. Percentage.
+  async loadSourceWithIncludes(url, reloading = null) {
+    const source = await this.loadShaderSource(url, reloading);
+    await this.loadShaderIncludes(source, new URL(url, document.baseURI).href, reloading);
 
-    // The maximum sum of the red, green, and blue values for the color.
-    // This is to ensure that the color is not too bright.
-    const maximumColorSum = 2.65; // Arbitrary value. Sum of percentages.
+    return source;
+  }
 
-    // The random color object to be returned.
-    var color = {
-      red: this.randomNumber(),
-      green: this.randomNumber(),
-      blue: this.randomNumber(),
-      alpha: Math.max(this.randomNumber(), minimumAlpha),
-    };
+  /**
+   * This function runs the shader preprocessor on GLSL code. It replaces each
+   * #include line with the chunk it names (only the first time it is named,
+   * so chunks can include each other without looping), adds #define lines
+   * for the given defines, and inserts any shared code. Chunks must already
+   * be registered or loaded; see loadShaderIncludes().
+   * @param  { string } source - The GLSL code.
+   * @param  { object } options - Optional. name is what to call the code in
+   *                    messages; baseURL is where it came from; defines maps
+   *                    macro names to values (true defines a macro with no
+   *                    value, and false or null leaves it out), so one source
+   *                    can build several variants of a program; sharedSource
+   *                    is code to insert after any #version, #extension, and
+   *                    precision lines.
+   * @return { object } - An object with the final source, its name, and a
+   *                      lineMap giving the file and line each line of the
+   *                      final source came from. Null if an #include failed.
+   */
+  preprocessShader(source, options = {}) {
+    const name = options.name || "shader";
+    const lines = [];
+    const included = new Set();
 
-    // If the sum of the red, green, and blue values is greater than the maximum
-    // color sum, reduce the color values to ensure the color is not too bright.
-    if (color.red + color.green + color.blue > maximumColorSum) {
-      // The difference between the sum of the color values and the maximum color
-      // sum.
-      var currentOverage =
-        color.red + color.green + color.blue - maximumColorSum;
+    const expand = (text, file, baseURL) => {
+      text.split("\n").forEach((line, index) => {
+        const match = SHADER_INCLUDE_PATTERN.exec(line);
 
-      // While the current overage is greater than 0, randomly reduce the color
-      // values.
-      while (currentOverage > 0) {
-        // Randomly select a color to reduce.
-        const randomColorIndex = this.randomNumber(true, 2, 0);
+        if (!match) {
+          lines.push({ text: line, file: file, line: index + 1 });
+          return;
+        }
 
-        // If the random color index is 0, reduce the red value.
-        if (randomColorIndex == 0) {
-          // If the red value is less than the current overage, reduce the red
-          // value to 0 and reduce the current overage by the red value.
-          if (color.red < currentOverage) {
-            currentOverage -= color.red;
-            color.red = 0;
+        const chunk = this.findShaderChunk(match[1], baseURL);
+        const where = " (included from " + file + ":" + (index + 1) + ")";
 
-            // If the red value is greater than or equal to the current overage,
-            // reduce the red value by the current overage and set the current
-            // overage to 0.
-          } else {
-            color.red -= currentOverage;
-            currentOverage = 0;
-          }
+        if (!chunk) {
+          throw new Error("Unable to find shader chunk \"" + match[1] + "\"" + where + ".");
+        }
 
-          // If the random color index is 1, reduce the green value.
-        } else if (randomColorIndex == 1) {
-          // If the green value is less than the current overage, reduce the green
-          // value to 0 and reduce the current overage by the green value.
-          if (color.green < currentOverage) {
-            currentOverage -= color.green;
-            color.green = 0;
+        // Keep a blank line in its place, so the lines around it keep their places.
+        lines.push({ text: "", file: file, line: index + 1 });
 
-            // If the green value is greater than or equal to the current overage,
-            // reduce the green value by the current overage and set the current
-            // overage to 0.
-          } else {
-            color.green -= currentOverage;
-            currentOverage = 0;
-          }
+        if (!included.has(chunk.key)) {
+          included.add(chunk.key);
+          expand(chunk.source, chunk.key, chunk.url);
+        }
+      });
+    };
 
-          // If the random color index is 2, reduce the blue value.
-        } else {
-          // If the blue value is less than the current overage, reduce the blue
-          // value to 0 and reduce the current overage by the blue value.
-          if (color.blue < currentOverage) {
-            currentOverage -= color.blue;
-            color.blue = 0;
+    try {
+      expand(source, name, options.baseURL || document.baseURI);
+    } catch (error) {
+      this.reportShaderError(name + ": " + error.message);
+      return null;
+    }
 
-            // If the blue value is greater than or equal to the current overage,
-            // reduce the blue value by the current overage and set the current
-            // overage to 0.
-          } else {
-            color.blue -= currentOverage;
-            currentOverage = 0;
-          }
-        }
+    // Defines go after #version and #extension, which must come first.
+    // Shared code goes after precision too, to use the shader's precision.
+    var definesAt = 0;
+    var sharedAt = 0;
+
+    lines.forEach((line, index) => {
+      if (/^\s*(#version|#extension)\b/.test(line.text)) {
+        definesAt = index + 1;
+      }
+      if (/^\s*(#version|#extension|precision)\b/.test(line.text)) {
+        sharedAt = index + 1;
       }
+    });
+
+    if (options.sharedSource) {
+      lines.splice(sharedAt, 0, ...options.sharedSource.split("\n").map((text, index) => ({
+        text: text,
+        file: "shared source",
+        line: index + 1,
+      })));
     }
 
-    return color;
+    const defines = Object.entries(options.defines || {})
+      .filter(([, value]) => value !== false && value !== null && value !== undefined)
+      .map(([macro, value], index) => ({
+        text: "#define " + macro + (value === true ? "" : " " + value),
+        file: "defines",
+        line: index + 1,
+      }));
+
+    lines.splice(definesAt, 0, ...defines);
+
+    return {
+      name: name,
+      source: lines.map((line) => line.text).join("\n"),
+      lineMap: lines.map((line) => ({ file: line.file, line: line.line })),
+    };
   }
 
   /**
-   * This function reloads the page that the user is currently on.
-   * @return { void }
+   * This function finds a chunk for an #include line.
+   * @param  { string } name - The name in the #include line.
+   * @param  { string } baseURL - The URL of the file with the #include line.
+   * @return { object } - The chunk's key (its registered name or its URL),
+   *                      source, and URL, or null if it isn't loaded.
    */
-  reloadPage() {
-    location.reload();
+  findShaderChunk(name, baseURL) {
+    const url = new URL(name, baseURL).href;
+
+    if (name !== url && this.shaderChunks.has(name)) {
+      return { key: name, source: this.shaderChunks.get(name), url: baseURL };
+    }
+
+    if (this.shaderChunks.has(url)) {
+      return { key: url, source: this.shaderChunks.get(url), url: url };
+    }
+
+    return null;
   }
 
   /**
-   * This function returns the pixel dimensions of whatever canvas element it
-   * finds with id globalCanvasID as an object with both width and height properties.
-   * @return { object } - An object with width and height properties.
+   * This function gets the code for one shader of a program, with every chunk
+   * it includes loaded.
+   * @param  { string | object } shader - The id of a <script> element, or an
+   *                             object with one of id, url, or source (and
+   *                             optionally a name for messages).
+   * @param  { Set<string> } reloading - Optional. See loadShaderSource().
+   *                         While reloading, <script> elements are read from
+   *                         the page as it is now on the server.
+   * @return { Promise<object> } - The code, a name for it, and its base URL.
    */
-  canvasDimensions() {
-    const canvas = document.getElementById(this.globalCanvasID);
-    return {
-      width: canvas.width,
-      height: canvas.height,
-    };
+  async loadShaderStage(shader, reloading = null) {
+    if (typeof shader === "string") {
+      shader = { id: shader };
+    }
+
+    var stage;
+
+    if (shader.url) {
+      stage = {
+        text: await this.loadShaderSource(shader.url, reloading),
+        name: shader.name || shader.url,
+        baseURL: new URL(shader.url, document.baseURI).href,
+      };
+    } else if (shader.id) {
+      const page = reloading ? await this.fetchPage() : document;
+      const element = page.getElementById(shader.id);
+      if (!element) {
+        throw new Error("Unable to load shader " + shader.id + ".");
+      }
+      stage = { text: element.text, name: shader.name || "#" + shader.id, baseURL: document.baseURI };
+    } else {
+      stage = { text: shader.source, name: shader.name || "shader", baseURL: document.baseURI };
+    }
+
+    await this.loadShaderIncludes(stage.text, stage.baseURL, reloading);
+
+    return stage;
   }
 
   /**
-   * This function returns an object with an x and y property representing a
-   * randomly selected 2D pixel coordinate given the working canvas' pixel
-   * dimensions.
-   * @return { object } - An object with x and y properties.
+   * This function loads and preprocesses both shaders of a program.
+   * @param  { string | object } vertex - The vertex shader, as for
+   *                             loadProgram().
+   * @param  { string | object } fragment - The fragment shader, as for
+   *                             loadProgram().
+   * @param  { object } options - defines and sharedSource, as for
+   *                    loadProgram().
+   * @param  { Set<string> } reloading - Optional. See loadShaderStage().
+   * @return { Promise<object[]> } - The two shaders, as returned by
+   *                                 preprocessShader(), or null if either
+   *                                 could not be loaded.
    */
-  random2DCoordinate() {
-    return {
-      x: this.randomSignMultiplier() * this.randomNumber(),
-      y: this.randomSignMultiplier() * this.randomNumber(),
-    };
+  async loadProgramShaders(vertex, fragment, options, reloading = null) {
+    var stages;
+
+    try {
+      stages = [
+        await this.loadShaderStage(vertex, reloading),
+        await this.loadShaderStage(fragment, reloading),
+      ];
+    } catch (error) {
+      this.reportShaderError(error.message);
+      return null;
+    }
+
+    const shaders = stages.map((stage) =>
+      this.preprocessShader(stage.text, {
+        name: stage.name,
+        baseURL: stage.baseURL,
+        defines: options.defines,
+        sharedSource: options.sharedSource,
+      })
+    );
+
+    return shaders[0] && shaders[1] ? shaders : null;
+  }
+
+  /**
+   * This function builds a program from shaders in <script> tags, strings,
+   * or files, loading any chunks they #include first. Unlike initShaders(),
+   * it returns a promise, since files take time to fetch.
+   * @param  { WebGLRenderingContext } gl - The WebGL rendering context.
+   * @param  { string | object } vertex - The vertex shader: the id of a
+   *                             <script> element, or an object with one of
+   *                             id, url, or source.
+   * @param  { string | object } fragment - The fragment shader, given the same
+   *                             way.
+   * @param  { object } options - Optional. defines and sharedSource, as for
+   *                    preprocessShader(), applied to both shaders.
+   * @return { Promise<WebGLProgram> } - The program, or null if it could not
+   *                                     be loaded or built.
+   */
+  async loadProgram(gl, vertex, fragment, options = {}) {
+    const shaders = await this.loadProgramShaders(vertex, fragment, options);
+
+    if (!shaders) {
+      return null;
+    }
+
+    const program = this.compileProgram(gl, shaders[0], shaders[1]);
+    this.rememberProgram(gl, program, { vertex, fragment, options }, shaders);
+
+    return program;
+  }
+
+  /* ############################################################
+    ###################### SHADER ERRORS #######################
+    ############################################################ */
+
+  // Compile errors are shown as the file, line, and column they came from,
+  // with the lines around them, like this:
+  //
+  //   rotation:8:19: error: 'angle' : undeclared identifier
+  //      7 |     vec3 c = cos( angles );
+  //    > 8 |     vec3 s = sin( angle );
+  //        |                   ^
+  //      9 |
+
+  /**
+   * This function reports a shader problem in the console and over the
+   * canvas, so the page shows why it stopped instead of a blank canvas.
+   * @param  { string } message - The message, as plain text.
+   * @return { void }
+   */
+  reportShaderError(message) {
+    // Shader hot reload can hit the same problem on every check; log it once.
+    if (message !== this.lastShaderError) {
+      console.error("WebGL", message);
+    }
+
+    this.lastShaderError = message;
+    this.showErrorText(message);
+  }
+
+  /**
+   * This function splits a shader's info log into its errors and warnings.
+   * It understands the "ERROR: 0:12: message" form most browsers use and the
+   * "0:12(5): error: message" form of Mesa drivers.
+   * @param  { string } log - The info log from gl.getShaderInfoLog().
+   * @return { object[] } - One object for each message, with its severity
+   *                        ("error" or "warning"), line and column in the
+   *                        compiled source (null if the log does not say),
+   *                        and message.
+   */
+  parseShaderLog(log) {
+    const messages = [];
+
+    (log || "").split("\n").forEach((text) => {
+      text = text.replace(/\0/g, "").trim();
+
+      var match = /^(ERROR|WARNING):\s*\d+:(\d+):(?:(\d+):)?\s*(.*)$/i.exec(text);
+      if (match) {
+        messages.push({
+          severity: match[1].toLowerCase(),
+          line: Number(match[2]),
+          column: match[3] ? Number(match[3]) : null,
+          message: match[4],
+        });
+        return;
+      }
+
+      match = /^\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i.exec(text);
+      if (match) {
+        messages.push({
+          severity: match[3].toLowerCase(),
+          line: Number(match[1]),
+          column: Number(match[2]),
+          message: match[4],
+        });
+        return;
+      }
+
+      // Skip blank lines and the "2 compilation errors" summary.
+      if (text && !/^(ERROR:\s*)?\d+ compilation errors?/i.test(text)) {
+        messages.push({ severity: "error", line: null, column: null, message: text });
+      }
+    });
+
+    return messages;
+  }
+
+  /**
+   * This function gives a short name for a file in a shader's line map:
+   * files under the page's folder are named relative to it.
+   * @param  { string } file - The file, as stored in the line map.
+   * @return { string } - The name to show.
+   */
+  shaderFileLabel(file) {
+    const folder = document.baseURI.replace(/[^/]*$/, "");
+    return file.startsWith(folder) ? file.slice(folder.length) : file;
+  }
+
+  /**
+   * This function describes a shader's compile log against the sources it
+   * was built from, giving each message's file, line, and column, and the
+   * lines around it.
+   * @param  { string } title - The first line, such as which shader failed.
+   * @param  { object } shader - The shader, as returned by preprocessShader().
+   * @param  { string } log - The info log from gl.getShaderInfoLog().
+   * @return { string } - The description, as plain text.
+   */
+  formatShaderErrors(title, shader, log) {
+    const lines = shader.source.split("\n");
+    const sections = [title];
+
+    this.parseShaderLog(log).forEach((error) => {
+      const origin = error.line !== null ? shader.lineMap[error.line - 1] : null;
+
+      if (!origin) {
+        sections.push(shader.name + ": " + error.severity + ": " + error.message);
+        return;
+      }
+
+      // Browsers that leave out the column usually quote the token at fault.
+      var column = error.column;
+      const token = /^'([^']+)'/.exec(error.message);
+      if (column === null && token && lines[error.line - 1].includes(token[1])) {
+        column = lines[error.line - 1].indexOf(token[1]) + 1;
+      }
+
+      const file = this.shaderFileLabel(origin.file);
+      const excerpt = [
+        file + ":" + origin.line + (column !== null ? ":" + column : "") + ": " +
+          error.severity + ": " + error.message,
+      ];
+      const width = String(origin.line + 1).length;
+
+      // Show the line before and after, from the same file.
+      lines.forEach((text, index) => {
+        const from = shader.lineMap[index];
+
+        if (from.file !== origin.file || Math.abs(from.line - origin.line) > 1) {
+          return;
+        }
+
+        const number = String(from.line).padStart(width);
+        excerpt.push((index === error.line - 1 ? "  > " : "    ") + number + " | " + text);
+
+        if (index === error.line - 1 && column !== null) {
+          // Keep tabs, so the caret lines up however tabs are shown.
+          const indent = text.slice(0, column - 1).replace(/[^\t]/g, " ");
+          excerpt.push("    " + " ".repeat(width) + " | " + indent + "^");
+        }
+      });
+
+      sections.push(excerpt.join("\n"));
+    });
+
+    return sections.join("\n\n");
+  }
+
+  /**
+   * This function covers the canvas element with id globalCanvasID with an
+   * error message, replacing any message already there.
+   * @param  { string } message - The message, as plain text.
+   * @return { void }
+   */
+  showErrorText(message) {
+    const canvas = document.getElementById(this.globalCanvasID);
+
+    if (!canvas) {
+      return;
+    }
+
+    if (!this.errorOverlay) {
+      const overlay = document.createElement("div");
+      overlay.className = "webgl-error-overlay";
+      overlay.style.cssText =
+        "position: absolute; box-sizing: border-box; overflow: auto; " +
+        "padding: 8px 12px; text-align: left; color: white; " +
+        "background: rgba(40, 0, 0, 0.9);";
+
+      const heading = document.createElement("h1");
+      heading.className = "error-text";
+      heading.textContent = "Error";
+
+      const text = document.createElement("pre");
+      text.style.cssText = "margin: 0; font: 12px monospace; white-space: pre;";
+
+      const button = document.createElement("button");
+      button.className = "reload-button";
+      button.textContent = "Reload Page";
+      button.onclick = () => location.reload();
+
+      overlay.append(heading, text, button);
+      canvas.parentNode.insertBefore(overlay, canvas.nextSibling);
+      this.errorOverlay = overlay;
+    }
+
+    const overlay = this.errorOverlay;
+    overlay.style.left = canvas.offsetLeft + "px";
+    overlay.style.top = canvas.offsetTop + "px";
+    overlay.style.width = canvas.offsetWidth + "px";
+    overlay.style.height = canvas.offsetHeight + "px";
+    overlay.querySelector("pre").textContent = message;
+  }
+
+  /**
+   * This function removes the error message shown by showErrorText(), if any.
+   * @return { void }
+   */
+  hideErrorText() {
+    if (this.errorOverlay) {
+      this.errorOverlay.remove();
+      this.errorOverlay = null;
+    }
+
+    this.lastShaderError = null;
+  }
+
+  /* ############################################################
+    #################### SHADER HOT RELOAD #####################
+    ############################################################ */
+
+  // While working on a shader, the programs made by initShaders() and
+  // loadProgram() can be rebuilt from their changed sources without reloading
+  // the page, so animations and cameras carry on where they were. Call
+  // reloadShaders(), or enableShaderHotReload() to check for changes every
+  // second. Both fetch the page and shader files again, so the page must be
+  // served over HTTP, such as by a local development server.
+  //
+  // A rebuilt program replaces the old one in place: the page keeps using the
+  // same program and uniform location objects, and uniforms keep their values
+  // where the new shaders still have them. This relies on the context
+  // tracking of trackContext(), which setupWebGL() turns on.
+
+  /**
+   * This function remembers how a program was built, so it can be rebuilt
+   * by reloadProgram().
+   * @param  { WebGLRenderingContext } gl - The WebGL rendering context.
+   * @param  { WebGLProgram } program - The program. Nothing is remembered if
+   *                          it is null.
+   * @param  { object } recipe - The vertex and fragment shaders and options,
+   *                    as given to loadProgram().
+   * @param  { object[] } shaders - The two shaders it was built from, as
+   *                      returned by preprocessShader().
+   * @return { void }
+   */
+  rememberProgram(gl, program, recipe, shaders) {
+    if (!program) {
+      return;
+    }
+
+    if (!this.shaderPrograms) {
+      this.shaderPrograms = new Map();
+    }
+
+    this.shaderPrograms.set(program, {
+      gl: gl,
+      vertex: recipe.vertex,
+      fragment: recipe.fragment,
+      options: recipe.options,
+      names: shaders.map((shader) => shader.name),
+      sources: shaders.map((shader) => shader.source),
+    });
+  }
+
+  /**
+   * This function fetches the page again and parses it, to read the
+   * <script> elements of shaders as they are now.
+   * @return { Promise<Document> } - The page. Rejects if it can't be fetched.
+   */
+  async fetchPage() {
+    const url = new URL(location.href);
+    url.hash = "";
+
+    var response;
+    try {
+      response = await fetch(url.href, { cache: "no-store" });
+    } catch (error) {
+      throw new Error("Unable to load the page again to reload its shaders.");
+    }
+
+    if (!response.ok) {
+      throw new Error("Unable to load the page again to reload its shaders (HTTP " + response.status + ").");
+    }
+
+    return new DOMParser().parseFromString(await response.text(), "text/html");
+  }
+
+  /**
+   * This function returns the type of each active uniform in a program, by
+   * name. Arrays are named without their "[0]".
+   * @param  { WebGLProgram } program - The program (not a tracked handle).
+   * @param  { function } call - Calls a real context method.
+   * @return { Map<string, number> } - The types, such as gl.FLOAT_VEC3.
+   */
+  uniformTypes(program, call) {
+    const gl = this.contextTracker.gl;
+    const types = new Map();
+    const count = call("getProgramParameter", [program, gl.ACTIVE_UNIFORMS]);
+
+    for (var i = 0; i < count; ++i) {
+      const info = call("getActiveUniform", [program, i]);
+      if (info) {
+        types.set(info.name.replace(/\[0\]$/, ""), info.type);
+      }
+    }
+
+    return types;
+  }
+
+  /**
+   * This function rebuilds a program made by initShaders() or loadProgram()
+   * from its shaders as they are now, and swaps it in if it links. Nothing
+   * changes if the shaders are the same, or if they fail to build, in which
+   * case their errors are shown and the old program keeps running. A program
+   * the page has deleted is forgotten instead.
+   * @param  { WebGLProgram } program - The program to rebuild.
+   * @param  { object } sources - Optional. New GLSL code for the vertex and
+   *                    fragment shaders, as strings. A shader given here is
+   *                    used for this and every later reload, instead of its
+   *                    element or file.
+   * @return { Promise<boolean> } - True if the program was replaced.
+   */
+  async reloadProgram(program, sources = {}) {
+    const recipe = this.shaderPrograms && this.shaderPrograms.get(program);
+    const tracker = this.contextTracker;
+
+    if (!recipe) {
+      console.error("WebGL", "reloadProgram(): The program was not made by initShaders() or loadProgram().");
+      return false;
+    }
+
+    if (!tracker || tracker.gl !== recipe.gl) {
+      console.error("WebGL", "reloadProgram(): Reloading needs a context made by setupWebGL().");
+      return false;
+    }
+
+    // A lost context can't build anything; try again on the next reload.
+    if (tracker.lost) {
+      return false;
+    }
+
+    if (sources.vertex !== undefined) {
+      recipe.vertex = { source: sources.vertex, name: recipe.names[0] };
+    }
+    if (sources.fragment !== undefined) {
+      recipe.fragment = { source: sources.fragment, name: recipe.names[1] };
+    }
+
+    const shaders = await this.loadProgramShaders(recipe.vertex, recipe.fragment, recipe.options, new Set());
+
+    // The page deleted the program (perhaps while its shaders loaded), so
+    // there is nothing to swap it for any more.
+    if (!tracker.handles.has(program)) {
+      this.shaderPrograms.delete(program);
+      return false;
+    }
+
+    if (!shaders) {
+      recipe.loadFailed = true;
+      return false;
+    }
+
+    if (shaders[0].source === recipe.sources[0] && shaders[1].source === recipe.sources[1]) {
+      // The sources load again after failing to (say the server restarted),
+      // so the error shown is out of date unless these sources failed too.
+      if (recipe.loadFailed && !recipe.buildFailed) {
+        this.hideErrorText();
+      }
+
+      recipe.loadFailed = false;
+      return false;
+    }
+
+    // Only try each version of the sources once, even if it fails.
+    recipe.sources = shaders.map((shader) => shader.source);
+    recipe.loadFailed = false;
+
+    const gl = recipe.gl;
+    const call = (name, args) => tracker.originals[name].apply(gl, args);
+    const oldProgram = tracker.handles.get(program);
+
+    // Keep the attributes where they were, since the page has pointed them
+    // at its buffers.
+    const attributes = new Map();
+    const count = call("getProgramParameter", [oldProgram, gl.ACTIVE_ATTRIBUTES]);
+
+    for (var i = 0; i < count; ++i) {
+      const info = call("getActiveAttrib", [oldProgram, i]);
+      if (info && !/^gl_/.test(info.name)) {
+        attributes.set(info.name, call("getAttribLocation", [oldProgram, info.name]));
+      }
+    }
+
+    const replacement = this.compileProgram(gl, shaders[0], shaders[1], attributes);
+    recipe.buildFailed = !replacement;
+
+    if (!replacement) {
+      return false;
+    }
+
+    // Forget any shaders still attached to the old program.
+    (tracker.resources.get(program).shaders || []).forEach((shader) => {
+      call("deleteShader", [tracker.handles.get(shader)]);
+      tracker.handles.delete(shader);
+      tracker.resources.delete(shader);
+    });
+
+    // Point the page's handle at the new program, and track it under that handle.
+    tracker.handles.set(program, replacement);
+    tracker.resources.set(program, tracker.resources.get(replacement));
+    tracker.handles.delete(replacement);
+    tracker.resources.delete(replacement);
+
+    // Point each uniform location at the uniform with the same name in the
+    // new program, and set it to its old value if its type is the same. A
+    // location whose uniform is gone becomes null, which WebGL ignores.
+    const oldTypes = this.uniformTypes(oldProgram, call);
+    const newTypes = this.uniformTypes(replacement, call);
+
+    call("useProgram", [replacement]);
+
+    tracker.resources.forEach((resource, handle) => {
+      if (resource.kind !== "uniform" || resource.program !== program) {
+        return;
+      }
+
+      const location = call("getUniformLocation", [replacement, resource.name]);
+      const uniform = tracker.uniforms.get(handle);
+      const name = resource.name.replace(/\[\d+\]$/, "");
+
+      tracker.handles.set(handle, location);
+
+      if (location && uniform && oldTypes.get(name) === newTypes.get(name)) {
+        call(uniform.name, [location].concat(uniform.args.slice(1)));
+      }
+    });
+
+    call("useProgram", [this.resolve(tracker.program)]);
+    call("deleteProgram", [oldProgram]);
+
+    this.hideErrorText();
+
+    return true;
+  }
+
+  /**
+   * This function rebuilds every program made by initShaders() or
+   * loadProgram() whose shaders have changed, and forgets those the page has
+   * deleted. See reloadProgram().
+   * @return { Promise<number> } - The number of programs replaced.
+   */
+  async reloadShaders() {
+    var reloaded = 0;
+
+    for (const program of (this.shaderPrograms || new Map()).keys()) {
+      if (await this.reloadProgram(program)) {
+        ++reloaded;
+      }
+    }
+
+    return reloaded;
+  }
+
+  /**
+   * This function checks for changed shaders every so often, and rebuilds
+   * the programs that use them. See reloadShaders().
+   * @param  { number } interval - Milliseconds between checks. Defaults to
+   *                    1000.
+   * @return { void }
+   */
+  enableShaderHotReload(interval = 1000) {
+    this.disableShaderHotReload();
+
+    var checking = false;
+
+    this.shaderReloadTimer = setInterval(async () => {
+      // Don't start a check while the last one is still waiting on the server.
+      if (checking) {
+        return;
+      }
+
+      checking = true;
+      try {
+        await this.reloadShaders();
+      } catch (error) {
+        console.error("WebGL", "enableShaderHotReload(): " + error.message);
+      } finally {
+        checking = false;
+      }
+    }, interval);
+  }
+
+  /**
+   * This function stops the checks started by enableShaderHotReload().
+   * @return { void }
+   */
+  disableShaderHotReload() {
+    clearInterval(this.shaderReloadTimer);
+    this.shaderReloadTimer = null;
+  }
+
+  /* ############################################################
+    ####################### CONTEXT LOSS #######################
+    ############################################################ */
+
+  // The browser can take the GPU away from a page at any time (when a driver
+  // resets, or too many pages use WebGL), which clears everything the page
+  // gave it. These methods put it all back when the context is restored.
+
+  /**
+   * This function starts tracking a context so it can survive a context loss.
+   * setupWebGL() calls it for the context it creates. It wraps the context's
+   * methods so that buffers, textures, shaders, programs, and uniform locations
+   * made through it are remembered along with their data, and so is the state
+   * set on it (enabled capabilities, the viewport, clear color, blending,
+   * bindings, vertex attributes, and uniform values).
+   *
+   * When the context is lost, the render loop is paused: frames requested with
+   * requestAnimFrame() wait until the context is back. When it is restored,
+   * everything tracked is recreated and put back, and the handles the page
+   * already holds keep working. Framebuffers, renderbuffers, and vertex array
+   * objects are not tracked, nor are 3D and array textures (texImage3D(),
+   * texStorage3D()) or images copied with copyTexImage2D(); recreate those in an
+   * onContextRestored() callback.
+   * @param  { WebGLRenderingContext } gl - The context to track.
+   * @return { void }
+   */
+  trackContext(gl) {
+    const tracker = {
+      gl: gl,
+      lost: false,
+      // The real methods of the context, before wrapping.
+      originals: {},
+      // Each handle the page holds, mapped to the object it stands for now.
+      handles: new Map(),
+      // What is needed to recreate each handle, in the order they were made.
+      resources: new Map(),
+      // The latest call of each kind that sets state, keyed by what it sets.
+      state: new Map(),
+      // The latest value of each uniform location.
+      uniforms: new Map(),
+      // The pointer, enabled flag, and constant value of each vertex attribute.
+      attributes: new Map(),
+      // Bound buffers by target, bound textures by unit and target.
+      bindings: new Map(),
+      activeTexture: gl.TEXTURE0,
+      program: null,
+      lostCallbacks: [],
+      restoredCallbacks: [],
+      // Frames requested while the context was lost.
+      pausedFrames: [],
+      loseContextExtension: gl.getExtension("WEBGL_lose_context"),
+    };
+
+    this.contextTracker = tracker;
+
+    const recorders = this.contextRecorders(tracker);
+
+    // Wrap every method so it is called with the objects the handles stand for
+    // now, and is recorded if it creates something or sets state.
+    for (const name in gl) {
+      if (typeof gl[name] !== "function") {
+        continue;
+      }
+
+      const original = gl[name];
+      const recorder = recorders[name];
+      tracker.originals[name] = original;
+
+      gl[name] = function () {
+        const args = Array.prototype.slice.call(arguments);
+
+        for (var i = 0; i < args.length; ++i) {
+          if (args[i] && typeof args[i] === "object" && tracker.handles.has(args[i])) {
+            args[i] = tracker.handles.get(args[i]);
+          }
+        }
+
+        const result = original.apply(gl, args);
+
+        if (recorder) {
+          recorder(arguments, result);
+        }
+
+        return result;
+      };
+    }
+
+    gl.canvas.addEventListener("webglcontextlost", (event) => {
+      // Without this the browser never restores the context.
+      event.preventDefault();
+
+      tracker.lost = true;
+      tracker.lostCallbacks.forEach((callback) => callback(gl));
+    });
+
+    gl.canvas.addEventListener("webglcontextrestored", () => {
+      this.restoreTrackedContext();
+    });
+
+    // Hold back frames while the context is lost, which pauses the render loop.
+    const requestFrame = window.requestAnimFrame;
+    window.requestAnimFrame = function (callback, element) {
+      if (tracker.lost) {
+        tracker.pausedFrames.push(callback);
+        return;
+      }
+
+      return requestFrame(callback, element);
+    };
+    tracker.requestFrame = requestFrame;
+  }
+
+  /**
+   * This function builds the functions that record calls on a tracked context,
+   * one per context method that creates something or sets state. Each is called
+   * with the arguments the page passed (handles, not the objects they stand
+   * for) and the method's result.
+   * @param  { object } tracker - The tracker from trackContext().
+   * @return { object } - The recorders, by method name.
+   */
+  contextRecorders(tracker) {
+    const gl = tracker.gl;
+
+    // Views are copied, since the page may change them after the call.
+    const copy = (value) =>
+      ArrayBuffer.isView(value) ? value.slice() : Array.isArray(value) ? value.slice() : value;
+    const copyArgs = (args) => Array.prototype.map.call(args, copy);
+
+    const create = (kind) => (args, result) => {
+      if (result) {
+        tracker.handles.set(result, result);
+        tracker.resources.set(result, { kind: kind, args: copyArgs(args) });
+      }
+    };
+
+    const remove = (args) => {
+      tracker.handles.delete(args[0]);
+      tracker.resources.delete(args[0]);
+    };
+
+    const setState = (key, name, args) => {
+      tracker.state.delete(key);
+      tracker.state.set(key, { name: name, args: copyArgs(args) });
+    };
+
+    const recorders = {
+      createBuffer: create("buffer"),
+      createTexture: create("texture"),
+      createShader: create("shader"),
+      createProgram: create("program"),
+      deleteBuffer: remove,
+      deleteTexture: remove,
+      deleteShader: remove,
+      deleteProgram: (args) => {
+        // Its uniform locations and their values go with it.
+        tracker.resources.forEach((resource, handle) => {
+          if (resource.kind === "uniform" && resource.program === args[0]) {
+            tracker.handles.delete(handle);
+            tracker.resources.delete(handle);
+            tracker.uniforms.delete(handle);
+          }
+        });
+        // It can't be put back in use once the context is restored.
+        if (tracker.program === args[0]) {
+          tracker.program = null;
+        }
+        remove(args);
+      },
+
+      getUniformLocation: (args, result) => {
+        if (result) {
+          tracker.handles.set(result, result);
+          tracker.resources.set(result, { kind: "uniform", program: args[0], name: args[1] });
+        }
+      },
+
+      bindBuffer: (args) => {
+        tracker.bindings.set(args[0], args[1]);
+      },
+      bufferData: (args) => {
+        const buffer = tracker.resources.get(tracker.bindings.get(args[0]));
+        if (buffer) {
+          buffer.data = [copyArgs(args)];
+        }
+      },
+      bufferSubData: (args) => {
+        const buffer = tracker.resources.get(tracker.bindings.get(args[0]));
+        if (buffer && buffer.data) {
+          buffer.data.push(copyArgs(args));
+        }
+      },
+
+      activeTexture: (args) => {
+        tracker.activeTexture = args[0];
+      },
+      bindTexture: (args) => {
+        tracker.bindings.set(tracker.activeTexture + ":" + args[0], args[1]);
+      },
+      texParameteri: (args) => {
+        const texture = this.boundTexture(args[0]);
+        if (texture) {
+          texture.parameters.set(args[1], { name: "texParameteri", args: copyArgs(args) });
+        }
+      },
+      texParameterf: (args) => {
+        const texture = this.boundTexture(args[0]);
+        if (texture) {
+          texture.parameters.set(args[1], { name: "texParameterf", args: copyArgs(args) });
+        }
+      },
+
+      useProgram: (args) => {
+        tracker.program = args[0];
+      },
+      shaderSource: (args) => {
+        const shader = tracker.resources.get(args[0]);
+        if (shader) {
+          shader.source = args[1];
+        }
+      },
+      attachShader: (args) => {
+        const program = tracker.resources.get(args[0]);
+        if (program) {
+          program.shaders = (program.shaders || []).concat([args[1]]);
+        }
+      },
+      detachShader: (args) => {
+        const program = tracker.resources.get(args[0]);
+        if (program && program.shaders) {
+          program.shaders = program.shaders.filter((shader) => shader !== args[1]);
+        }
+      },
+      bindAttribLocation: (args) => {
+        const program = tracker.resources.get(args[0]);
+        if (program) {
+          program.attributes = program.attributes || new Map();
+          program.attributes.set(args[2], args[1]);
+        }
+      },
+      linkProgram: (args) => {
+        // Keep the sources, since shaders are often deleted once linked.
+        const program = tracker.resources.get(args[0]);
+        if (program) {
+          program.linked = (program.shaders || [])
+            .map((handle) => tracker.resources.get(handle))
+            .filter((shader) => shader)
+            .map((shader) => ({ type: shader.args[0], source: shader.source }));
+        }
+      },
+
+      vertexAttribPointer: (args) => {
+        this.vertexAttribute(args[0]).pointer = {
+          buffer: tracker.bindings.get(gl.ARRAY_BUFFER),
+          args: copyArgs(args),
+        };
+      },
+      enableVertexAttribArray: (args) => {
+        this.vertexAttribute(args[0]).enabled = true;
+      },
+      disableVertexAttribArray: (args) => {
+        this.vertexAttribute(args[0]).enabled = false;
+      },
+
+      enable: (args) => setState("capability:" + args[0], "enable", args),
+      disable: (args) => setState("capability:" + args[0], "disable", args),
+      pixelStorei: (args) => setState("pixelStorei:" + args[0], "pixelStorei", args),
+    };
+
+    // Texture uploads. A new image for a level replaces the uploads made to it before.
+    ["texImage2D", "texSubImage2D", "compressedTexImage2D", "texStorage2D", "generateMipmap"].forEach((name) => {
+      recorders[name] = (args) => {
+        const texture = this.boundTexture(args[0]);
+        if (!texture) {
+          return;
+        }
+
+        const level = name === "generateMipmap" ? "mipmap" : name === "texStorage2D" ? "storage" : args[1];
+        if (name !== "texSubImage2D") {
+          texture.uploads = texture.uploads.filter((upload) => upload.level !== level);
+        }
+
+        texture.uploads.push({
+          name: name,
+          level: level,
+          args: copyArgs(args),
+          // Uploads depend on the pixel storage settings, such as flipping.
+          pixelStore: Array.from(tracker.state.values()).filter((call) => call.name === "pixelStorei"),
+        });
+      };
+    });
+
+    // Constant vertex attribute values.
+    ["vertexAttrib1f", "vertexAttrib2f", "vertexAttrib3f", "vertexAttrib4f",
+     "vertexAttrib1fv", "vertexAttrib2fv", "vertexAttrib3fv", "vertexAttrib4fv"].forEach((name) => {
+      recorders[name] = (args) => {
+        this.vertexAttribute(args[0]).value = { name: name, args: copyArgs(args) };
+      };
+    });
+
+    // Uniform values, which belong to the program the location came from.
+    for (const name in gl) {
+      if (/^uniform([1-4](f|i|ui)v?|Matrix[2-4](x[2-4])?fv)$/.test(name)) {
+        recorders[name] = (args) => {
+          if (args[0]) {
+            tracker.uniforms.set(args[0], { name: name, args: copyArgs(args) });
+          }
+        };
+      }
+    }
+
+    // Setters whose latest call is all that matters. Setters that set the same
+    // thing (such as blendFunc and blendFuncSeparate) share a key.
+    const setters = {
+      viewport: "viewport", scissor: "scissor", clearColor: "clearColor",
+      clearDepth: "clearDepth", clearStencil: "clearStencil", colorMask: "colorMask",
+      depthFunc: "depthFunc", depthMask: "depthMask", depthRange: "depthRange",
+      blendColor: "blendColor", blendFunc: "blendFunc", blendFuncSeparate: "blendFunc",
+      blendEquation: "blendEquation", blendEquationSeparate: "blendEquation",
+      cullFace: "cullFace", frontFace: "frontFace", lineWidth: "lineWidth",
+      polygonOffset: "polygonOffset", sampleCoverage: "sampleCoverage",
+      stencilFunc: "stencilFunc", stencilMask: "stencilMask", stencilOp: "stencilOp",
+    };
+
+    for (const name in setters) {
+      recorders[name] = (args) => setState(setters[name], name, args);
+    }
+
+    return recorders;
+  }
+
+  /**
+   * This function returns what is tracked about the texture bound to a target
+   * on the active texture unit.
+   * @param  { number } target - The texture target, such as gl.TEXTURE_2D or
+   *                    a cube map face.
+   * @return { object } - The tracked texture, or undefined if none is bound.
+   */
+  boundTexture(target) {
+    const tracker = this.contextTracker;
+    const gl = tracker.gl;
+
+    // Cube map faces are uploaded to through the cube map binding.
+    if (target !== gl.TEXTURE_2D && target !== gl.TEXTURE_CUBE_MAP &&
+        target >= gl.TEXTURE_CUBE_MAP_POSITIVE_X && target <= gl.TEXTURE_CUBE_MAP_NEGATIVE_Z) {
+      target = gl.TEXTURE_CUBE_MAP;
+    }
+
+    const texture = tracker.resources.get(tracker.bindings.get(tracker.activeTexture + ":" + target));
+    if (texture && !texture.uploads) {
+      texture.uploads = [];
+      texture.parameters = new Map();
+    }
+
+    return texture;
+  }
+
+  /**
+   * This function returns what is tracked about a vertex attribute, starting
+   * a new record for it if there is none.
+   * @param  { number } index - The attribute location.
+   * @return { object } - The tracked attribute.
+   */
+  vertexAttribute(index) {
+    const attributes = this.contextTracker.attributes;
+
+    if (!attributes.has(index)) {
+      attributes.set(index, { enabled: false, pointer: null, value: null });
+    }
+
+    return attributes.get(index);
+  }
+
+  /**
+   * This function recreates everything tracked on a restored context, points
+   * the page's handles at the new objects, calls the onContextRestored()
+   * callbacks, and restarts the render loop.
+   * @return { void }
+   */
+  restoreTrackedContext() {
+    const tracker = this.contextTracker;
+    const gl = tracker.gl;
+
+    // Call a real method with the current objects, without recording it.
+    const call = (name, args) => {
+      args = Array.prototype.map.call(args, (arg) =>
+        arg && typeof arg === "object" && tracker.handles.has(arg) ? tracker.handles.get(arg) : arg
+      );
+      return tracker.originals[name].apply(gl, args);
+    };
+
+    // Shaders and programs first, since uniform locations come from programs.
+    const kinds = ["shader", "program", "uniform", "buffer", "texture"];
+
+    kinds.forEach((kind) => {
+      tracker.resources.forEach((resource, handle) => {
+        if (resource.kind !== kind) {
+          return;
+        }
+
+        if (kind === "shader") {
+          tracker.handles.set(handle, call("createShader", resource.args));
+          if (resource.source !== undefined) {
+            call("shaderSource", [handle, resource.source]);
+            call("compileShader", [handle]);
+          }
+        } else if (kind === "program") {
+          tracker.handles.set(handle, call("createProgram", []));
+          this.relinkProgram(handle, resource, call);
+        } else if (kind === "uniform") {
+          tracker.handles.set(handle, call("getUniformLocation", [resource.program, resource.name]));
+        } else if (kind === "buffer") {
+          tracker.handles.set(handle, call("createBuffer", []));
+          (resource.data || []).forEach((args, i) => {
+            call("bindBuffer", [args[0], handle]);
+            call(i === 0 ? "bufferData" : "bufferSubData", args);
+          });
+        } else {
+          tracker.handles.set(handle, call("createTexture", []));
+          this.restoreTexture(handle, resource, call);
+        }
+      });
+    });
+
+    // Simple state, in the order it was last set.
+    tracker.state.forEach((setting) => call(setting.name, setting.args));
+
+    // Uniform values, each set while its own program is in use.
+    tracker.uniforms.forEach((uniform, location) => {
+      const resource = tracker.resources.get(location);
+      if (resource) {
+        call("useProgram", [resource.program]);
+        call(uniform.name, uniform.args);
+      }
+    });
+
+    tracker.attributes.forEach((attribute, index) => {
+      if (attribute.pointer) {
+        call("bindBuffer", [gl.ARRAY_BUFFER, attribute.pointer.buffer]);
+        call("vertexAttribPointer", attribute.pointer.args);
+      }
+      if (attribute.value) {
+        call(attribute.value.name, attribute.value.args);
+      }
+      call(attribute.enabled ? "enableVertexAttribArray" : "disableVertexAttribArray", [index]);
+    });
+
+    // Bindings last, since recreating things above changed them.
+    tracker.bindings.forEach((handle, key) => {
+      if (typeof key === "number") {
+        call("bindBuffer", [key, handle]);
+      } else {
+        const [unit, target] = key.split(":").map(Number);
+        call("activeTexture", [unit]);
+        call("bindTexture", [target, handle]);
+      }
+    });
+    call("activeTexture", [tracker.activeTexture]);
+    call("useProgram", [tracker.program]);
+
+    // Extensions have to be asked for again.
+    this.WebGLUtils.capabilities = this.WebGLUtils.getCapabilities(gl);
+
+    tracker.lost = false;
+    tracker.restoredCallbacks.forEach((callback) => callback(gl));
+
+    // Restart the render loop.
+    const frames = tracker.pausedFrames;
+    tracker.pausedFrames = [];
+    frames.forEach((callback) => tracker.requestFrame(callback));
+  }
+
+  /**
+   * This function rebuilds a program on a restored context from the shader
+   * sources it was last linked with.
+   * @param  { WebGLProgram } handle - The program's handle.
+   * @param  { object } resource - What is tracked about the program.
+   * @param  { function } call - Calls a real context method.
+   * @return { void }
+   */
+  relinkProgram(handle, resource, call) {
+    if (!resource.linked) {
+      return;
+    }
+
+    const shaders = resource.linked.map((linked) => {
+      const shader = call("createShader", [linked.type]);
+      call("shaderSource", [shader, linked.source]);
+      call("compileShader", [shader]);
+      call("attachShader", [handle, shader]);
+      return shader;
+    });
+
+    (resource.attributes || new Map()).forEach((index, name) => {
+      call("bindAttribLocation", [handle, index, name]);
+    });
+
+    call("linkProgram", [handle]);
+
+    shaders.forEach((shader) => {
+      call("detachShader", [handle, shader]);
+      call("deleteShader", [shader]);
+    });
+  }
+
+  /**
+   * This function uploads a texture's images again on a restored context and
+   * sets its parameters.
+   * @param  { WebGLTexture } handle - The texture's handle.
+   * @param  { object } resource - What is tracked about the texture.
+   * @param  { function } call - Calls a real context method.
+   * @return { void }
+   */
+  restoreTexture(handle, resource, call) {
+    if (!resource.uploads) {
+      return;
+    }
+
+    const gl = this.contextTracker.gl;
+    const target = resource.uploads.length > 0 && resource.uploads[0].args[0] !== gl.TEXTURE_2D
+      ? gl.TEXTURE_CUBE_MAP
+      : gl.TEXTURE_2D;
+
+    call("bindTexture", [target, handle]);
+
+    resource.uploads.forEach((upload) => {
+      upload.pixelStore.forEach((setting) => call(setting.name, setting.args));
+      call(upload.name, upload.args);
+    });
+
+    resource.parameters.forEach((parameter) => call(parameter.name, parameter.args));
+  }
+
+  /**
+   * This function returns the object a handle stands for on the current
+   * context. Handles made by a tracked context keep working after the context
+   * is restored, so this is only needed to pass a handle to code that calls
+   * the browser's WebGL functions some other way.
+   * @param  { object } handle - A buffer, texture, shader, program, or uniform
+   *                    location made by the tracked context.
+   * @return { object } - The object the handle stands for now.
+   */
+  resolve(handle) {
+    const tracker = this.contextTracker;
+
+    return tracker && tracker.handles.has(handle) ? tracker.handles.get(handle) : handle;
+  }
+
+  /**
+   * This function registers a function to call when the context is lost.
+   * @param  { function } callback - Called with the context.
+   * @return { void }
+   */
+  onContextLost(callback) {
+    this.contextTracker.lostCallbacks.push(callback);
+  }
+
+  /**
+   * This function registers a function to call once the context has been
+   * restored and everything tracked has been recreated. Use it to redraw a
+   * scene that is not drawn every frame, or to recreate anything that is not
+   * tracked.
+   * @param  { function } callback - Called with the context.
+   * @return { void }
+   */
+  onContextRestored(callback) {
+    this.contextTracker.restoredCallbacks.push(callback);
+  }
+
+  /**
+   * This function returns whether the tracked context is currently lost.
+   * @return { boolean } - True while the context is lost.
+   */
+  isContextLost() {
+    return !!this.contextTracker && this.contextTracker.lost;
+  }
+
+  /**
+   * This function loses the context on purpose, and by default restores it
+   * again a second later, to test how a page handles losing the GPU. It uses
+   * the WEBGL_lose_context extension.
+   * @param  { number } restoreAfter - Milliseconds to wait before restoring
+   *                    the context. Negative to leave it lost. Defaults to
+   *                    1000.
+   * @return { void }
+   */
+  simulateContextLoss(restoreAfter = 1000) {
+    const extension = this.contextTracker && this.contextTracker.loseContextExtension;
+
+    if (!extension) {
+      console.error("WebGL", "simulateContextLoss(): WEBGL_lose_context isn't available.");
+      return;
+    }
+
+    extension.loseContext();
+
+    if (restoreAfter >= 0) {
+      setTimeout(() => extension.restoreContext(), restoreAfter);
+    }
+  }
+
+  /* ############################################################
+    ###################### RANDOM NUMBERS ######################
+    ############################################################ */
+
+  // Every random value comes from one seeded generator, so a scene can be
+  // drawn again by opening the page with the same ?seed= in its URL.
+
+  /**
+   * This function reads the random seed from the page URL's seed parameter
+   * (for example circle10.html?seed=1234).
+   * @return { string } - The seed, or null if the URL does not have one.
+   */
+  randomSeedFromURL() {
+    if (typeof window === "undefined" || !window.location) {
+      return null;
+    }
+
+    return new URLSearchParams(window.location.search).get("seed");
+  }
+
+  /**
+   * This function turns a seed into the 32-bit starting state of the random
+   * number generator. Whole numbers are used as they are, and any other seed
+   * (such as a word) is hashed.
+   * @param  { number | string } seed - The seed.
+   * @return { number } - The 32-bit state.
+   */
+  hashRandomSeed(seed) {
+    var text = String(seed);
+
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash of the characters.
+    var hash = 2166136261;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+  }
+
+  /**
+   * This function restarts the random number generator from a seed, so the
+   * same seed always gives the same sequence of random values. Without a seed,
+   * a new one is picked (and can be read back with getRandomSeed()).
+   * @param  { number | string } seed - The seed. Optional.
+   * @return { number | string } - The seed in use.
+   */
+  setRandomSeed(seed) {
+    if (seed === undefined || seed === null || seed === "") {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+
+    this.randomSeed = seed;
+    this.randomState = this.hashRandomSeed(seed);
+    this.showRandomSeed();
+
+    return seed;
+  }
+
+  /**
+   * This function returns the seed the random number generator was last
+   * started from.
+   * @return { number | string } - The seed.
+   */
+  getRandomSeed() {
+    return this.randomSeed;
+  }
+
+  /**
+   * This function shows the random seed in the element with the given ID, if
+   * the page has one. If the element is a link, it is pointed at this page with
+   * the seed in the URL, so opening it draws the same scene again.
+   * @param  { string } elementId - The ID of the element. Defaults to
+   *                    "random-seed".
+   * @return { void }
+   */
+  showRandomSeed(elementId = "random-seed") {
+    if (typeof document === "undefined") {
+      return;
+    }
+
+    const element = document.getElementById(elementId);
+
+    if (!element) {
+      return;
+    }
+
+    element.textContent = String(this.randomSeed);
+
+    if (element.tagName == "A") {
+      element.href = "?seed=" + encodeURIComponent(this.randomSeed);
+    }
+  }
+
+  /**
+   * This function returns the next value from the seeded random number
+   * generator (Mulberry32). Use it in place of Math.random().
+   * @return { number } - A random number from 0 up to, but not including, 1.
+   */
+  randomFloat() {
+    this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+
+    var t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * This function returns a random number from a normal (bell curve)
+   * distribution, using the Box-Muller transform.
+   * @param  { number } mean - The center of the distribution. Defaults to 0.
+   * @param  { number } standardDeviation - The spread of the distribution.
+   *                    Defaults to 1.
+   * @return { number } - The random number.
+   */
+  randomGaussian(mean = 0, standardDeviation = 1) {
+    // 1 - randomFloat() is never 0, so the logarithm is always finite.
+    var u = 1 - this.randomFloat();
+    var v = this.randomFloat();
+
+    return mean +
+      standardDeviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * This function returns a random point inside a disc, spread evenly over its
+   * area.
+   * @param  { number } radius - The radius of the disc. Defaults to 1.
+   * @return { object } - An object with x and y properties.
+   */
+  randomInDisc(radius = 1) {
+    // The square root keeps points from bunching up near the center.
+    var distance = radius * Math.sqrt(this.randomFloat());
+    var angle = 2 * Math.PI * this.randomFloat();
+
+    return {
+      x: distance * Math.cos(angle),
+      y: distance * Math.sin(angle),
+    };
+  }
+
+  /**
+   * This function returns a random point on the surface of a sphere, spread
+   * evenly over its area. With a radius of 1 this is a random direction.
+   * @param  { number } radius - The radius of the sphere. Defaults to 1.
+   * @return { object } - An object with x, y, and z properties.
+   */
+  randomOnSphere(radius = 1) {
+    var z = 2 * this.randomFloat() - 1;
+    var angle = 2 * Math.PI * this.randomFloat();
+    var ring = Math.sqrt(1 - z * z);
+
+    return {
+      x: radius * ring * Math.cos(angle),
+      y: radius * ring * Math.sin(angle),
+      z: radius * z,
+    };
+  }
+
+  /* ############################################################
+    ###################### CUSTOM SCRIPTS ######################
+    ############################################################ */
+
+  /**
+   * This function returns a random, positive integer between minimumValue
+   * (defaulted to 0) and maximumValue.
+   * @param  { boolean } roundResult - Whether or not to round the result to the
+   *                     nearest integer.
+   * @param  { number } maximumValue - The maximum value of the random number.
+   * @param  { number } minimumValue - The minimum value of the random number.
+   * @return { number } - A random number between minimumValue and maximumValue.
+   */
+  randomNumber(roundResult = false, maximumValue = 1, minimumValue = 0) {
+    if (roundResult) {
+      return Math.min(
+        Math.round(this.randomFloat() * maximumValue) + minimumValue,
+        maximumValue
+      );
+    } else {
+      return Math.min(
+        this.randomFloat() * maximumValue + minimumValue,
+        maximumValue
+      );
+    }
+  }
+
+  /**
+   * This function returns a random multiplier of 1 or -1 for other numbers to
+   * use for sign randomization.
+   * @return { number } - A random number of 1 or -1.
+   */
+  randomSignMultiplier() {
+    return this.randomFloat() < 0.5 ? -1 : 1;
+  }
+
+  /**
+   * This function returns an object representing a random color with red, green,
+   * blue, and alpha properties. It has checks in place to prevent the color
+   * being too bright against a white background.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  randomRGBAColor() {
+    // The minimum alpha value for the color.
+    const minimumAlpha = 1.0; // Arbitrary value. Percentage.
+
+    // The maximum sum of the red, green, and blue values for the color.
+    // This is to ensure that the color is not too bright.
+    const maximumColorSum = 2.65; // Arbitrary value. Sum of percentages.
+
+    // The random color object to be returned.
+    var color = {
+      red: this.randomNumber(),
+      green: this.randomNumber(),
+      blue: this.randomNumber(),
+      alpha: Math.max(this.randomNumber(), minimumAlpha),
+    };
+
+    // If the sum of the red, green, and blue values is greater than the maximum
+    // color sum, reduce the color values to ensure the color is not too bright.
+    if (color.red + color.green + color.blue > maximumColorSum) {
+      // The difference between the sum of the color values and the maximum color
+      // sum.
+      var currentOverage =
+        color.red + color.green + color.blue - maximumColorSum;
+
+      // While the current overage is greater than 0, randomly reduce the color
+      // values.
+      while (currentOverage > 0) {
+        // Randomly select a color to reduce.
+        const randomColorIndex = this.randomNumber(true, 2, 0);
+
+        // If the random color index is 0, reduce the red value.
+        if (randomColorIndex == 0) {
+          // If the red value is less than the current overage, reduce the red
+          // value to 0 and reduce the current overage by the red value.
+          if (color.red < currentOverage) {
+            currentOverage -= color.red;
+            color.red = 0;
+
+            // If the red value is greater than or equal to the current overage,
+            // reduce the red value by the current overage and set the current
+            // overage to 0.
+          } else {
+            color.red -= currentOverage;
+            currentOverage = 0;
+          }
+
+          // If the random color index is 1, reduce the green value.
+        } else if (randomColorIndex == 1) {
+          // If the green value is less than the current overage, reduce the green
+          // value to 0 and reduce the current overage by the green value.
+          if (color.green < currentOverage) {
+            currentOverage -= color.green;
+            color.green = 0;
+
+            // If the green value is greater than or equal to the current overage,
+            // reduce the green value by the current overage and set the current
+            // overage to 0.
+          } else {
+            color.green -= currentOverage;
+            currentOverage = 0;
+          }
+
+          // If the random color index is 2, reduce the blue value.
+        } else {
+          // If the blue value is less than the current overage, reduce the blue
+          // value to 0 and reduce the current overage by the blue value.
+          if (color.blue < currentOverage) {
+            currentOverage -= color.blue;
+            color.blue = 0;
+
+            // If the blue value is greater than or equal to the current overage,
+            // reduce the blue value by the current overage and set the current
+            // overage to 0.
+          } else {
+            color.blue -= currentOverage;
+            currentOverage = 0;
+          }
+        }
+      }
+    }
+
+    return color;
+  }
+
+  /**
+   * This function reloads the page that the user is currently on with a new
+   * random seed. To draw the same scene again, open the seed link instead.
+   * @return { void }
+   */
+  reloadPage() {
+    const url = new URL(location.href);
+    url.searchParams.delete("seed");
+    location.href = url.href;
+  }
+
+  /**
+   * This function returns the pixel dimensions of whatever canvas element it
+   * finds with id globalCanvasID as an object with both width and height properties.
+   * @return { object } - An object with width and height properties.
+   */
+  canvasDimensions() {
+    const canvas = document.getElementById(this.globalCanvasID);
+    return {
+      width: canvas.width,
+      height: canvas.height,
+    };
+  }
+
+  /**
+   * This function returns an object with an x and y property representing a
+   * randomly selected 2D pixel coordinate given the working canvas' pixel
+   * dimensions.
+   * @return { object } - An object with x and y properties.
+   */
+  random2DCoordinate() {
+    return {
+      x: this.randomSignMultiplier() * this.randomNumber(),
+      y: this.randomSignMultiplier() * this.randomNumber(),
+    };
+  }
+
+  /* ############################################################
+    ######################### COLORS ###########################
+    ############################################################ */
+
+  // Colors are objects with red, green, blue, and alpha properties from 0 to 1,
+  // the same shape randomRGBAColor() returns. Unless a function says otherwise,
+  // the red, green, and blue values are sRGB, which is what color pickers, hex
+  // strings, and the canvas itself use.
+
+  /**
+   * This function returns a color object with the given red, green, blue, and
+   * alpha values.
+   * @param  { number } red - The red value, from 0 to 1.
+   * @param  { number } green - The green value, from 0 to 1.
+   * @param  { number } blue - The blue value, from 0 to 1.
+   * @param  { number } alpha - The alpha value, from 0 to 1. Defaults to 1.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  rgbaColor(red, green, blue, alpha = 1.0) {
+    return { red: red, green: green, blue: blue, alpha: alpha };
+  }
+
+  /**
+   * This function converts a color object into a vec4 ([red, green, blue,
+   * alpha]) ready to be pushed onto a color array for buffer upload.
+   * @param  { object } color - The color object.
+   * @return { Array } - The color as a vec4.
+   */
+  colorToVec4(color) {
+    return [color.red, color.green, color.blue, color.alpha];
+  }
+
+  /**
+   * This function converts a vec3 or vec4 into a color object. A vec3 is given
+   * an alpha of 1.
+   * @param  { Array } v - The vector.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  vec4ToColor(v) {
+    return this.rgbaColor(v[0], v[1], v[2], v.length > 3 ? v[3] : 1.0);
+  }
+
+  /**
+   * This function converts a hex string (#rgb, #rgba, #rrggbb, or #rrggbbaa,
+   * with or without the #) into a color object.
+   * @param  { string } hex - The hex string.
+   * @return { object } - An object with red, green, blue, and alpha properties,
+   *                      or null if the string is not a valid hex color.
+   */
+  hexToColor(hex) {
+    var digits = String(hex).trim().replace(/^#/, "");
+
+    if (!/^[0-9a-fA-F]+$/.test(digits) || [3, 4, 6, 8].indexOf(digits.length) < 0) {
+      console.error("WebGL", "hexToColor(): '" + hex + "' is not a valid hex color.");
+      return null;
+    }
+
+    // Expand the short forms so every channel has two digits.
+    if (digits.length <= 4) {
+      digits = digits.replace(/./g, "$&$&");
+    }
+
+    var channels = [];
+    for (var i = 0; i < digits.length; i += 2) {
+      channels.push(parseInt(digits.substr(i, 2), 16) / 255);
+    }
+
+    return this.rgbaColor(channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] : 1.0);
+  }
+
+  /**
+   * This function converts a color object into a hex string.
+   * @param  { object } color - The color object.
+   * @param  { boolean } includeAlpha - Whether to append the alpha value
+   *                     (#rrggbbaa). Defaults to false (#rrggbb).
+   * @return { string } - The hex string.
+   */
+  colorToHex(color, includeAlpha = false) {
+    var channels = [color.red, color.green, color.blue];
+
+    if (includeAlpha) {
+      channels.push(color.alpha);
+    }
+
+    return "#" + channels.map(function (channel) {
+      var byte = Math.round(Math.min(Math.max(channel, 0.0), 1.0) * 255);
+      return (byte < 16 ? "0" : "") + byte.toString(16);
+    }).join("");
+  }
+
+  /**
+   * This function converts a color object into hue, saturation, and value.
+   * @param  { object } color - The color object.
+   * @return { object } - An object with hue (in degrees, from 0 to 360),
+   *                      saturation, value, and alpha properties.
+   */
+  colorToHSV(color) {
+    var max = Math.max(color.red, color.green, color.blue);
+    var min = Math.min(color.red, color.green, color.blue);
+    var delta = max - min;
+
+    return {
+      hue: this.colorHue(color, max, delta),
+      saturation: max == 0 ? 0 : delta / max,
+      value: max,
+      alpha: color.alpha,
+    };
+  }
+
+  /**
+   * This function converts hue, saturation, and value into a color object.
+   * @param  { object } hsv - An object with hue (in degrees), saturation, value,
+   *                    and (optionally) alpha properties.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  hsvToColor(hsv) {
+    var chroma = hsv.value * hsv.saturation;
+    return this.colorFromChroma(hsv.hue, chroma, hsv.value - chroma, hsv.alpha);
+  }
+
+  /**
+   * This function converts a color object into hue, saturation, and lightness.
+   * @param  { object } color - The color object.
+   * @return { object } - An object with hue (in degrees, from 0 to 360),
+   *                      saturation, lightness, and alpha properties.
+   */
+  colorToHSL(color) {
+    var max = Math.max(color.red, color.green, color.blue);
+    var min = Math.min(color.red, color.green, color.blue);
+    var delta = max - min;
+    var lightness = (max + min) / 2;
+
+    return {
+      hue: this.colorHue(color, max, delta),
+      saturation: delta == 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1)),
+      lightness: lightness,
+      alpha: color.alpha,
+    };
+  }
+
+  /**
+   * This function converts hue, saturation, and lightness into a color object.
+   * @param  { object } hsl - An object with hue (in degrees), saturation,
+   *                    lightness, and (optionally) alpha properties.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  hslToColor(hsl) {
+    var chroma = (1 - Math.abs(2 * hsl.lightness - 1)) * hsl.saturation;
+    return this.colorFromChroma(hsl.hue, chroma, hsl.lightness - chroma / 2, hsl.alpha);
+  }
+
+  /**
+   * This function returns the hue of a color, shared by colorToHSV() and
+   * colorToHSL().
+   * @param  { object } color - The color object.
+   * @param  { number } max - The largest of the red, green, and blue values.
+   * @param  { number } delta - The largest minus the smallest of the values.
+   * @return { number } - The hue in degrees, from 0 to 360.
+   */
+  colorHue(color, max, delta) {
+    if (delta == 0) {
+      return 0;
+    }
+
+    var hue;
+
+    if (max == color.red) {
+      hue = (color.green - color.blue) / delta;
+    } else if (max == color.green) {
+      hue = (color.blue - color.red) / delta + 2;
+    } else {
+      hue = (color.red - color.green) / delta + 4;
+    }
+
+    hue *= 60;
+    return hue < 0 ? hue + 360 : hue;
+  }
+
+  /**
+   * This function builds a color object from a hue, a chroma, and the amount to
+   * add to every channel, shared by hsvToColor() and hslToColor().
+   * @param  { number } hue - The hue in degrees.
+   * @param  { number } chroma - The difference between the largest and smallest
+   *                    channels.
+   * @param  { number } offset - The value of the smallest channel.
+   * @param  { number } alpha - The alpha value. Defaults to 1 if undefined.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  colorFromChroma(hue, chroma, offset, alpha) {
+    var sector = (((hue % 360) + 360) % 360) / 60;
+    var x = chroma * (1 - Math.abs((sector % 2) - 1));
+    var rgb;
+
+    if (sector < 1) {
+      rgb = [chroma, x, 0];
+    } else if (sector < 2) {
+      rgb = [x, chroma, 0];
+    } else if (sector < 3) {
+      rgb = [0, chroma, x];
+    } else if (sector < 4) {
+      rgb = [0, x, chroma];
+    } else if (sector < 5) {
+      rgb = [x, 0, chroma];
+    } else {
+      rgb = [chroma, 0, x];
+    }
+
+    return this.rgbaColor(
+      rgb[0] + offset,
+      rgb[1] + offset,
+      rgb[2] + offset,
+      alpha === undefined ? 1.0 : alpha
+    );
+  }
+
+  /**
+   * This function converts a single sRGB channel value into linear light.
+   * @param  { number } channel - The sRGB value, from 0 to 1.
+   * @return { number } - The linear value, from 0 to 1.
+   */
+  srgbChannelToLinear(channel) {
+    return channel <= 0.04045 ?
+      channel / 12.92 :
+      Math.pow((channel + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * This function converts a single linear light channel value into sRGB.
+   * @param  { number } channel - The linear value, from 0 to 1.
+   * @return { number } - The sRGB value, from 0 to 1.
+   */
+  linearChannelToSRGB(channel) {
+    return channel <= 0.0031308 ?
+      channel * 12.92 :
+      1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+  }
+
+  /**
+   * This function converts an sRGB color object into linear light, which is
+   * what lighting math and blending should be done in. Alpha is unchanged.
+   * @param  { object } color - The sRGB color object.
+   * @return { object } - The linear color object.
+   */
+  srgbToLinear(color) {
+    return this.rgbaColor(
+      this.srgbChannelToLinear(color.red),
+      this.srgbChannelToLinear(color.green),
+      this.srgbChannelToLinear(color.blue),
+      color.alpha
+    );
+  }
+
+  /**
+   * This function converts a linear light color object back into sRGB. Alpha is
+   * unchanged.
+   * @param  { object } color - The linear color object.
+   * @return { object } - The sRGB color object.
+   */
+  linearToSRGB(color) {
+    return this.rgbaColor(
+      this.linearChannelToSRGB(color.red),
+      this.linearChannelToSRGB(color.green),
+      this.linearChannelToSRGB(color.blue),
+      color.alpha
+    );
+  }
+
+  /**
+   * This function converts an sRGB color object into the OKLab perceptual color
+   * space, where equal distances look like equal differences in color.
+   * @param  { object } color - The sRGB color object.
+   * @return { object } - An object with lightness, a, b, and alpha properties.
+   */
+  colorToOKLab(color) {
+    var linear = this.srgbToLinear(color);
+
+    var l = Math.cbrt(0.4122214708 * linear.red + 0.5363325363 * linear.green + 0.0514459929 * linear.blue);
+    var m = Math.cbrt(0.2119034982 * linear.red + 0.6806995451 * linear.green + 0.1073969566 * linear.blue);
+    var s = Math.cbrt(0.0883024619 * linear.red + 0.2817188376 * linear.green + 0.6299787005 * linear.blue);
+
+    return {
+      lightness: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+      alpha: color.alpha,
+    };
+  }
+
+  /**
+   * This function converts an OKLab color back into an sRGB color object.
+   * Colors outside the sRGB gamut are clamped.
+   * @param  { object } lab - An object with lightness, a, b, and (optionally)
+   *                    alpha properties.
+   * @return { object } - An object with red, green, blue, and alpha properties.
+   */
+  okLabToColor(lab) {
+    var l = lab.lightness + 0.3963377774 * lab.a + 0.2158037573 * lab.b;
+    var m = lab.lightness - 0.1055613458 * lab.a - 0.0638541728 * lab.b;
+    var s = lab.lightness - 0.0894841775 * lab.a - 1.2914855480 * lab.b;
+
+    l = l * l * l;
+    m = m * m * m;
+    s = s * s * s;
+
+    var clamp = function (channel) {
+      return Math.min(Math.max(channel, 0.0), 1.0);
+    };
+
+    return this.linearToSRGB(this.rgbaColor(
+      clamp(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+      clamp(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+      clamp(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+      lab.alpha === undefined ? 1.0 : lab.alpha
+    ));
+  }
+
+  /**
+   * This function mixes two color objects. By default the mix is done in OKLab
+   * so the halfway color looks halfway between the two; "linear" mixes light
+   * the way blending does, and "srgb" mixes the raw values.
+   * @param  { object } color1 - The first color object.
+   * @param  { object } color2 - The second color object.
+   * @param  { number } amount - How much of the second color to use, from 0 to 1.
+   * @param  { string } space - "oklab" (default), "linear", or "srgb".
+   * @return { object } - The mixed color object.
+   */
+  mixColors(color1, color2, amount, space = "oklab") {
+    var mix = function (a, b) {
+      return a + (b - a) * amount;
+    };
+    var alpha = mix(color1.alpha, color2.alpha);
+
+    if (space == "oklab") {
+      var lab1 = this.colorToOKLab(color1);
+      var lab2 = this.colorToOKLab(color2);
+      return this.okLabToColor({
+        lightness: mix(lab1.lightness, lab2.lightness),
+        a: mix(lab1.a, lab2.a),
+        b: mix(lab1.b, lab2.b),
+        alpha: alpha,
+      });
+    }
+
+    if (space == "linear") {
+      var linear1 = this.srgbToLinear(color1);
+      var linear2 = this.srgbToLinear(color2);
+      return this.linearToSRGB(this.rgbaColor(
+        mix(linear1.red, linear2.red),
+        mix(linear1.green, linear2.green),
+        mix(linear1.blue, linear2.blue),
+        alpha
+      ));
+    }
+
+    if (space != "srgb") {
+      console.error("WebGL", "mixColors(): Unknown color space '" + space + "'.");
+      return null;
+    }
+
+    return this.rgbaColor(
+      mix(color1.red, color2.red),
+      mix(color1.green, color2.green),
+      mix(color1.blue, color2.blue),
+      alpha
+    );
+  }
+
+  /**
+   * This function returns the relative luminance of a color object, as defined
+   * by the WCAG accessibility guidelines. Alpha is ignored.
+   * @param  { object } color - The sRGB color object.
+   * @return { number } - The luminance, from 0 (black) to 1 (white).
+   */
+  relativeLuminance(color) {
+    var linear = this.srgbToLinear(color);
+    return 0.2126 * linear.red + 0.7152 * linear.green + 0.0722 * linear.blue;
+  }
+
+  /**
+   * This function returns the WCAG contrast ratio between two color objects,
+   * for example a shape color and the background it is drawn on.
+   * @param  { object } color1 - The first color object.
+   * @param  { object } color2 - The second color object.
+   * @return { number } - The ratio, from 1 (no contrast) to 21 (black on white).
+   */
+  contrastRatio(color1, color2) {
+    var luminance1 = this.relativeLuminance(color1);
+    var luminance2 = this.relativeLuminance(color2);
+
+    return (Math.max(luminance1, luminance2) + 0.05) /
+      (Math.min(luminance1, luminance2) + 0.05);
+  }
+
+  /* ############################################################
+    ###################### DEBUG OVERLAY #######################
+    ############################################################ */
+
+  // The debug overlay is a box over the top-left corner of the canvas that
+  // lists named values, one per line, in the compact format of
+  // linearToDebugString() from .webgl-utilities.js, which must be loaded.
+
+  /**
+   * This function sets a named value in the debug overlay, creating the
+   * overlay the first time it is called. Calling it every frame with the same
+   * name shows the value as it changes.
+   * @param  { string } name - The label to show the value beside.
+   * @param  { * } value - The value: a vector, matrix, number, or anything else.
+   * @param  { number } precision - The number of decimal places. Defaults to 2.
+   * @return { void }
+   */
+  setDebugValue(name, value, precision = 2) {
+    if (!this.debugValues) {
+      this.debugValues = new Map();
+    }
+
+    this.debugValues.set(name, linearToDebugString(value, precision));
+    this.updateDebugOverlay();
+  }
+
+  /**
+   * This function removes a named value from the debug overlay.
+   * @param  { string } name - The label the value was set with.
+   * @return { void }
+   */
+  removeDebugValue(name) {
+    if (this.debugValues && this.debugValues.delete(name)) {
+      this.updateDebugOverlay();
+    }
+  }
+
+  /**
+   * This function shows or hides the debug overlay. Values can still be set
+   * while it is hidden, and appear when it is shown again.
+   * @param  { boolean } visible - Whether to show the overlay. Defaults to true.
+   * @return { void }
+   */
+  showDebugOverlay(visible = true) {
+    this.debugOverlayHidden = !visible;
+    this.updateDebugOverlay();
+  }
+
+  /**
+   * This function redraws the debug overlay, creating it beside the canvas
+   * element with id globalCanvasID if it does not exist yet.
+   * @return { void }
+   */
+  updateDebugOverlay() {
+    const canvas = document.getElementById(this.globalCanvasID);
+
+    if (!canvas) {
+      return;
+    }
+
+    if (!this.debugOverlay) {
+      const overlay = document.createElement("pre");
+      overlay.className = "webgl-debug-overlay";
+      overlay.style.cssText =
+        "position: absolute; margin: 0; padding: 4px 6px; text-align: left; " +
+        "font: 11px monospace; color: white; background: rgba(0, 0, 0, 0.6); " +
+        "pointer-events: none; white-space: pre;";
+      canvas.parentNode.insertBefore(overlay, canvas.nextSibling);
+      this.debugOverlay = overlay;
+    }
+
+    const overlay = this.debugOverlay;
+    const lines = [];
+
+    for (const [name, text] of this.debugValues || []) {
+      lines.push(name + ": " + text);
+    }
+
+    overlay.style.display = this.debugOverlayHidden || lines.length == 0 ? "none" : "";
+
+    // The canvas can move as the page lays out, so follow it on every update.
+    overlay.style.left = canvas.offsetLeft + 1 + "px";
+    overlay.style.top = canvas.offsetTop + 1 + "px";
+
+    // Only touch the text when it changes, since this runs every frame.
+    const text = lines.join("\n");
+    if (overlay.textContent != text) {
+      overlay.textContent = text;
+    }
   }
 }
@@ -17,6 +17,297 @@ function degreesToRadians(degrees) {
   return (degrees * Math.PI) / 180.0;
 }
 
+// ##################### ERROR HANDLING ####################
+
+/**
+ * Whether errors in these functions throw instead of being logged. By default
+ * (false), a function given bad input logs a message with console.error() and
+ * returns undefined. Set with setStrictMode(), or use withStrictMode() for a
+ * single call.
+ * @type {boolean}
+ */
+var strictMode = false;
+
+/**
+ * Turns strict mode on or off for every function in this file.
+ * @param {boolean} enabled - Whether errors should be thrown.
+ */
+function setStrictMode(enabled) {
+  strictMode = enabled == true;
+}
+
+/**
+ * Calls a function with strict mode turned on, then restores the previous mode.
+ * @example
+ * var m = withStrictMode(function () {
+ *   return linearMultiply(projection, view);
+ * });
+ * @param {function(): *} callback - The function to call.
+ * @returns {*} The return value of the callback.
+ */
+function withStrictMode(callback) {
+  var previous = strictMode;
+  strictMode = true;
+
+  try {
+    return callback();
+  } finally {
+    strictMode = previous;
+  }
+}
+
+/**
+ * Describes the shape of a value for error messages, e.g. "vec3", "mat4",
+ * "3x2 matrix", "quaternion" or "number".
+ * @param {*} value - The value to describe.
+ * @returns {string} The description.
+ */
+function describeShape(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+
+  if (value.quaternion) {
+    return "quaternion";
+  }
+
+  if (value.matrix) {
+    var columns = Array.isArray(value[0]) ? value[0].length : 0;
+    if (value.length == columns && columns >= 2 && columns <= 4) {
+      return "mat" + columns;
+    }
+    return value.length + "x" + columns + " matrix";
+  }
+
+  if (value instanceof Float32Array) {
+    return "Float32Array(" + value.length + ")";
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length >= 2 && value.length <= 4 && typeof value[0] == "number") {
+      return "vec" + value.length;
+    }
+    return "array(" + value.length + ")";
+  }
+
+  return typeof value;
+}
+
+/**
+ * The base class of the errors reported by these functions.
+ * @property {string} operation - The name of the function that failed.
+ * @property {Array<string>} shapes - The shapes of the operands, as described by describeShape().
+ */
+class WebGLUtilitiesError extends Error {
+  /**
+   * @param {string} operation - The name of the function that failed.
+   * @param {string} message - What went wrong.
+   * @param {Array} [operands] - The offending operands, whose shapes are recorded.
+   */
+  constructor(operation, message, operands) {
+    var shapes = (operands || []).map(describeShape);
+
+    super(
+      operation + "(): " + message +
+      (shapes.length > 0 ? " (operands: " + shapes.join(", ") + ")" : "")
+    );
+
+    this.name = "WebGLUtilitiesError";
+    this.operation = operation;
+    this.shapes = shapes;
+  }
+}
+
+/**
+ * Reported when vectors or matrices have incompatible dimensions.
+ */
+class DimensionMismatchError extends WebGLUtilitiesError {
+  constructor(operation, message, operands) {
+    super(operation, message, operands);
+    this.name = "DimensionMismatchError";
+  }
+}
+
+/**
+ * Reported when a matrix was expected but something else was given.
+ */
+class NonMatrixError extends WebGLUtilitiesError {
+  constructor(operation, message, operands) {
+    super(operation, message, operands);
+    this.name = "NonMatrixError";
+  }
+}
+
+/**
+ * Reported when a vector with no length is used as a direction.
+ */
+class ZeroLengthVectorError extends WebGLUtilitiesError {
+  constructor(operation, message, operands) {
+    super(operation, message, operands);
+    this.name = "ZeroLengthVectorError";
+  }
+}
+
+/**
+ * Reported when a matrix that must be inverted is singular.
+ */
+class SingularMatrixError extends WebGLUtilitiesError {
+  constructor(operation, message, operands) {
+    super(operation, message, operands);
+    this.name = "SingularMatrixError";
+  }
+}
+
+/**
+ * Reported for any other argument that is out of range or of the wrong type.
+ */
+class InvalidArgumentError extends WebGLUtilitiesError {
+  constructor(operation, message, operands) {
+    super(operation, message, operands);
+    this.name = "InvalidArgumentError";
+  }
+}
+
+/**
+ * Reports an error: throws it in strict mode, and otherwise logs it.
+ * @param {WebGLUtilitiesError} error - The error to report.
+ * @returns {undefined} Nothing, so callers can "return reportError(...)".
+ * @throws {WebGLUtilitiesError} In strict mode.
+ */
+function reportError(error) {
+  if (strictMode) {
+    throw error;
+  }
+
+  console.error("WebGL Utilities:", error.message);
+}
+
+// ##################### ARGUMENT VALIDATION ####################
+
+// Argument validation is opt in, because it walks every element of every
+// operand. Enable it while developing by defining a global before (or after)
+// loading this file:
+//
+//   <script>var WEBGL_UTILITIES_DEBUG = true;</script>
+//
+// Each check is guarded by "typeof WEBGL_UTILITIES_DEBUG" directly, so a
+// minifier told that WEBGL_UTILITIES_DEBUG is false (e.g. terser's
+// --define WEBGL_UTILITIES_DEBUG=false) removes the checks entirely.
+
+/**
+ * Checks whether a value is an array of finite numbers.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a vector.
+ */
+function isFiniteVector(value) {
+  if (!Array.isArray(value) && !(value instanceof Float32Array)) {
+    return false;
+  }
+
+  for (var i = 0; i < value.length; ++i) {
+    if (typeof value[i] != "number" || !isFinite(value[i])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * The argument kinds understood by validateArguments(), each mapped to a test
+ * and a description for error messages.
+ * @type {Object<string, {test: function(*): boolean, description: string}>}
+ */
+var argumentKinds = {
+  number: {
+    test: function (value) {
+      return typeof value == "number" && isFinite(value);
+    },
+    description: "a finite number",
+  },
+  vector: {
+    test: function (value) {
+      return !(value && value.matrix) && isFiniteVector(value);
+    },
+    description: "a vector of finite numbers",
+  },
+  scalarOrVector: {
+    test: function (value) {
+      return argumentKinds.number.test(value) || argumentKinds.vector.test(value);
+    },
+    description: "a finite number or a vector of finite numbers",
+  },
+  vec3: {
+    test: function (value) {
+      return argumentKinds.vector.test(value) && value.length == 3;
+    },
+    description: "a vec3 of finite numbers",
+  },
+  matrix: {
+    test: function (value) {
+      if (!value || !value.matrix) {
+        return false;
+      }
+      for (var i = 0; i < value.length; ++i) {
+        if (!isFiniteVector(value[i]) || value[i].length != value[0].length) {
+          return false;
+        }
+      }
+      return value.length > 0;
+    },
+    description: "a matrix of finite numbers",
+  },
+  mat4: {
+    test: function (value) {
+      return argumentKinds.matrix.test(value) && value.length == 4 && value[0].length == 4;
+    },
+    description: "a mat4 of finite numbers",
+  },
+  linear: {
+    test: function (value) {
+      return argumentKinds.matrix.test(value) || argumentKinds.vector.test(value);
+    },
+    description: "a vector or matrix of finite numbers",
+  },
+};
+
+/**
+ * Checks the arguments of a function against a list of argument kinds (see
+ * argumentKinds). A kind ending in "?" may also be undefined. Errors are
+ * reported with reportError(); in particular, NaN and Infinity are caught
+ * where they enter a calculation instead of where they reach the GPU.
+ * @param {string} operation - The name of the function being validated.
+ * @param {Arguments|Array} args - The arguments to check.
+ * @param {Array<string>} kinds - The expected kind of each argument.
+ * @returns {boolean} True if every argument is valid.
+ */
+function validateArguments(operation, args, kinds) {
+  for (var i = 0; i < kinds.length; ++i) {
+    var kind = kinds[i];
+    var optional = kind[kind.length - 1] == "?";
+
+    if (optional) {
+      kind = kind.slice(0, -1);
+      if (args[i] === undefined) {
+        continue;
+      }
+    }
+
+    if (!argumentKinds[kind].test(args[i])) {
+      reportError(
+        new InvalidArgumentError(
+          operation,
+          "Argument " + (i + 1) + " must be " + argumentKinds[kind].description + ".",
+          Array.prototype.slice.call(args)
+        )
+      );
+      return false;
+    }
+  }
+
+  return true;
+}
+
 // ##################### VECTOR CONSTRUCTORS ####################
 
 /**
@@ -176,15 +467,209 @@ function mat4() {
   return m;
 }
 
+// ##################### APPROXIMATE COMPARISON ####################
+
+/**
+ * The default tolerance used by the approximate comparison helpers.
+ */
+var comparisonEpsilon = 1e-6;
+
+/**
+ * Sets the default tolerance used by the approximate comparison helpers.
+ * @param {number} epsilon - The new default tolerance.
+ */
+function setComparisonEpsilon(epsilon) {
+  if (typeof epsilon !== "number" || !(epsilon >= 0)) {
+    return reportError(new InvalidArgumentError("setComparisonEpsilon", "epsilon must be a non-negative number.", [epsilon]));
+  }
+
+  comparisonEpsilon = epsilon;
+}
+
+/**
+ * Resolves a tolerance argument into its absolute, relative and ULP parts.
+ * A number is used as both the absolute and the relative tolerance.
+ * @param {number|Object} [tolerance] - A number, or an object with optional absolute, relative and ulps properties.
+ * @returns {Object} An object with absolute, relative and ulps properties.
+ */
+function resolveTolerance(tolerance) {
+  if (tolerance === undefined || tolerance === null) {
+    return { absolute: comparisonEpsilon, relative: comparisonEpsilon, ulps: 0 };
+  }
+
+  if (typeof tolerance === "number") {
+    return { absolute: tolerance, relative: tolerance, ulps: 0 };
+  }
+
+  return {
+    absolute: tolerance.absolute !== undefined ? tolerance.absolute : 0,
+    relative: tolerance.relative !== undefined ? tolerance.relative : 0,
+    ulps: tolerance.ulps !== undefined ? tolerance.ulps : 0
+  };
+}
+
+var ulpFloatView = new Float32Array(1);
+var ulpIntegerView = new Int32Array(ulpFloatView.buffer);
+
+/**
+ * Maps a number onto an integer that is ordered the same way as its single-precision value.
+ * @param {number} a - The number.
+ * @returns {number} The ordered integer.
+ */
+function orderedFloatBits(a) {
+  ulpFloatView[0] = a;
+  var bits = ulpIntegerView[0];
+  return bits < 0 ? -2147483648 - bits : bits;
+}
+
+/**
+ * Counts the single-precision floats between two numbers. This is the precision
+ * values have once they are uploaded to the GPU.
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number} The distance in units in the last place, or Infinity if either number is NaN.
+ */
+function ulpDistance(a, b) {
+  if (isNaN(a) || isNaN(b)) {
+    return Infinity;
+  }
+
+  return Math.abs(orderedFloatBits(a) - orderedFloatBits(b));
+}
+
+/**
+ * Checks if two numbers are equal within a tolerance. The numbers are equal if
+ * any of the absolute, relative or ULP tests pass.
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @param {number|Object} [tolerance] - A number, or an object with optional absolute, relative and ulps properties. Defaults to comparisonEpsilon.
+ * @returns {boolean} Returns true if the numbers are approximately equal, false otherwise.
+ */
+function approximatelyEqual(a, b, tolerance) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!isFinite(a) || !isFinite(b)) {
+    return false;
+  }
+
+  var t = resolveTolerance(tolerance);
+  var difference = Math.abs(a - b);
+
+  if (difference <= t.absolute) {
+    return true;
+  }
+
+  if (difference <= t.relative * Math.max(Math.abs(a), Math.abs(b))) {
+    return true;
+  }
+
+  return t.ulps > 0 && ulpDistance(a, b) <= t.ulps;
+}
+
+/**
+ * Checks if a matrix is square.
+ * @param {Matrix} m - The matrix.
+ * @returns {boolean} Returns true if the matrix is square, false otherwise.
+ */
+function isSquareMatrix(m) {
+  if (!m || !m.matrix) {
+    return false;
+  }
+
+  for (var i = 0; i < m.length; ++i) {
+    if (m[i].length != m.length) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks if a matrix is the identity matrix within a tolerance.
+ * @param {Matrix} m - The matrix.
+ * @param {number|Object} [tolerance] - The tolerance, as accepted by approximatelyEqual.
+ * @returns {boolean} Returns true if the matrix is approximately the identity, false otherwise.
+ */
+function isIdentityMatrix(m, tolerance) {
+  if (!isSquareMatrix(m)) {
+    return false;
+  }
+
+  for (var i = 0; i < m.length; ++i) {
+    for (var j = 0; j < m.length; ++j) {
+      if (!approximatelyEqual(m[i][j], i == j ? 1.0 : 0.0, tolerance)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks if the rows of a square matrix are orthonormal within a tolerance,
+ * meaning the matrix is a rotation, possibly combined with a reflection.
+ * @param {Matrix} m - The matrix.
+ * @param {number|Object} [tolerance] - The tolerance, as accepted by approximatelyEqual.
+ * @returns {boolean} Returns true if the matrix is approximately orthonormal, false otherwise.
+ */
+function isOrthonormalMatrix(m, tolerance) {
+  if (!isSquareMatrix(m)) {
+    return false;
+  }
+
+  for (var i = 0; i < m.length; ++i) {
+    for (var j = i; j < m.length; ++j) {
+      var d = 0.0;
+      for (var k = 0; k < m.length; ++k) {
+        d += m[i][k] * m[j][k];
+      }
+      if (!approximatelyEqual(d, i == j ? 1.0 : 0.0, tolerance)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks if every element of a matrix is a finite number.
+ * @param {Matrix} m - The matrix.
+ * @returns {boolean} Returns true if the matrix contains no NaN or infinite elements, false otherwise.
+ */
+function isFiniteMatrix(m) {
+  if (!m || !m.matrix) {
+    return false;
+  }
+
+  for (var i = 0; i < m.length; ++i) {
+    if (!isFiniteVector(m[i])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
 // ##################### GENERIC MATRIX & VECTOR OPERATIONS ####################
 
 /**
- * Checks if two arrays or matrices are equal.
+ * Checks if two arrays or matrices are equal. Without a tolerance the elements
+ * are compared exactly.
  * @param {Array|Matrix} u - The first array or matrix.
  * @param {Array|Matrix} v - The second array or matrix.
+ * @param {number|Object} [tolerance] - The tolerance, as accepted by approximatelyEqual.
  * @returns {boolean} Returns true if the arrays or matrices are equal, false otherwise.
  */
-function linearEquivalence(u, v) {
+function linearEquivalence(u, v, tolerance) {
+  var equal = tolerance === undefined ?
+    function (a, b) { return a === b; } :
+    function (a, b) { return approximatelyEqual(a, b, tolerance); };
+
   if (u.length != v.length) {
     return false;
   }
@@ -195,7 +680,7 @@ function linearEquivalence(u, v) {
         return false;
       }
       for (var j = 0; j < u[i].length; ++j) {
-        if (u[i][j] !== v[i][j]) {
+        if (!equal(u[i][j], v[i][j])) {
           return false;
         }
       }
@@ -204,7 +689,7 @@ function linearEquivalence(u, v) {
     return false;
   } else {
     for (var i = 0; i < u.length; ++i) {
-      if (u[i] !== v[i]) {
+      if (!equal(u[i], v[i])) {
         return false;
       }
     }
@@ -220,18 +705,21 @@ function linearEquivalence(u, v) {
  * @returns {Array} - The result of adding u and v.
  */
 function linearAddition(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("linearAddition", arguments, ["linear", "linear"])) {
+    return;
+  }
+
   var result = [];
 
   if (u.matrix && v.matrix) {
     if (u.length != v.length) {
-        console.error("WebGL Utilities:", "linearAddition(): Cannot add matrices of different dimensions.");
-        return;
+        return reportError(new DimensionMismatchError("linearAddition", "Cannot add matrices of different dimensions.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
       if (u[i].length != v[i].length) {
-        console.error("WebGL Utilities:", "linearAddition(): Cannot add matrices of different dimensions.");
-        return;
+        return reportError(new DimensionMismatchError("linearAddition", "Cannot add matrices of different dimensions.", [u, v]));
       }
       result.push([]);
       for (var j = 0; j < u[i].length; ++j) {
@@ -243,12 +731,10 @@ function linearAddition(u, v) {
 
     return result;
   } else if ((u.matrix && !v.matrix) || (!u.matrix && v.matrix)) {
-    console.error("WebGL Utilities:", "linearAddition(): Cannot add matrix and non-matrix variables.");
-    return;
+    return reportError(new NonMatrixError("linearAddition", "Cannot add matrix and non-matrix variables.", [u, v]));
   } else {
     if (u.length != v.length) {
-        console.error("WebGL Utilities:", "linearAddition(): Cannot add matrices of different dimensions.");
-        return;
+        return reportError(new DimensionMismatchError("linearAddition", "Cannot add matrices of different dimensions.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
@@ -266,18 +752,21 @@ function linearAddition(u, v) {
  * @returns {Array<number>|Array<Array<number>>} - The result of subtracting u from v.
  */
 function linearSubtract(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("linearSubtract", arguments, ["linear", "linear"])) {
+    return;
+  }
+
   var result = [];
 
   if (u.matrix && v.matrix) {
     if (u.length != v.length) {
-        console.error("WebGL Utilities:", "linearSubtract(): Cannot subtract matrices of different lengths.");
-        return;
+        return reportError(new DimensionMismatchError("linearSubtract", "Cannot subtract matrices of different lengths.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
       if (u[i].length != v[i].length) {
-        console.error("WebGL Utilities:", "linearSubtract(): Cannot subtract matrices of different lengths.");
-        return;
+        return reportError(new DimensionMismatchError("linearSubtract", "Cannot subtract matrices of different lengths.", [u, v]));
       }
       result.push([]);
       for (var j = 0; j < u[i].length; ++j) {
@@ -289,12 +778,10 @@ function linearSubtract(u, v) {
 
     return result;
   } else if ((u.matrix && !v.matrix) || (!u.matrix && v.matrix)) {
-    console.error("WebGL Utilities:", "linearSubtract(): Cannot subtract vector/matrix and non-vector/matrix variables.");
-    return;
+    return reportError(new NonMatrixError("linearSubtract", "Cannot subtract vector/matrix and non-vector/matrix variables.", [u, v]));
   } else {
     if (u.length != v.length) {
-        console.error("WebGL Utilities:", "linearSubtract(): Cannot subtract vectors/matrices of different lengths.");
-        return;
+        return reportError(new DimensionMismatchError("linearSubtract", "Cannot subtract vectors/matrices of different lengths.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
@@ -307,24 +794,40 @@ function linearSubtract(u, v) {
 
 /**
  * Multiplies two matrices or vectors.
- * @param {Array} u - The first matrix or vector.
- * @param {Array} v - The second matrix or vector.
+ * Quaternions are also accepted: two quaternions give their Hamilton product,
+ * a quaternion and a matrix are multiplied as the equivalent rotation matrix,
+ * and a quaternion followed by a vector rotates that vector.
+ * @param {Array} u - The first matrix, vector or quaternion.
+ * @param {Array} v - The second matrix, vector or quaternion.
  * @returns {Array} - The result of the multiplication.
- * @throws {string} - Throws an error if the matrices or vectors have different dimensions.
+ * @throws {DimensionMismatchError} - In strict mode, if the matrices or vectors have different dimensions.
  */
 function linearMultiply(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("linearMultiply", arguments, ["linear", "linear"])) {
+    return;
+  }
+
   var result = [];
 
+  if (u.quaternion && v.quaternion) {
+    return multiplyQuaternions(u, v);
+  } else if (u.quaternion && v.matrix) {
+    u = quaternionToMatrix(u, v.length == 3);
+  } else if (u.matrix && v.quaternion) {
+    v = quaternionToMatrix(v, u.length == 3);
+  } else if (u.quaternion) {
+    return rotateVectorByQuaternion(u, v);
+  }
+
   if (u.matrix && v.matrix) {
     if (u.length != v.length) {
-      console.error("WebGL Utilities:", "linearMultiply(): Cannot multiply vectors/matrices of different dimensions.");
-      return;
+      return reportError(new DimensionMismatchError("linearMultiply", "Cannot multiply vectors/matrices of different dimensions.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
       if (u[i].length != v[i].length) {
-        console.error("WebGL Utilities:", "linearMultiply(): Cannot multiply vectors/matrices of different dimensions.");
-        return;
+        return reportError(new DimensionMismatchError("linearMultiply", "Cannot multiply vectors/matrices of different dimensions.", [u, v]));
       }
     }
 
@@ -356,8 +859,7 @@ function linearMultiply(u, v) {
     return result;
   } else {
     if (u.length != v.length) {
-        console.error("WebGL Utilities:", "linearMultiply(): Cannot multiply vectors/matrices of different dimensions.");
-        return;
+        return reportError(new DimensionMismatchError("linearMultiply", "Cannot multiply vectors/matrices of different dimensions.", [u, v]));
     }
 
     for (var i = 0; i < u.length; ++i) {
@@ -517,338 +1019,2334 @@ function scalingMatrix(x, y, z) {
   return result;
 }
 
-// ##################### MODEL-VIEW MATRIX GENERATORS ####################
+// ##################### TRANSFORM DECOMPOSITION & COMPOSITION ####################
 
 /**
- * Calculates a view matrix for a camera using the lookAt algorithm.
- *
- * @param {vec3} eye - The position of the camera.
- * @param {vec3} at - The point the camera is looking at.
- * @param {vec3} up - The up direction of the camera.
- * @returns {mat4} The resulting view matrix.
+ * Extracts Euler angles from a rotation matrix. The order has the same meaning
+ * as in quaternionFromEuler(), so quaternionFromEuler(matrixToEuler(m, order), order)
+ * reproduces the rotation of m. At gimbal lock (the middle angle at +/-90
+ * degrees) the last angle is set to 0 and the first absorbs the rotation.
+ * @param {mat3|mat4} m - The rotation matrix. Its upper-left 3x3 must be a pure rotation.
+ * @param {string} [order="XYZ"] - Any permutation of "XYZ".
+ * @returns {Array<number>} The angles [x, y, z] in degrees.
  */
-function viewMatrixAt(eye, at, up) {
-  if (!Array.isArray(eye) || eye.length != 3) {
-    console.error("WebGL Utilities:", "viewMatrixAt(): First parameter [eye] must be in the form of a vec3.");
-    return;
+function matrixToEuler(m, order) {
+  if (!m.matrix || m.length < 3) {
+    return reportError(new NonMatrixError("matrixToEuler", "Variable is not a mat3 or mat4.", [m]));
   }
 
-  if (!Array.isArray(at) || at.length != 3) {
-    console.error("WebGL Utilities:", "viewMatrixAt(): First parameter [at] must be in the form of a vec3.");
-    return;
-  }
+  var clamp = function (value) {
+    return Math.min(Math.max(value, -1.0), 1.0);
+  };
+
+  // Past this value of the middle angle's sine, the first and last axes line
+  // up (gimbal lock) and only their combined rotation can be recovered.
+  var gimbalLimit = 0.9999999;
+
+  var x = 0.0;
+  var y = 0.0;
+  var z = 0.0;
+
+  switch ((order || "XYZ").toUpperCase()) {
+    case "XYZ":
+      y = Math.asin(clamp(m[0][2]));
+      if (Math.abs(m[0][2]) < gimbalLimit) {
+        x = Math.atan2(-m[1][2], m[2][2]);
+        z = Math.atan2(-m[0][1], m[0][0]);
+      } else {
+        x = Math.atan2(m[2][1], m[1][1]);
+      }
+      break;
 
-  if (!Array.isArray(up) || up.length != 3) {
-    console.error("WebGL Utilities:", "viewMatrixAt(): First parameter [up] must be in the form of a vec3.");
-    return;
-  }
+    case "XZY":
+      z = Math.asin(-clamp(m[0][1]));
+      if (Math.abs(m[0][1]) < gimbalLimit) {
+        x = Math.atan2(m[2][1], m[1][1]);
+        y = Math.atan2(m[0][2], m[0][0]);
+      } else {
+        x = Math.atan2(-m[1][2], m[2][2]);
+      }
+      break;
 
-  if (linearEquivalence(eye, at)) {
-    return mat4();
-  }
+    case "YXZ":
+      x = Math.asin(-clamp(m[1][2]));
+      if (Math.abs(m[1][2]) < gimbalLimit) {
+        y = Math.atan2(m[0][2], m[2][2]);
+        z = Math.atan2(m[1][0], m[1][1]);
+      } else {
+        y = Math.atan2(-m[2][0], m[0][0]);
+      }
+      break;
 
-  var v = normalizeVectors(linearSubtract(at, eye)); // view direction vector
-  var n = normalizeVectors(crossProduct(v, up)); // perpendicular vector
-  var u = normalizeVectors(crossProduct(n, v)); // "new" up vector
+    case "YZX":
+      z = Math.asin(clamp(m[1][0]));
+      if (Math.abs(m[1][0]) < gimbalLimit) {
+        x = Math.atan2(-m[1][2], m[1][1]);
+        y = Math.atan2(-m[2][0], m[0][0]);
+      } else {
+        y = Math.atan2(m[0][2], m[2][2]);
+      }
+      break;
 
-  v = negateElements(v);
+    case "ZXY":
+      x = Math.asin(clamp(m[2][1]));
+      if (Math.abs(m[2][1]) < gimbalLimit) {
+        y = Math.atan2(-m[2][0], m[2][2]);
+        z = Math.atan2(-m[0][1], m[1][1]);
+      } else {
+        z = Math.atan2(m[1][0], m[0][0]);
+      }
+      break;
 
-  var result = mat4(
-    vec4(n, -dotProduct(n, eye)),
-    vec4(u, -dotProduct(u, eye)),
-    vec4(v, -dotProduct(v, eye)),
-    vec4()
-  );
+    case "ZYX":
+      y = Math.asin(-clamp(m[2][0]));
+      if (Math.abs(m[2][0]) < gimbalLimit) {
+        x = Math.atan2(m[2][1], m[2][2]);
+        z = Math.atan2(m[1][0], m[0][0]);
+      } else {
+        z = Math.atan2(-m[0][1], m[1][1]);
+      }
+      break;
 
-  return result;
-}
+    default:
+      return reportError(new InvalidArgumentError("matrixToEuler", "Order must be a permutation of 'XYZ'."));
+  }
 
-// ##################### PROJECTION MATRIX GENERATORS ####################
+  return vec3(x * 180.0 / Math.PI, y * 180.0 / Math.PI, z * 180.0 / Math.PI);
+}
 
 /**
- * Creates an orthographic projection matrix.
- * @param {number} left - The left coordinate of the viewing volume.
- * @param {number} right - The right coordinate of the viewing volume.
- * @param {number} bottom - The bottom coordinate of the viewing volume.
- * @param {number} top - The top coordinate of the viewing volume.
- * @param {number} near - The near coordinate of the viewing volume.
- * @param {number} far - The far coordinate of the viewing volume.
- * @returns {mat4} The orthographic projection matrix.
+ * Splits an affine mat4 into translation, rotation, scale and shear, such that
+ * m = T * R * H * S, where H is the upper-triangular shear matrix
+ * [1, xy, xz; 0, 1, yz; 0, 0, 1] and S is the scaling matrix.
+ *
+ * Mirrored (negative determinant) matrices are reported with a negative x
+ * scale. A zero scale along any axis cannot be inverted, so the rotation is
+ * completed with an arbitrary perpendicular axis, the shear involving that
+ * axis is set to 0, and the result is flagged as degenerate; composing it
+ * still reproduces m unless m was sheared along the collapsed axis.
+ * @param {mat4} m - The affine transformation to decompose.
+ * @param {string} [order="XYZ"] - The Euler angle order for the euler property. See quaternionFromEuler().
+ * @returns {Object} An object with translation (vec3), rotation (quaternion),
+ *                   euler (vec3 in degrees), order (string), scale (vec3),
+ *                   shear (vec3 of [xy, xz, yz]), and degenerate (boolean)
+ *                   properties.
  */
-function buildOrthographicMatrix(left, right, bottom, top, near, far) {
-  if (left == right) {
-    throw "ortho(): left and right are equal";
+function decomposeMatrix(m, order) {
+  if (!m.matrix || m.length != 4) {
+    return reportError(new NonMatrixError("decomposeMatrix", "Variable is not a mat4.", [m]));
   }
-  if (bottom == top) {
-    throw "ortho(): bottom and top are equal";
+
+  if (!isAffineMatrix(m)) {
+    return reportError(new InvalidArgumentError("decomposeMatrix", "Cannot decompose a projective (non-affine) matrix.", [m]));
   }
-  if (near == far) {
-    throw "ortho(): near and far are equal";
+
+  order = (order || "XYZ").toUpperCase();
+
+  var columns = [];
+  for (var j = 0; j < 3; ++j) {
+    columns.push(vec3(m[0][j], m[1][j], m[2][j]));
   }
 
-  var w = right - left;
-  var h = top - bottom;
-  var d = far - near;
+  var tolerance =
+    inverseEpsilon *
+    Math.max(vectorLength(columns[0]), vectorLength(columns[1]), vectorLength(columns[2]));
+
+  // Gram-Schmidt orthogonalization of the columns. The component of each
+  // column along the earlier axes is the shear, and what is left is the scale.
+  var axes = [null, null, null];
+  var scale = vec3();
+  var shear = vec3(); // [xy, xz, yz]
+  var shearIndex = { "01": 0, "02": 1, "12": 2 };
+  var degenerate = false;
+
+  for (var j = 0; j < 3; ++j) {
+    var column = columns[j];
+
+    for (var k = 0; k < j; ++k) {
+      if (axes[k] !== null) {
+        var projection = dotProduct(axes[k], column);
+        shear[shearIndex["" + k + j]] = projection;
+        column = linearSubtract(column, linearScale(projection, axes[k]));
+      }
+    }
 
-  var result = mat4();
-  result[0][0] = 2.0 / w;
-  result[1][1] = 2.0 / h;
-  result[2][2] = -2.0 / d;
-  result[0][3] = -(left + right) / w;
-  result[1][3] = -(top + bottom) / h;
-  result[2][3] = -(near + far) / d;
+    scale[j] = vectorLength(column);
 
-  return result;
-}
+    if (scale[j] > tolerance) {
+      axes[j] = linearScale(1.0 / scale[j], column);
+    } else {
+      scale[j] = 0.0;
+      degenerate = true;
+    }
+  }
 
-/**
- * Creates a perspective projection matrix.
- * @param {number} fovY - The vertical field of view in degrees.
- * @param {number} aspect - The aspect ratio of the viewport.
- * @param {number} near - The distance to the near clipping plane.
- * @param {number} far - The distance to the far clipping plane.
- * @returns {mat4} The perspective projection matrix.
- */
-function buildPerspectiveMatrix(fovY, aspect, near, far) {
-  var f = 1.0 / Math.tan(degreesToRadians(fovY) / 2);
-  var d = far - near;
+  // Convert the shear projections into factors of the later axis' scale.
+  for (var key in shearIndex) {
+    var later = Number(key[1]);
+    shear[shearIndex[key]] = scale[later] == 0.0 ? 0.0 : shear[shearIndex[key]] / scale[later];
+  }
 
-  var result = mat4();
-  result[0][0] = f / aspect;
-  result[1][1] = f;
-  result[2][2] = -(near + far) / d;
-  result[2][3] = (-2 * near * far) / d;
-  result[3][2] = -1;
-  result[3][3] = 0.0;
+  // Complete the basis for collapsed axes with whichever coordinate axis is
+  // furthest from the axes already found.
+  for (var j = 0; j < 3; ++j) {
+    if (axes[j] !== null) {
+      continue;
+    }
 
-  return result;
-}
+    var best = null;
+    var bestLength = 0.0;
 
-// ##################### MATRIX FUNCTIONS ####################
+    for (var c = 0; c < 3; ++c) {
+      var candidate = vec3();
+      candidate[c] = 1.0;
 
-/**
- * Transposes a matrix.
- * @param {Array<Array<number>>} m - The matrix to transpose.
- * @returns {Array<Array<number>>} - The transposed matrix.
- */
-function transposeMatrix(m) {
-  if (!m.matrix) {
-    console.error("WebGL Utilities:", "transposeMatrix(): Cannot transpose a non-matrix.");
-    return;
+      for (var k = 0; k < 3; ++k) {
+        if (axes[k] !== null) {
+          candidate = linearSubtract(candidate, linearScale(dotProduct(axes[k], candidate), axes[k]));
+        }
+      }
+
+      if (vectorLength(candidate) > bestLength) {
+        bestLength = vectorLength(candidate);
+        best = candidate;
+      }
+    }
+
+    axes[j] = linearScale(1.0 / bestLength, best);
   }
 
-  var result = [];
-  for (var i = 0; i < m.length; ++i) {
-    result.push([]);
-    for (var j = 0; j < m[i].length; ++j) {
-      result[i].push(m[j][i]);
+  // A rotation must have a determinant of +1. Flip a collapsed axis if there
+  // is one, since that changes nothing else; otherwise mirror along x.
+  if (dotProduct(axes[0], crossProduct(axes[1], axes[2])) < 0) {
+    var flip = scale.indexOf(0.0);
+
+    if (flip == -1) {
+      flip = 0;
+      scale[0] = -scale[0];
+      shear[0] = -shear[0];
+      shear[1] = -shear[1];
     }
+
+    axes[flip] = negateElements(axes[flip]);
   }
 
-  result.matrix = true;
+  var rotation = mat3();
+  for (var i = 0; i < 3; ++i) {
+    for (var j = 0; j < 3; ++j) {
+      rotation[i][j] = axes[j][i];
+    }
+  }
 
-  return result;
+  return {
+    translation: vec3(m[0][3], m[1][3], m[2][3]),
+    rotation: matrixToQuaternion(rotation),
+    euler: matrixToEuler(rotation, order),
+    order: order,
+    scale: scale,
+    shear: shear,
+    degenerate: degenerate,
+  };
 }
 
-// ##################### VECTOR FUNCTIONS ####################
-
 /**
- * Calculates the dot product of two vectors.
- * @param {number[]} u - The first vector.
- * @param {number[]} v - The second vector.
- * @returns {number} The dot product of the two vectors.
+ * Builds an affine mat4 from translation, rotation, scale and shear, as
+ * m = T * R * H * S. This is the inverse of decomposeMatrix(), whose result
+ * can also be passed in directly as the only argument.
+ * @param {vec3|Object} translation - The translation, or an object returned by decomposeMatrix().
+ * @param {Array<number>|mat3|mat4} [rotation] - A quaternion, a rotation matrix, or Euler angles [x, y, z] in degrees. Defaults to no rotation.
+ * @param {vec3} [scale=[1, 1, 1]] - The scale along each axis.
+ * @param {vec3} [shear=[0, 0, 0]] - The shear factors [xy, xz, yz].
+ * @param {string} [order="XYZ"] - The order of the Euler angles, if rotation is given as Euler angles.
+ * @returns {mat4} The composed matrix.
  */
-function dotProduct(u, v) {
-  if (u.length != v.length) {
-    console.error("WebGL Utilities", "dotProduct(): Vectors are not the same dimension.");
+function composeMatrix(translation, rotation, scale, shear, order) {
+  if (translation && !Array.isArray(translation)) {
+    rotation = translation.rotation;
+    scale = translation.scale;
+    shear = translation.shear;
+    order = translation.order;
+    translation = translation.translation;
   }
 
-  var sum = 0.0;
-  for (var i = 0; i < u.length; ++i) {
-    sum += u[i] * v[i];
+  translation = translation || vec3();
+  scale = scale || vec3(1.0, 1.0, 1.0);
+  shear = shear || vec3();
+
+  var r;
+  if (!rotation) {
+    r = mat4();
+  } else if (rotation.quaternion) {
+    r = quaternionToMatrix(rotation);
+  } else if (rotation.matrix) {
+    r = mat4();
+    for (var i = 0; i < 3; ++i) {
+      for (var j = 0; j < 3; ++j) {
+        r[i][j] = rotation[i][j];
+      }
+    }
+  } else {
+    r = quaternionToMatrix(quaternionFromEuler(rotation, order));
   }
 
-  return sum;
+  var h = mat4();
+  h[0][1] = shear[0];
+  h[0][2] = shear[1];
+  h[1][2] = shear[2];
+
+  return linearMultiply(
+    linearMultiply(translateMatrix(translation), r),
+    linearMultiply(h, scalingMatrix(scale))
+  );
 }
 
 /**
- * Negates each element in the given array.
- * @param {number[]} u - The array to be negated.
- * @returns {number[]} - The resulting array with negated elements.
+ * Interpolates between two affine transformations by decomposing them,
+ * mixing translation, scale and shear linearly, and rotation with
+ * slerpQuaternions(). Unlike mixing the matrices element by element, this
+ * keeps the in-between poses rigid.
+ * @param {mat4} m1 - The starting transformation.
+ * @param {mat4} m2 - The ending transformation.
+ * @param {number} s - The interpolation amount, from 0 (m1) to 1 (m2).
+ * @returns {mat4} The interpolated transformation.
  */
-function negateElements(u) {
-  var result = [];
-  for (var i = 0; i < u.length; ++i) {
-    result.push(-u[i]);
+function mixTransforms(m1, m2, s) {
+  var a = decomposeMatrix(m1);
+  var b = decomposeMatrix(m2);
+
+  if (!a || !b) {
+    return;
   }
 
+  return composeMatrix(
+    mixVectors(a.translation, b.translation, s),
+    slerpQuaternions(a.rotation, b.rotation, s),
+    mixVectors(a.scale, b.scale, s),
+    mixVectors(a.shear, b.shear, s)
+  );
+}
+
+// ##################### QUATERNIONS ####################
+
+/**
+ * Creates a quaternion [x, y, z, w], where [x, y, z] is the vector part and w
+ * is the scalar part. If no arguments are provided, the identity rotation is
+ * returned. The result is tagged with a quaternion flag, the same way matrices
+ * are tagged with a matrix flag, so that linearMultiply() can recognize it.
+ * @param {...number} arguments - The components of the quaternion.
+ * @returns {Array<number>} The quaternion.
+ */
+function quaternion() {
+  var result = vec4(objectToArray(arguments));
+  result.quaternion = true;
+
   return result;
 }
 
 /**
- * Calculates the cross product of two vectors.
- * @param {number[]} u - The first vector.
- * @param {number[]} v - The second vector.
- * @returns {number[]} The cross product of the two vectors.
+ * Creates a unit quaternion which rotates by the specified angle around the
+ * given axis. Accepts the same arguments as rotateMatrix().
+ * @param {number} angle - The angle of rotation in degrees.
+ * @param {Array<number>} axis - The axis of rotation as an array of three numbers [x, y, z].
+ * @returns {Array<number>} The rotation quaternion.
  */
-function crossProduct(u, v) {
-  if (!Array.isArray(u) || u.length < 3) {
-    console.error("WebGL Utilities:", "crossProduct(): First argument is not a vector of minimum size, 3.");
-    return;
+function quaternionFromAxisAngle(angle, axis) {
+  if (!Array.isArray(axis)) {
+    axis = [arguments[1], arguments[2], arguments[3]];
   }
 
-  if (!Array.isArray(v) || v.length < 3) {
-    console.error("WebGL Utilities:", "crossProduct(): Second argument is not a vector of minimum size, 3.");
-    return;
+  if (vectorLength(axis.slice(0, 3)) == 0) {
+    return reportError(new ZeroLengthVectorError("quaternionFromAxisAngle", "The axis of rotation has zero length.", [axis]));
   }
 
-  var result = [
-    u[1] * v[2] - u[2] * v[1],
-    u[2] * v[0] - u[0] * v[2],
-    u[0] * v[1] - u[1] * v[0],
-  ];
+  var v = normalizeVectors(axis.slice(0, 3));
 
-  return result;
+  var halfAngle = degreesToRadians(angle) / 2.0;
+  var s = Math.sin(halfAngle);
+
+  return quaternion(v[0] * s, v[1] * s, v[2] * s, Math.cos(halfAngle));
 }
 
 /**
- * Calculates the length of a vector.
- *
- * @param {Array<number>} u - The vector to calculate the length of.
- * @returns {number} The length of the vector.
+ * Creates a unit quaternion from Euler angles. The order names the axes in the
+ * order their rotations are multiplied, so the default order "XYZ" produces
+ * the same rotation as rotateX(x) * rotateY(y) * rotateZ(z), and the rotation
+ * in cube.html's vertex shader (rz * ry * rx) corresponds to the order "ZYX".
+ * @param {number|Array<number>} x - The rotation about the x-axis in degrees, or an array [x, y, z] of all three angles.
+ * @param {number} [y] - The rotation about the y-axis in degrees.
+ * @param {number} [z] - The rotation about the z-axis in degrees.
+ * @param {string} [order="XYZ"] - Any permutation of "XYZ".
+ * @returns {Array<number>} The rotation quaternion.
  */
-function vectorLength(u) {
-  return Math.sqrt(dotProduct(u, u));
+function quaternionFromEuler(x, y, z, order) {
+  if (Array.isArray(x)) {
+    order = y;
+    z = x[2];
+    y = x[1];
+    x = x[0];
+  }
+
+  order = (order || "XYZ").toUpperCase();
+
+  if (!/^(?!.*(.).*\1)[XYZ]{3}$/.test(order)) {
+    return reportError(new InvalidArgumentError("quaternionFromEuler", "Order must be a permutation of 'XYZ'."));
+  }
+
+  var rotations = {
+    X: quaternionFromAxisAngle(x, [1, 0, 0]),
+    Y: quaternionFromAxisAngle(y, [0, 1, 0]),
+    Z: quaternionFromAxisAngle(z, [0, 0, 1]),
+  };
+
+  return multiplyQuaternions(
+    multiplyQuaternions(rotations[order[0]], rotations[order[1]]),
+    rotations[order[2]]
+  );
 }
 
 /**
- * Normalizes a vector by dividing each component by its length.
- * If excludeLastComponent is true, the last component will be excluded from normalization.
- * @param {number[]} u - The vector to be normalized.
- * @param {boolean} excludeLastComponent - Whether to exclude the last component from normalization.
- * @returns {number[]} The normalized vector.
+ * Multiplies two quaternions (the Hamilton product). The result represents
+ * the rotation r followed by the rotation q, matching the order in which the
+ * equivalent matrices would be passed to linearMultiply().
+ * @param {Array<number>} q - The first quaternion.
+ * @param {Array<number>} r - The second quaternion.
+ * @returns {Array<number>} The product of the two quaternions.
  */
-function normalizeVectors(u, excludeLastComponent) {
-  if (excludeLastComponent) {
-    var last = u.pop();
-  }
+function multiplyQuaternions(q, r) {
+  return quaternion(
+    q[3] * r[0] + q[0] * r[3] + q[1] * r[2] - q[2] * r[1],
+    q[3] * r[1] - q[0] * r[2] + q[1] * r[3] + q[2] * r[0],
+    q[3] * r[2] + q[0] * r[1] - q[1] * r[0] + q[2] * r[3],
+    q[3] * r[3] - q[0] * r[0] - q[1] * r[1] - q[2] * r[2]
+  );
+}
 
-  var len = vectorLength(u);
+/**
+ * Normalizes a quaternion to unit length. Incrementally composed rotations
+ * should be renormalized every so often to keep rounding errors from
+ * accumulating.
+ * @param {Array<number>} q - The quaternion to normalize.
+ * @returns {Array<number>} The normalized quaternion.
+ */
+function normalizeQuaternion(q) {
+  var len = vectorLength(q);
 
-  if (!isFinite(len)) {
-    console.error("WebGL Utilities", "normalizeVectors(): Vector has zero length.");
-    return;
+  if (len == 0 || !isFinite(len)) {
+    return reportError(new ZeroLengthVectorError("normalizeQuaternion", "Quaternion has zero length.", [q]));
   }
 
-  for (var i = 0; i < u.length; ++i) {
-    u[i] /= len;
-  }
+  return quaternion(q[0] / len, q[1] / len, q[2] / len, q[3] / len);
+}
 
-  if (excludeLastComponent) {
-    u.push(last);
+/**
+ * Calculates the conjugate of a quaternion. For unit quaternions this is the
+ * inverse rotation.
+ * @param {Array<number>} q - The quaternion.
+ * @returns {Array<number>} The conjugate quaternion.
+ */
+function conjugateQuaternion(q) {
+  return quaternion(-q[0], -q[1], -q[2], q[3]);
+}
+
+/**
+ * Calculates the inverse of a quaternion of any length.
+ * @param {Array<number>} q - The quaternion.
+ * @returns {Array<number>} The inverse quaternion.
+ */
+function invertQuaternion(q) {
+  var lengthSquared = dotProduct(q, q);
+
+  if (lengthSquared == 0) {
+    return reportError(new ZeroLengthVectorError("invertQuaternion", "Quaternion has zero length.", [q]));
   }
 
-  return u;
+  return quaternion(
+    -q[0] / lengthSquared,
+    -q[1] / lengthSquared,
+    -q[2] / lengthSquared,
+    q[3] / lengthSquared
+  );
 }
 
 /**
- * Mixes two vectors based on a scalar value.
- * @param {number[]} u - The first vector.
- * @param {number[]} v - The second vector.
- * @param {number} s - The scalar value.
- * @returns {number[]} - The resulting mixed vector.
+ * Interpolates linearly between two quaternions and normalizes the result.
+ * Cheaper than slerpQuaternions() but does not rotate at a constant speed.
+ * Always follows the shortest path between the two rotations.
+ * @param {Array<number>} q - The starting quaternion.
+ * @param {Array<number>} r - The ending quaternion.
+ * @param {number} s - The interpolation amount, from 0 (q) to 1 (r).
+ * @returns {Array<number>} The interpolated unit quaternion.
  */
-function mixVectors(u, v, s) {
-  if (typeof s !== "number") {
-    console.error("WebGL Utilities:", "mixVectors()): The third parameter must be a number.");
-    return;
-  }
+function nlerpQuaternions(q, r, s) {
+  var sign = dotProduct(q, r) < 0 ? -1 : 1;
+
+  return normalizeQuaternion(
+    quaternion(
+      (1.0 - s) * q[0] + sign * s * r[0],
+      (1.0 - s) * q[1] + sign * s * r[1],
+      (1.0 - s) * q[2] + sign * s * r[2],
+      (1.0 - s) * q[3] + sign * s * r[3]
+    )
+  );
+}
 
-  if (u.length != v.length) {
-    console.error("WebGL Utilities:", "mixVectors()): Vectors are not the same dimension.");
-    return;
+/**
+ * Spherically interpolates between two unit quaternions, rotating at a
+ * constant angular speed along the shortest path. Falls back to
+ * nlerpQuaternions() when the rotations are nearly identical.
+ * @param {Array<number>} q - The starting quaternion.
+ * @param {Array<number>} r - The ending quaternion.
+ * @param {number} s - The interpolation amount, from 0 (q) to 1 (r).
+ * @returns {Array<number>} The interpolated unit quaternion.
+ */
+function slerpQuaternions(q, r, s) {
+  var cosTheta = dotProduct(q, r);
+  var sign = 1;
+
+  if (cosTheta < 0) {
+    cosTheta = -cosTheta;
+    sign = -1;
   }
 
-  var result = [];
-  for (var i = 0; i < u.length; ++i) {
-    result.push((1.0 - s) * u[i] + s * v[i]);
+  if (cosTheta > 0.9995) {
+    return nlerpQuaternions(q, r, s);
   }
 
-  return result;
-}
+  var theta = Math.acos(cosTheta);
+  var sinTheta = Math.sin(theta);
+  var a = Math.sin((1.0 - s) * theta) / sinTheta;
+  var b = (sign * Math.sin(s * theta)) / sinTheta;
 
-// ##################### VECTOR & MATRIX FUNCTIONS ####################
+  return quaternion(
+    a * q[0] + b * r[0],
+    a * q[1] + b * r[1],
+    a * q[2] + b * r[2],
+    a * q[3] + b * r[3]
+  );
+}
 
 /**
- * Scales a vector or matrix by a scalar value.
- * @param {number} s - The scalar value to scale by.
- * @param {Array} u - The vector or matrix to be scaled.
- * @returns {Array} - The scaled vector or matrix.
+ * Rotates a vector by a unit quaternion. A fourth (w) component, if present,
+ * is passed through unchanged.
+ * @param {Array<number>} q - The rotation quaternion.
+ * @param {Array<number>} v - The vec3 or vec4 to rotate.
+ * @returns {Array<number>} The rotated vector.
  */
-function linearScale(s, u) {
-  if (!Array.isArray(u)) {
-    console.error("WebGL Utilities:", "linearScale(): The second parameter must be a vector/matrix.");
+function rotateVectorByQuaternion(q, v) {
+  if (!Array.isArray(v) || v.length < 3) {
+    return reportError(new DimensionMismatchError("rotateVectorByQuaternion", "Second argument is not a vector of minimum size, 3.", [q, v]));
   }
 
-  var result = [];
-  for (var i = 0; i < u.length; ++i) {
-    result.push(s * u[i]);
+  // v' = v + 2w(q x v) + 2(q x (q x v))
+  var t = linearScale(2.0, crossProduct(q, v));
+  var result = linearAddition(
+    linearAddition(v.slice(0, 3), linearScale(q[3], t)),
+    crossProduct(q, t)
+  );
+
+  if (v.length > 3) {
+    result.push(v[3]);
   }
 
   return result;
 }
 
 /**
- * Flattens a matrix or array of arrays into a Float32Array.
- * If the input is a matrix, it will be transposed before flattening.
- * @param {Array|Array[]} v - The matrix or array of arrays to flatten.
- * @returns {Float32Array} - The flattened array.
+ * Converts a unit quaternion into a rotation matrix which can be used anywhere
+ * rotateMatrix() output can, including linearMultiply() and linearFlatten().
+ * @param {Array<number>} q - The rotation quaternion.
+ * @param {boolean} flag - A flag indicating whether to return the upper-left 3x3 matrix instead of the full matrix.
+ * @returns {mat4|mat3} The rotation matrix.
  */
-function linearFlatten(v) {
-  if (v.matrix === true) {
-    v = transposeMatrix(v);
+function quaternionToMatrix(q, flag) {
+  var x = q[0];
+  var y = q[1];
+  var z = q[2];
+  var w = q[3];
+
+  var rows = [
+    vec3(1.0 - 2.0 * (y * y + z * z), 2.0 * (x * y - z * w), 2.0 * (x * z + y * w)),
+    vec3(2.0 * (x * y + z * w), 1.0 - 2.0 * (x * x + z * z), 2.0 * (y * z - x * w)),
+    vec3(2.0 * (x * z - y * w), 2.0 * (y * z + x * w), 1.0 - 2.0 * (x * x + y * y)),
+  ];
+
+  if (flag == true) {
+    return mat3(rows[0], rows[1], rows[2]);
   }
 
-  var n = v.length;
-  var elemsAreArrays = false;
+  return mat4(
+    vec4(rows[0], 0.0),
+    vec4(rows[1], 0.0),
+    vec4(rows[2], 0.0),
+    vec4()
+  );
+}
 
-  if (Array.isArray(v[0])) {
-    elemsAreArrays = true;
-    n *= v[0].length;
+/**
+ * Extracts the rotation of a mat3 or mat4 as a unit quaternion. The upper-left
+ * 3x3 of the matrix is assumed to be a pure rotation (no scale or shear).
+ * @param {mat3|mat4} m - The rotation matrix.
+ * @returns {Array<number>} The rotation quaternion.
+ */
+function matrixToQuaternion(m) {
+  if (!m.matrix || m.length < 3) {
+    return reportError(new NonMatrixError("matrixToQuaternion", "Variable is not a mat3 or mat4.", [m]));
   }
 
-  var floats = new Float32Array(n);
-
-  if (elemsAreArrays) {
-    var idx = 0;
-    for (var i = 0; i < v.length; ++i) {
-      for (var j = 0; j < v[i].length; ++j) {
-        floats[idx++] = v[i][j];
-      }
-    }
+  var trace = m[0][0] + m[1][1] + m[2][2];
+  var s;
+
+  // Divide by the largest of the four candidate terms for numerical stability.
+  if (trace > 0) {
+    s = 2.0 * Math.sqrt(trace + 1.0);
+    return normalizeQuaternion(quaternion(
+      (m[2][1] - m[1][2]) / s,
+      (m[0][2] - m[2][0]) / s,
+      (m[1][0] - m[0][1]) / s,
+      0.25 * s
+    ));
+  } else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    s = 2.0 * Math.sqrt(1.0 + m[0][0] - m[1][1] - m[2][2]);
+    return normalizeQuaternion(quaternion(
+      0.25 * s,
+      (m[0][1] + m[1][0]) / s,
+      (m[0][2] + m[2][0]) / s,
+      (m[2][1] - m[1][2]) / s
+    ));
+  } else if (m[1][1] > m[2][2]) {
+    s = 2.0 * Math.sqrt(1.0 + m[1][1] - m[0][0] - m[2][2]);
+    return normalizeQuaternion(quaternion(
+      (m[0][1] + m[1][0]) / s,
+      0.25 * s,
+      (m[1][2] + m[2][1]) / s,
+      (m[0][2] - m[2][0]) / s
+    ));
   } else {
-    for (var i = 0; i < v.length; ++i) {
-      floats[i] = v[i];
-    }
+    s = 2.0 * Math.sqrt(1.0 + m[2][2] - m[0][0] - m[1][1]);
+    return normalizeQuaternion(quaternion(
+      (m[0][2] + m[2][0]) / s,
+      (m[1][2] + m[2][1]) / s,
+      0.25 * s,
+      (m[1][0] - m[0][1]) / s
+    ));
   }
-
-  return floats;
 }
 
-// ##################### MISCELLANEOUS FUNCTIONS ####################
+// ##################### MODEL-VIEW MATRIX GENERATORS ####################
 
 /**
- * Represents the size in bytes of various vector and matrix types.
- * @type {Object}
- * @property {number} vec2 - The size in bytes of a vec2.
- * @property {number} vec3 - The size in bytes of a vec3.
- * @property {number} vec4 - The size in bytes of a vec4.
- * @property {number} mat2 - The size in bytes of a mat2.
- * @property {number} mat3 - The size in bytes of a mat3.
- * @property {number} mat4 - The size in bytes of a mat4.
+ * Calculates a view matrix for a camera using the lookAt algorithm.
+ *
+ * @param {vec3} eye - The position of the camera.
+ * @param {vec3} at - The point the camera is looking at.
+ * @param {vec3} up - The up direction of the camera.
+ * @returns {mat4} The resulting view matrix.
  */
-var sizeof = {
-  vec2: new Float32Array(linearFlatten(vec2())).byteLength,
+function viewMatrixAt(eye, at, up) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("viewMatrixAt", arguments, ["vec3", "vec3", "vec3"])) {
+    return;
+  }
+
+  if (!Array.isArray(eye) || eye.length != 3) {
+    return reportError(new InvalidArgumentError("viewMatrixAt", "First parameter [eye] must be in the form of a vec3.", [eye, at, up]));
+  }
+
+  if (!Array.isArray(at) || at.length != 3) {
+    return reportError(new InvalidArgumentError("viewMatrixAt", "Second parameter [at] must be in the form of a vec3.", [eye, at, up]));
+  }
+
+  if (!Array.isArray(up) || up.length != 3) {
+    return reportError(new InvalidArgumentError("viewMatrixAt", "Third parameter [up] must be in the form of a vec3.", [eye, at, up]));
+  }
+
+  var v = linearSubtract(at, eye); // view direction vector
+
+  // Check the distance rather than comparing the points, which would pass a
+  // relative tolerance for nearby points far from the origin.
+  if (approximatelyEqual(vectorLength(v), 0.0)) {
+    return mat4();
+  }
+
+  v = normalizeVectors(v);
+  var n = crossProduct(v, up); // perpendicular vector
+
+  if (approximatelyEqual(vectorLength(n), 0.0)) {
+    return reportError(new ZeroLengthVectorError("viewMatrixAt", "The up vector [up] is parallel to the view direction.", [eye, at, up]));
+  }
+
+  n = normalizeVectors(n);
+  var u = normalizeVectors(crossProduct(n, v)); // "new" up vector
+
+  v = negateElements(v);
+
+  var result = mat4(
+    vec4(n, -dotProduct(n, eye)),
+    vec4(u, -dotProduct(u, eye)),
+    vec4(v, -dotProduct(v, eye)),
+    vec4()
+  );
+
+  return result;
+}
+
+// ##################### MATRIX STACK ####################
+
+/**
+ * A model-view matrix stack for hierarchical modeling. Transformations are
+ * multiplied onto the right of the current matrix, so the most recently applied
+ * transformation is the first one applied to the vertices. Save the current
+ * matrix with push() before transforming a child, then restore it with pop().
+ *
+ * @example
+ * var stack = new MatrixStack(viewMatrixAt(eye, at, up));
+ * stack.push();
+ * stack.translate(2, 0, 0).rotate(theta, [0, 1, 0]);
+ * drawPlanet(stack.top(), stack.normalMatrix());
+ * stack.pop();
+ */
+class MatrixStack {
+  /**
+   * @param {mat4} [initialMatrix] - The starting matrix. Defaults to the identity matrix.
+   */
+  constructor(initialMatrix) {
+    this.current = initialMatrix ? MatrixStack.copy(initialMatrix) : mat4();
+    this.stack = [];
+  }
+
+  /**
+   * Creates a copy of a matrix so that later changes to either do not affect
+   * the other.
+   * @param {mat4} m - The matrix to copy.
+   * @returns {mat4} The copied matrix.
+   */
+  static copy(m) {
+    var result = [];
+    for (var i = 0; i < m.length; ++i) {
+      result.push(m[i].slice());
+    }
+
+    result.matrix = true;
+
+    return result;
+  }
+
+  /**
+   * The number of matrices saved on the stack.
+   * @type {number}
+   */
+  get depth() {
+    return this.stack.length;
+  }
+
+  /**
+   * Saves a copy of the current matrix on the stack.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  push() {
+    this.stack.push(MatrixStack.copy(this.current));
+    return this;
+  }
+
+  /**
+   * Restores the most recently saved matrix.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  pop() {
+    if (this.stack.length == 0) {
+      reportError(new WebGLUtilitiesError("MatrixStack.pop", "Cannot pop an empty matrix stack."));
+      return this;
+    }
+
+    this.current = this.stack.pop();
+    return this;
+  }
+
+  /**
+   * Replaces the current matrix with the identity matrix.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  loadIdentity() {
+    this.current = mat4();
+    return this;
+  }
+
+  /**
+   * Replaces the current matrix with a copy of the given matrix.
+   * @param {mat4} m - The matrix to load.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  load(m) {
+    if (!m.matrix || m.length != 4) {
+      reportError(new NonMatrixError("MatrixStack.load", "Variable is not a mat4.", [m]));
+      return this;
+    }
+
+    this.current = MatrixStack.copy(m);
+    return this;
+  }
+
+  /**
+   * Multiplies the current matrix by the given matrix (current = current * m).
+   * @param {mat4} m - The matrix to multiply by.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  multiply(m) {
+    if (!m.matrix || m.length != 4) {
+      reportError(new NonMatrixError("MatrixStack.multiply", "Variable is not a mat4.", [m]));
+      return this;
+    }
+
+    this.current = linearMultiply(this.current, m);
+    return this;
+  }
+
+  /**
+   * Applies a translation. Accepts the same arguments as translateMatrix().
+   * @param {number|number[]} x - The amount to translate along the x-axis or an array representing the [x, y, z] coordinates.
+   * @param {number} [y] - The amount to translate along the y-axis.
+   * @param {number} [z] - The amount to translate along the z-axis.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  translate(x, y, z) {
+    return this.multiply(translateMatrix(x, y, z));
+  }
+
+  /**
+   * Applies a rotation. Accepts the same arguments as rotateMatrix().
+   * @param {number} angle - The angle of rotation in degrees.
+   * @param {Array<number>} axis - The axis of rotation as an array of three numbers [x, y, z].
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  rotate(angle, axis) {
+    return this.multiply(rotateMatrix.apply(null, arguments));
+  }
+
+  /**
+   * Applies a scale. Accepts the same arguments as scalingMatrix(), or a
+   * single number to scale uniformly along all three axes.
+   * @param {number|Array} x - The scaling factor along the x-axis or an array containing the scaling factors for all three axes.
+   * @param {number} [y] - The scaling factor along the y-axis.
+   * @param {number} [z] - The scaling factor along the z-axis.
+   * @returns {MatrixStack} This stack, for chaining.
+   */
+  scale(x, y, z) {
+    if (!Array.isArray(x) && y === undefined && z === undefined) {
+      y = z = x;
+    }
+
+    return this.multiply(scalingMatrix(x, y, z));
+  }
+
+  /**
+   * Returns the current matrix. The matrix is shared with the stack, so it
+   * should not be modified directly.
+   * @returns {mat4} The current matrix.
+   */
+  top() {
+    return this.current;
+  }
+
+  /**
+   * Returns the current matrix flattened for gl.uniformMatrix4fv.
+   * @returns {Float32Array} The flattened current matrix.
+   */
+  flatten() {
+    return linearFlatten(this.current);
+  }
+
+  /**
+   * Calculates the normal matrix for the current matrix with normalizeMatrix().
+   * @param {boolean} [full=false] - Whether to return the full mat4 instead of the upper-left mat3.
+   * @returns {mat3|mat4} The normal matrix.
+   */
+  normalMatrix(full) {
+    return normalizeMatrix(this.current, full != true);
+  }
+}
+
+// ##################### PROJECTION MATRIX GENERATORS ####################
+
+/**
+ * Creates an orthographic projection matrix.
+ * @param {number} left - The left coordinate of the viewing volume.
+ * @param {number} right - The right coordinate of the viewing volume.
+ * @param {number} bottom - The bottom coordinate of the viewing volume.
+ * @param {number} top - The top coordinate of the viewing volume.
+ * @param {number} near - The near coordinate of the viewing volume.
+ * @param {number} far - The far coordinate of the viewing volume.
+ * @returns {mat4} The orthographic projection matrix.
+ */
+function buildOrthographicMatrix(left, right, bottom, top, near, far) {
+  if (left == right) {
+    throw new InvalidArgumentError("ortho", "left and right are equal.");
+  }
+  if (bottom == top) {
+    throw new InvalidArgumentError("ortho", "bottom and top are equal.");
+  }
+  if (near == far) {
+    throw new InvalidArgumentError("ortho", "near and far are equal.");
+  }
+
+  var w = right - left;
+  var h = top - bottom;
+  var d = far - near;
+
+  var result = mat4();
+  result[0][0] = 2.0 / w;
+  result[1][1] = 2.0 / h;
+  result[2][2] = -2.0 / d;
+  result[0][3] = -(left + right) / w;
+  result[1][3] = -(top + bottom) / h;
+  result[2][3] = -(near + far) / d;
+
+  return result;
+}
+
+/**
+ * Checks the parameters of a perspective projection, throwing if they cannot
+ * produce a usable matrix. Far may be Infinity.
+ * @param {string} name - The name of the calling function, for the error message.
+ * @param {number} fovY - The vertical field of view in degrees.
+ * @param {number} aspect - The aspect ratio of the viewport.
+ * @param {number} near - The distance to the near clipping plane.
+ * @param {number} far - The distance to the far clipping plane.
+ * @throws {InvalidArgumentError} If any parameter is out of range.
+ */
+function validatePerspectiveParameters(name, fovY, aspect, near, far) {
+  if (!(fovY > 0 && fovY < 180)) {
+    throw new InvalidArgumentError(name, "fovY must be between 0 and 180 degrees.");
+  }
+  if (!(aspect > 0) || !isFinite(aspect)) {
+    throw new InvalidArgumentError(name, "aspect must be a positive number.");
+  }
+  if (!(near > 0) || !isFinite(near)) {
+    throw new InvalidArgumentError(name, "near must be a positive number.");
+  }
+  if (!(far > near)) {
+    throw new InvalidArgumentError(name, "far must be greater than near.");
+  }
+}
+
+/**
+ * Creates a perspective projection matrix.
+ * @param {number} fovY - The vertical field of view in degrees.
+ * @param {number} aspect - The aspect ratio of the viewport.
+ * @param {number} near - The distance to the near clipping plane.
+ * @param {number} far - The distance to the far clipping plane. May be Infinity.
+ * @returns {mat4} The perspective projection matrix.
+ * @throws {InvalidArgumentError} If the parameters are out of range. See validatePerspectiveParameters().
+ */
+function buildPerspectiveMatrix(fovY, aspect, near, far) {
+  validatePerspectiveParameters("perspective", fovY, aspect, near, far);
+
+  if (far == Infinity) {
+    return buildInfinitePerspectiveMatrix(fovY, aspect, near);
+  }
+
+  var f = 1.0 / Math.tan(degreesToRadians(fovY) / 2);
+  var d = far - near;
+
+  var result = mat4();
+  result[0][0] = f / aspect;
+  result[1][1] = f;
+  result[2][2] = -(near + far) / d;
+  result[2][3] = (-2 * near * far) / d;
+  result[3][2] = -1;
+  result[3][3] = 0.0;
+
+  return result;
+}
+
+/**
+ * Creates an off-center perspective projection matrix from the edges of the
+ * near plane, like glFrustum(). Useful for split-screen, tiled rendering and
+ * stereo pairs, where the view direction is not through the center of the
+ * viewport.
+ * @param {number} left - The left edge of the near plane.
+ * @param {number} right - The right edge of the near plane.
+ * @param {number} bottom - The bottom edge of the near plane.
+ * @param {number} top - The top edge of the near plane.
+ * @param {number} near - The distance to the near clipping plane.
+ * @param {number} far - The distance to the far clipping plane. May be Infinity.
+ * @returns {mat4} The perspective projection matrix.
+ */
+function buildFrustumMatrix(left, right, bottom, top, near, far) {
+  if (left == right) {
+    throw new InvalidArgumentError("frustum", "left and right are equal.");
+  }
+  if (bottom == top) {
+    throw new InvalidArgumentError("frustum", "bottom and top are equal.");
+  }
+  if (!(near > 0) || !isFinite(near)) {
+    throw new InvalidArgumentError("frustum", "near must be a positive number.");
+  }
+  if (!(far > near)) {
+    throw new InvalidArgumentError("frustum", "far must be greater than near.");
+  }
+
+  var w = right - left;
+  var h = top - bottom;
+
+  var result = mat4();
+  result[0][0] = (2.0 * near) / w;
+  result[0][2] = (right + left) / w;
+  result[1][1] = (2.0 * near) / h;
+  result[1][2] = (top + bottom) / h;
+  result[3][2] = -1;
+  result[3][3] = 0.0;
+
+  if (far == Infinity) {
+    result[2][2] = -1;
+    result[2][3] = -2 * near;
+  } else {
+    result[2][2] = -(far + near) / (far - near);
+    result[2][3] = (-2 * near * far) / (far - near);
+  }
+
+  return result;
+}
+
+/**
+ * Creates a perspective projection matrix with the far clipping plane at
+ * infinity, so distant geometry is never clipped.
+ * @param {number} fovY - The vertical field of view in degrees.
+ * @param {number} aspect - The aspect ratio of the viewport.
+ * @param {number} near - The distance to the near clipping plane.
+ * @returns {mat4} The perspective projection matrix.
+ */
+function buildInfinitePerspectiveMatrix(fovY, aspect, near) {
+  validatePerspectiveParameters("infinitePerspective", fovY, aspect, near, Infinity);
+
+  var f = 1.0 / Math.tan(degreesToRadians(fovY) / 2);
+
+  var result = mat4();
+  result[0][0] = f / aspect;
+  result[1][1] = f;
+  result[2][2] = -1;
+  result[2][3] = -2 * near;
+  result[3][2] = -1;
+  result[3][3] = 0.0;
+
+  return result;
+}
+
+/**
+ * Creates a perspective projection matrix with reversed depth: the near plane
+ * maps to a depth of 1 and the far plane (which may be Infinity) to 0. Render
+ * with gl.clearDepth(0.0) and gl.depthFunc(gl.GREATER). WebGL always maps
+ * clip-space depth from [-1, 1], which limits how much precision is gained
+ * compared to APIs with a [0, 1] depth range.
+ * @param {number} fovY - The vertical field of view in degrees.
+ * @param {number} aspect - The aspect ratio of the viewport.
+ * @param {number} near - The distance to the near clipping plane.
+ * @param {number} far - The distance to the far clipping plane. May be Infinity.
+ * @returns {mat4} The perspective projection matrix.
+ */
+function buildReversedZPerspectiveMatrix(fovY, aspect, near, far) {
+  validatePerspectiveParameters("reversedZPerspective", fovY, aspect, near, far);
+
+  var result = buildPerspectiveMatrix(fovY, aspect, near, far);
+
+  // Negating the depth row mirrors clip-space depth, swapping near and far.
+  result[2][2] = -result[2][2];
+  result[2][3] = -result[2][3];
+
+  return result;
+}
+
+/**
+ * Modifies a perspective projection matrix so that its near plane is replaced
+ * by an arbitrary clipping plane (Lengyel's oblique near-plane clipping). Used
+ * when rendering reflections, so that geometry behind a mirror is clipped
+ * without a shader clip plane. The far plane is tilted as a side effect, which
+ * costs some depth precision.
+ * @param {mat4} projection - The perspective projection matrix.
+ * @param {vec4} clipPlane - The plane [a, b, c, d] in view space. Points where ax + by + cz + d > 0 are kept. The camera must be on the clipped side (d < 0).
+ * @returns {mat4} The oblique projection matrix.
+ */
+function buildObliqueProjectionMatrix(projection, clipPlane) {
+  if (!projection.matrix || projection.length != 4) {
+    return reportError(new NonMatrixError("buildObliqueProjectionMatrix", "First parameter [projection] must be a mat4.", [projection]));
+  }
+
+  if (!Array.isArray(clipPlane) || clipPlane.length != 4) {
+    return reportError(new InvalidArgumentError("buildObliqueProjectionMatrix", "Second parameter [clipPlane] must be in the form of a vec4.", [clipPlane]));
+  }
+
+  if (!(clipPlane[3] < 0)) {
+    return reportError(new InvalidArgumentError("buildObliqueProjectionMatrix", "The camera must be on the clipped side of the plane.", [clipPlane]));
+  }
+
+  var inverse = calculateInverseMatrix(projection);
+
+  if (!inverse) {
+    return;
+  }
+
+  // The clip-space corner of the view frustum opposite the plane.
+  var q = linearMultiply(
+    inverse,
+    vec4(Math.sign(clipPlane[0]), Math.sign(clipPlane[1]), 1.0, 1.0)
+  );
+
+  var c = linearScale(2.0 / dotProduct(clipPlane, q), clipPlane);
+
+  var result = mat4();
+  for (var i = 0; i < 4; ++i) {
+    for (var j = 0; j < 4; ++j) {
+      result[i][j] = projection[i][j];
+    }
+  }
+
+  for (var j = 0; j < 4; ++j) {
+    result[2][j] = c[j] - projection[3][j];
+  }
+
+  return result;
+}
+
+/**
+ * Transforms a world-space point into normalized device coordinates, where the
+ * visible volume spans [-1, 1] on each axis.
+ * @param {vec3} point - The point in world space.
+ * @param {mat4} projection - The projection matrix.
+ * @param {mat4} [view] - The view matrix. Defaults to the identity matrix.
+ * @returns {vec3} The point in normalized device coordinates.
+ */
+function projectPoint(point, projection, view) {
+  var m = view ? linearMultiply(projection, view) : projection;
+  var clip = linearMultiply(m, vec4(point[0], point[1], point[2], 1.0));
+
+  return vec3(clip[0] / clip[3], clip[1] / clip[3], clip[2] / clip[3]);
+}
+
+/**
+ * Transforms a point in normalized device coordinates (vec3) or clip space
+ * (vec4) back into world space by inverting the projection and view
+ * matrices. This is the reverse of projectPoint().
+ * @param {vec3|vec4} point - The point in normalized device coordinates or clip space.
+ * @param {mat4} projection - The projection matrix.
+ * @param {mat4} [view] - The view matrix. Defaults to the identity matrix.
+ * @returns {vec3|null} The point in world space, or null if the matrices cannot be inverted.
+ */
+function unprojectPoint(point, projection, view) {
+  var m = view ? linearMultiply(projection, view) : projection;
+  var inverse = calculateInverseMatrix(m);
+
+  if (!inverse) {
+    return null;
+  }
+
+  var clip = point.length == 4 ? point : vec4(point[0], point[1], point[2], 1.0);
+  var world = linearMultiply(inverse, clip);
+
+  return vec3(world[0] / world[3], world[1] / world[3], world[2] / world[3]);
+}
+
+// ##################### MATRIX FUNCTIONS ####################
+
+/**
+ * Transposes a matrix.
+ * @param {Array<Array<number>>} m - The matrix to transpose.
+ * @returns {Array<Array<number>>} - The transposed matrix.
+ */
+function transposeMatrix(m) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("transposeMatrix", arguments, ["matrix"])) {
+    return;
+  }
+
+  if (!m.matrix) {
+    return reportError(new NonMatrixError("transposeMatrix", "Cannot transpose a non-matrix.", [m]));
+  }
+
+  var result = [];
+  for (var i = 0; i < m.length; ++i) {
+    result.push([]);
+    for (var j = 0; j < m[i].length; ++j) {
+      result[i].push(m[j][i]);
+    }
+  }
+
+  result.matrix = true;
+
+  return result;
+}
+
+// ##################### VECTOR FUNCTIONS ####################
+
+/**
+ * Calculates the dot product of two vectors.
+ * @param {number[]} u - The first vector.
+ * @param {number[]} v - The second vector.
+ * @returns {number} The dot product of the two vectors.
+ */
+function dotProduct(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("dotProduct", arguments, ["vector", "vector"])) {
+    return;
+  }
+
+  if (u.length != v.length) {
+    return reportError(new DimensionMismatchError("dotProduct", "Vectors are not the same dimension.", [u, v]));
+  }
+
+  var sum = 0.0;
+  for (var i = 0; i < u.length; ++i) {
+    sum += u[i] * v[i];
+  }
+
+  return sum;
+}
+
+/**
+ * Negates each element in the given array.
+ * @param {number[]} u - The array to be negated.
+ * @returns {number[]} - The resulting array with negated elements.
+ */
+function negateElements(u) {
+  var result = [];
+  for (var i = 0; i < u.length; ++i) {
+    result.push(-u[i]);
+  }
+
+  return result;
+}
+
+/**
+ * Calculates the cross product of two vectors.
+ * @param {number[]} u - The first vector.
+ * @param {number[]} v - The second vector.
+ * @returns {number[]} The cross product of the two vectors.
+ */
+function crossProduct(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("crossProduct", arguments, ["vector", "vector"])) {
+    return;
+  }
+
+  if (!Array.isArray(u) || u.length < 3) {
+    return reportError(new DimensionMismatchError("crossProduct", "First argument is not a vector of minimum size, 3.", [u, v]));
+  }
+
+  if (!Array.isArray(v) || v.length < 3) {
+    return reportError(new DimensionMismatchError("crossProduct", "Second argument is not a vector of minimum size, 3.", [u, v]));
+  }
+
+  var result = [
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0],
+  ];
+
+  return result;
+}
+
+/**
+ * Calculates the length of a vector.
+ *
+ * @param {Array<number>} u - The vector to calculate the length of.
+ * @returns {number} The length of the vector.
+ */
+function vectorLength(u) {
+  return Math.sqrt(dotProduct(u, u));
+}
+
+/**
+ * Normalizes a vector by dividing each component by its length. The input is left unchanged.
+ * If excludeLastComponent is true, the last component will be excluded from normalization.
+ * @param {number[]} u - The vector to be normalized.
+ * @param {boolean} excludeLastComponent - Whether to exclude the last component from normalization.
+ * @returns {number[]} The normalized vector, as a new array.
+ */
+function normalizeVectors(u, excludeLastComponent) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("normalizeVectors", arguments, ["vector"])) {
+    return;
+  }
+
+  var n = excludeLastComponent ? u.length - 1 : u.length;
+  var result = Array.prototype.slice.call(u, 0, n);
+  var len = vectorLength(result);
+
+  if (len == 0 || !isFinite(len)) {
+    return reportError(new ZeroLengthVectorError("normalizeVectors", "Vector has zero length.", [u]));
+  }
+
+  for (var i = 0; i < n; ++i) {
+    result[i] /= len;
+  }
+
+  if (excludeLastComponent) {
+    result.push(u[n]);
+  }
+
+  return result;
+}
+
+/**
+ * Mixes two vectors based on a scalar value.
+ * @param {number[]} u - The first vector.
+ * @param {number[]} v - The second vector.
+ * @param {number} s - The scalar value.
+ * @returns {number[]} - The resulting mixed vector.
+ */
+function mixVectors(u, v, s) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("mixVectors", arguments, ["vector", "vector", "number"])) {
+    return;
+  }
+
+  if (typeof s !== "number") {
+    return reportError(new InvalidArgumentError("mixVectors", "The third parameter must be a number.", [u, v, s]));
+  }
+
+  if (u.length != v.length) {
+    return reportError(new DimensionMismatchError("mixVectors", "Vectors are not the same dimension.", [u, v]));
+  }
+
+  var result = [];
+  for (var i = 0; i < u.length; ++i) {
+    result.push((1.0 - s) * u[i] + s * v[i]);
+  }
+
+  return result;
+}
+
+// ##################### GLSL-STYLE VECTOR FUNCTIONS ####################
+
+// These functions match the GLSL built-ins of the same name (clamp() is
+// clampVector() and so on), so math prototyped on the CPU carries straight
+// over to a shader. Like GLSL, they work component by component on numbers
+// and vec2/vec3/vec4 arrays, and a number can stand in for a vector of that
+// number (as in clamp(v, 0.0, 1.0)). They never change their arguments.
+
+/**
+ * Applies a function to each component of its arguments, like a GLSL built-in.
+ * @param {string} operation - The name of the calling function, for errors.
+ * @param {Array<number|number[]>} args - The arguments: numbers, or vectors of the same size.
+ * @param {function(...number): number} callback - The function to apply to each component.
+ * @returns {number|number[]} A number if every argument is a number, and otherwise a vector.
+ */
+function componentwise(operation, args, callback) {
+  var size = 0;
+
+  for (var i = 0; i < args.length; ++i) {
+    if (typeof args[i] == "number") {
+      continue;
+    }
+
+    if (size > 0 && args[i].length != size) {
+      return reportError(new DimensionMismatchError(operation, "Vectors are not the same dimension.", args));
+    }
+
+    size = args[i].length;
+  }
+
+  var component = function (j) {
+    return callback.apply(null, args.map(function (arg) {
+      return typeof arg == "number" ? arg : arg[j];
+    }));
+  };
+
+  if (size == 0) {
+    return component(0);
+  }
+
+  var result = [];
+  for (var j = 0; j < size; ++j) {
+    result.push(component(j));
+  }
+
+  return result;
+}
+
+/**
+ * Returns the absolute value of each component. GLSL abs().
+ * @param {number|number[]} x - The number or vector.
+ * @returns {number|number[]} The absolute values.
+ */
+function absVector(x) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("absVector", arguments, ["scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("absVector", [x], Math.abs);
+}
+
+/**
+ * Rounds each component down. GLSL floor().
+ * @param {number|number[]} x - The number or vector.
+ * @returns {number|number[]} The rounded values.
+ */
+function floorVector(x) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("floorVector", arguments, ["scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("floorVector", [x], Math.floor);
+}
+
+/**
+ * Returns the fractional part of each component, x - floor(x). Like GLSL
+ * fract(), this is never negative: fractVector(-0.25) is 0.75.
+ * @param {number|number[]} x - The number or vector.
+ * @returns {number|number[]} The fractional parts.
+ */
+function fractVector(x) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("fractVector", arguments, ["scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("fractVector", [x], function (a) {
+    return a - Math.floor(a);
+  });
+}
+
+/**
+ * Returns the smaller of each pair of components. GLSL min().
+ * @param {number|number[]} x - The first number or vector.
+ * @param {number|number[]} y - The second number or vector.
+ * @returns {number|number[]} The smaller values.
+ */
+function minVector(x, y) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("minVector", arguments, ["scalarOrVector", "scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("minVector", [x, y], Math.min);
+}
+
+/**
+ * Returns the larger of each pair of components. GLSL max().
+ * @param {number|number[]} x - The first number or vector.
+ * @param {number|number[]} y - The second number or vector.
+ * @returns {number|number[]} The larger values.
+ */
+function maxVector(x, y) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("maxVector", arguments, ["scalarOrVector", "scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("maxVector", [x, y], Math.max);
+}
+
+/**
+ * Limits each component to a range. GLSL clamp().
+ * @param {number|number[]} x - The number or vector.
+ * @param {number|number[]} minimum - The lower limit.
+ * @param {number|number[]} maximum - The upper limit.
+ * @returns {number|number[]} The clamped values.
+ */
+function clampVector(x, minimum, maximum) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("clampVector", arguments, ["scalarOrVector", "scalarOrVector", "scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("clampVector", [x, minimum, maximum], function (a, low, high) {
+    return Math.min(Math.max(a, low), high);
+  });
+}
+
+/**
+ * Returns 0 for each component below an edge and 1 otherwise. GLSL step().
+ * @param {number|number[]} edge - The edge.
+ * @param {number|number[]} x - The number or vector.
+ * @returns {number|number[]} The 0s and 1s.
+ */
+function stepVector(edge, x) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("stepVector", arguments, ["scalarOrVector", "scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("stepVector", [edge, x], function (e, a) {
+    return a < e ? 0.0 : 1.0;
+  });
+}
+
+/**
+ * Eases each component from 0 to 1 as it goes from edge0 to edge1, using the
+ * Hermite curve 3t^2 - 2t^3. GLSL smoothstep().
+ * @param {number|number[]} edge0 - Where the result starts rising from 0.
+ * @param {number|number[]} edge1 - Where the result reaches 1.
+ * @param {number|number[]} x - The number or vector.
+ * @returns {number|number[]} The eased values.
+ */
+function smoothstepVector(edge0, edge1, x) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("smoothstepVector", arguments, ["scalarOrVector", "scalarOrVector", "scalarOrVector"])) {
+    return;
+  }
+
+  return componentwise("smoothstepVector", [edge0, edge1, x], function (e0, e1, a) {
+    var t = Math.min(Math.max((a - e0) / (e1 - e0), 0.0), 1.0);
+    return t * t * (3.0 - 2.0 * t);
+  });
+}
+
+/**
+ * Calculates the distance between two points. GLSL distance().
+ * @param {number[]} p0 - The first point.
+ * @param {number[]} p1 - The second point.
+ * @returns {number} The distance.
+ */
+function vectorDistance(p0, p1) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("vectorDistance", arguments, ["vector", "vector"])) {
+    return;
+  }
+
+  if (p0.length != p1.length) {
+    return reportError(new DimensionMismatchError("vectorDistance", "Vectors are not the same dimension.", [p0, p1]));
+  }
+
+  return vectorLength(linearSubtract(Array.from(p0), Array.from(p1)));
+}
+
+/**
+ * Calculates the angle between two vectors.
+ * @param {number[]} u - The first vector.
+ * @param {number[]} v - The second vector.
+ * @returns {number} The angle in degrees, from 0 to 180.
+ */
+function angleBetween(u, v) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("angleBetween", arguments, ["vector", "vector"])) {
+    return;
+  }
+
+  if (u.length != v.length) {
+    return reportError(new DimensionMismatchError("angleBetween", "Vectors are not the same dimension.", [u, v]));
+  }
+
+  var lengthU = vectorLength(u);
+  var lengthV = vectorLength(v);
+
+  if (lengthU == 0 || lengthV == 0) {
+    return reportError(new ZeroLengthVectorError("angleBetween", "Vector has zero length.", [u, v]));
+  }
+
+  // Kahan's formula, which unlike acos(dot) stays accurate for nearly
+  // parallel vectors: the angle is twice the angle between the diagonals of
+  // the rhombus the two unit vectors span.
+  var a = linearScale(1.0 / lengthU, Array.from(u));
+  var b = linearScale(1.0 / lengthV, Array.from(v));
+
+  return (2.0 * Math.atan2(vectorLength(linearSubtract(a, b)), vectorLength(linearAddition(a, b))) * 180.0) / Math.PI;
+}
+
+/**
+ * Reflects an incident vector off a surface. GLSL reflect().
+ * @param {number[]} incident - The incident vector, pointing toward the surface.
+ * @param {number[]} normal - The surface normal. It should be normalized.
+ * @returns {number[]} The reflected vector.
+ */
+function reflectVector(incident, normal) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("reflectVector", arguments, ["vector", "vector"])) {
+    return;
+  }
+
+  var d = dotProduct(normal, incident);
+  if (d === undefined) {
+    return;
+  }
+
+  return linearSubtract(incident, linearScale(2.0 * d, normal));
+}
+
+/**
+ * Refracts an incident vector through a surface. GLSL refract().
+ * @param {number[]} incident - The incident vector. It should be normalized.
+ * @param {number[]} normal - The surface normal. It should be normalized.
+ * @param {number} eta - The ratio of the indices of refraction, outside over inside.
+ * @returns {number[]} The refracted vector, or a zero vector for total internal reflection.
+ */
+function refractVector(incident, normal, eta) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("refractVector", arguments, ["vector", "vector", "number"])) {
+    return;
+  }
+
+  var d = dotProduct(normal, incident);
+  if (d === undefined) {
+    return;
+  }
+
+  var k = 1.0 - eta * eta * (1.0 - d * d);
+
+  if (k < 0.0) {
+    return Array.from(incident, function () {
+      return 0.0;
+    });
+  }
+
+  return linearSubtract(linearScale(eta, incident), linearScale(eta * d + Math.sqrt(k), normal));
+}
+
+/**
+ * The component letters a swizzle may use. As in GLSL, one swizzle may use
+ * letters from only one of these sets.
+ * @type {string[]}
+ */
+var swizzleSets = ["xyzw", "rgba", "stpq"];
+
+/**
+ * Finds the component indices named by a swizzle pattern.
+ * @param {string} operation - The name of the calling function, for errors.
+ * @param {number[]} v - The vector being swizzled.
+ * @param {string} pattern - The component letters, such as "xy" or "bgr".
+ * @returns {number[]|undefined} The indices, or undefined if the pattern is invalid.
+ */
+function swizzleIndices(operation, v, pattern) {
+  var set = swizzleSets.find(function (letters) {
+    return letters.indexOf(pattern[0]) >= 0;
+  });
+
+  if (!set || pattern.length < 1 || pattern.length > 4) {
+    return reportError(new InvalidArgumentError(operation, "Invalid swizzle '" + pattern + "'.", [v, pattern]));
+  }
+
+  var indices = [];
+  for (var i = 0; i < pattern.length; ++i) {
+    var index = set.indexOf(pattern[i]);
+
+    if (index < 0) {
+      return reportError(new InvalidArgumentError(operation, "Swizzle '" + pattern + "' mixes component sets.", [v, pattern]));
+    }
+
+    if (index >= v.length) {
+      return reportError(new DimensionMismatchError(operation, "Swizzle '" + pattern + "' reads past the end of a vec" + v.length + ".", [v, pattern]));
+    }
+
+    indices.push(index);
+  }
+
+  return indices;
+}
+
+/**
+ * Reads components of a vector by name, like v.zyx or v.rgb in GLSL.
+ * @param {number[]} v - The vector.
+ * @param {string} pattern - One to four component letters from xyzw, rgba or stpq. Letters may repeat.
+ * @returns {number|number[]} A number for one letter, and otherwise a vector.
+ */
+function swizzle(v, pattern) {
+  var indices = swizzleIndices("swizzle", v, pattern);
+  if (!indices) {
+    return;
+  }
+
+  var result = indices.map(function (index) {
+    return v[index];
+  });
+
+  return result.length == 1 ? result[0] : result;
+}
+
+/**
+ * Returns a copy of a vector with components replaced by name, like
+ * v.xz = value in GLSL. The vector itself is left unchanged.
+ * @param {number[]} v - The vector.
+ * @param {string} pattern - The component letters to replace. Letters may not repeat.
+ * @param {number|number[]} value - The new values, one per letter. A number sets every named component.
+ * @returns {number[]} The new vector.
+ */
+function withSwizzle(v, pattern, value) {
+  var indices = swizzleIndices("withSwizzle", v, pattern);
+  if (!indices) {
+    return;
+  }
+
+  if (new Set(indices).size != indices.length) {
+    return reportError(new InvalidArgumentError("withSwizzle", "Swizzle '" + pattern + "' names a component twice.", [v, pattern, value]));
+  }
+
+  if (typeof value != "number" && value.length != indices.length) {
+    return reportError(new DimensionMismatchError("withSwizzle", "Value does not have one component per letter.", [v, pattern, value]));
+  }
+
+  var result = Array.from(v);
+  for (var i = 0; i < indices.length; ++i) {
+    result[indices[i]] = typeof value == "number" ? value : value[i];
+  }
+
+  return result;
+}
+
+// ##################### VECTOR & MATRIX FUNCTIONS ####################
+
+/**
+ * Scales a vector or matrix by a scalar value.
+ * @param {number} s - The scalar value to scale by.
+ * @param {Array} u - The vector or matrix to be scaled.
+ * @returns {Array} - The scaled vector or matrix.
+ */
+function linearScale(s, u) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("linearScale", arguments, ["number", "linear"])) {
+    return;
+  }
+
+  if (!Array.isArray(u)) {
+    return reportError(new InvalidArgumentError("linearScale", "The second parameter must be a vector/matrix.", [s, u]));
+  }
+
+  var result = [];
+  for (var i = 0; i < u.length; ++i) {
+    result.push(s * u[i]);
+  }
+
+  return result;
+}
+
+/**
+ * Flattens a matrix or array of arrays into a Float32Array.
+ * If the input is a matrix, it will be transposed before flattening.
+ * If the input is already a Float32Array (such as a mat4f()), it is returned as is.
+ * @param {Array|Array[]|Float32Array} v - The matrix or array of arrays to flatten.
+ * @returns {Float32Array} - The flattened array.
+ */
+function linearFlatten(v) {
+  if (v instanceof Float32Array) {
+    return v;
+  }
+
+  if (v.matrix === true) {
+    v = transposeMatrix(v);
+  }
+
+  var n = v.length;
+  var elemsAreArrays = false;
+
+  if (Array.isArray(v[0])) {
+    elemsAreArrays = true;
+    n *= v[0].length;
+  }
+
+  var floats = new Float32Array(n);
+
+  if (elemsAreArrays) {
+    var idx = 0;
+    for (var i = 0; i < v.length; ++i) {
+      for (var j = 0; j < v[i].length; ++j) {
+        floats[idx++] = v[i][j];
+      }
+    }
+  } else {
+    for (var i = 0; i < v.length; ++i) {
+      floats[i] = v[i];
+    }
+  }
+
+  return floats;
+}
+
+// ##################### FLOAT32 MATRIX & VECTOR STORAGE ####################
+
+// These functions mirror the nested-array functions above, but store matrices
+// as column-major Float32Arrays of 16 elements, the layout gl.uniformMatrix4fv
+// expects. Each takes an "out" array as its first parameter and writes the
+// result into it, so per-frame code can reuse the same storage instead of
+// allocating (and flattening) new matrices every frame. The "out" array may be
+// the same array as any of the inputs.
+
+/**
+ * Creates a column-major 4x4 matrix stored in a Float32Array.
+ * @param {Array|Float32Array} [m] - A mat4() or 16-element column-major array to copy. If omitted, the identity matrix is created.
+ * @returns {Float32Array} The matrix.
+ */
+function mat4f(m) {
+  var out = new Float32Array(16);
+
+  if (m === undefined) {
+    return identityMatrixf(out);
+  }
+
+  if (m.matrix) {
+    return toMat4f(m, out);
+  }
+
+  out.set(m);
+
+  return out;
+}
+
+/**
+ * Creates a 3D vector stored in a Float32Array.
+ * @param {...number} arguments - The components of the vector.
+ * @returns {Float32Array} The vector.
+ */
+function vec3f() {
+  return new Float32Array(vec3(objectToArray(arguments)));
+}
+
+/**
+ * Creates a 4D vector stored in a Float32Array.
+ * @param {...number} arguments - The components of the vector.
+ * @returns {Float32Array} The vector.
+ */
+function vec4f() {
+  return new Float32Array(vec4(objectToArray(arguments)));
+}
+
+/**
+ * Converts a nested-array mat4() into a column-major Float32Array.
+ * @param {mat4} m - The matrix to convert.
+ * @param {Float32Array} [out] - The array to write to. A new one is created if omitted.
+ * @returns {Float32Array} The converted matrix.
+ */
+function toMat4f(m, out) {
+  if (!m.matrix || m.length != 4) {
+    return reportError(new NonMatrixError("toMat4f", "Variable is not a mat4.", [m]));
+  }
+
+  out = out || new Float32Array(16);
+
+  for (var i = 0; i < 4; ++i) {
+    for (var j = 0; j < 4; ++j) {
+      out[j * 4 + i] = m[i][j];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Converts a column-major Float32Array back into a nested-array mat4().
+ * @param {Float32Array} a - The matrix to convert.
+ * @returns {mat4} The converted matrix.
+ */
+function fromMat4f(a) {
+  if (!a || a.length != 16) {
+    return reportError(new DimensionMismatchError("fromMat4f", "Variable is not a 16-element array.", [a]));
+  }
+
+  var result = mat4();
+
+  for (var i = 0; i < 4; ++i) {
+    for (var j = 0; j < 4; ++j) {
+      result[i][j] = a[j * 4 + i];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Sets a column-major matrix to the identity matrix.
+ * @param {Float32Array} out - The matrix to write to.
+ * @returns {Float32Array} The out matrix.
+ */
+function identityMatrixf(out) {
+  out.fill(0.0);
+  out[0] = out[5] = out[10] = out[15] = 1.0;
+
+  return out;
+}
+
+/**
+ * Multiplies two column-major 4x4 matrices, writing a * b into out.
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {Float32Array} a - The first matrix.
+ * @param {Float32Array} b - The second matrix.
+ * @returns {Float32Array} The out matrix.
+ */
+function linearMultiplyf(out, a, b) {
+  var a00 = a[0], a10 = a[1], a20 = a[2], a30 = a[3];
+  var a01 = a[4], a11 = a[5], a21 = a[6], a31 = a[7];
+  var a02 = a[8], a12 = a[9], a22 = a[10], a32 = a[11];
+  var a03 = a[12], a13 = a[13], a23 = a[14], a33 = a[15];
+
+  // Each column of the result only depends on the same column of b, so b can
+  // be read one column at a time even when out and b are the same array.
+  for (var j = 0; j < 4; ++j) {
+    var b0 = b[j * 4];
+    var b1 = b[j * 4 + 1];
+    var b2 = b[j * 4 + 2];
+    var b3 = b[j * 4 + 3];
+
+    out[j * 4] = a00 * b0 + a01 * b1 + a02 * b2 + a03 * b3;
+    out[j * 4 + 1] = a10 * b0 + a11 * b1 + a12 * b2 + a13 * b3;
+    out[j * 4 + 2] = a20 * b0 + a21 * b1 + a22 * b2 + a23 * b3;
+    out[j * 4 + 3] = a30 * b0 + a31 * b1 + a32 * b2 + a33 * b3;
+  }
+
+  return out;
+}
+
+/**
+ * Multiplies a column-major 4x4 matrix by a vec4, writing m * v into out.
+ * @param {Float32Array|Array<number>} out - The vector to write to.
+ * @param {Float32Array} m - The matrix.
+ * @param {Float32Array|Array<number>} v - The vector.
+ * @returns {Float32Array|Array<number>} The out vector.
+ */
+function transformVectorf(out, m, v) {
+  var x = v[0], y = v[1], z = v[2], w = v[3];
+
+  out[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+  out[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+  out[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+  out[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+
+  return out;
+}
+
+/**
+ * Writes a translation matrix into out. See translateMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {number|number[]} x - The amount to translate along the x-axis or an array representing the [x, y, z] coordinates.
+ * @param {number} [y] - The amount to translate along the y-axis.
+ * @param {number} [z] - The amount to translate along the z-axis.
+ * @returns {Float32Array} The out matrix.
+ */
+function translateMatrixf(out, x, y, z) {
+  if (x.length == 3) {
+    z = x[2];
+    y = x[1];
+    x = x[0];
+  }
+
+  identityMatrixf(out);
+  out[12] = x;
+  out[13] = y;
+  out[14] = z;
+
+  return out;
+}
+
+/**
+ * Writes a rotation matrix into out. See rotateMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {number} angle - The angle of rotation in degrees.
+ * @param {Array<number>} axis - The axis of rotation as an array of three numbers [x, y, z].
+ * @returns {Float32Array} The out matrix.
+ */
+function rotateMatrixf(out, angle, axis) {
+  var x, y, z;
+
+  if (axis.length == 3) {
+    x = axis[0];
+    y = axis[1];
+    z = axis[2];
+  } else {
+    x = arguments[2];
+    y = arguments[3];
+    z = arguments[4];
+  }
+
+  var len = Math.sqrt(x * x + y * y + z * z);
+
+  if (len == 0) {
+    return reportError(new ZeroLengthVectorError("rotateMatrixf", "The axis of rotation has zero length."));
+  }
+
+  x /= len;
+  y /= len;
+  z /= len;
+
+  var c = Math.cos(degreesToRadians(angle));
+  var omc = 1.0 - c;
+  var s = Math.sin(degreesToRadians(angle));
+
+  out[0] = x * x * omc + c;
+  out[1] = x * y * omc + z * s;
+  out[2] = x * z * omc - y * s;
+  out[3] = 0.0;
+  out[4] = x * y * omc - z * s;
+  out[5] = y * y * omc + c;
+  out[6] = y * z * omc + x * s;
+  out[7] = 0.0;
+  out[8] = x * z * omc + y * s;
+  out[9] = y * z * omc - x * s;
+  out[10] = z * z * omc + c;
+  out[11] = 0.0;
+  out[12] = 0.0;
+  out[13] = 0.0;
+  out[14] = 0.0;
+  out[15] = 1.0;
+
+  return out;
+}
+
+/**
+ * Writes the rotation matrix of a unit quaternion into out. See quaternionToMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {Array<number>} q - The rotation quaternion.
+ * @returns {Float32Array} The out matrix.
+ */
+function quaternionToMatrixf(out, q) {
+  var x = q[0], y = q[1], z = q[2], w = q[3];
+
+  out[0] = 1.0 - 2.0 * (y * y + z * z);
+  out[1] = 2.0 * (x * y + z * w);
+  out[2] = 2.0 * (x * z - y * w);
+  out[3] = 0.0;
+  out[4] = 2.0 * (x * y - z * w);
+  out[5] = 1.0 - 2.0 * (x * x + z * z);
+  out[6] = 2.0 * (y * z + x * w);
+  out[7] = 0.0;
+  out[8] = 2.0 * (x * z + y * w);
+  out[9] = 2.0 * (y * z - x * w);
+  out[10] = 1.0 - 2.0 * (x * x + y * y);
+  out[11] = 0.0;
+  out[12] = 0.0;
+  out[13] = 0.0;
+  out[14] = 0.0;
+  out[15] = 1.0;
+
+  return out;
+}
+
+/**
+ * Writes a scaling matrix into out. See scalingMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {number|Array} x - The scaling factor along the x-axis or an array containing the scaling factors for all three axes.
+ * @param {number} [y] - The scaling factor along the y-axis.
+ * @param {number} [z] - The scaling factor along the z-axis.
+ * @returns {Float32Array} The out matrix.
+ */
+function scalingMatrixf(out, x, y, z) {
+  if (x.length == 3) {
+    z = x[2];
+    y = x[1];
+    x = x[0];
+  }
+
+  identityMatrixf(out);
+  out[0] = x;
+  out[5] = y;
+  out[10] = z;
+
+  return out;
+}
+
+/**
+ * Writes a lookAt view matrix into out. See viewMatrixAt().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {vec3} eye - The position of the camera.
+ * @param {vec3} at - The point the camera is looking at.
+ * @param {vec3} up - The up direction of the camera.
+ * @returns {Float32Array} The out matrix.
+ */
+function viewMatrixAtf(out, eye, at, up) {
+  // View direction vector.
+  var vx = at[0] - eye[0];
+  var vy = at[1] - eye[1];
+  var vz = at[2] - eye[2];
+  var len = Math.sqrt(vx * vx + vy * vy + vz * vz);
+
+  if (approximatelyEqual(len, 0.0)) {
+    return identityMatrixf(out);
+  }
+
+  vx /= len;
+  vy /= len;
+  vz /= len;
+
+  // Perpendicular vector.
+  var nx = vy * up[2] - vz * up[1];
+  var ny = vz * up[0] - vx * up[2];
+  var nz = vx * up[1] - vy * up[0];
+  len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+  if (approximatelyEqual(len, 0.0)) {
+    return reportError(new ZeroLengthVectorError("viewMatrixAtf", "The up vector is parallel to the view direction.", [eye, at, up]));
+  }
+
+  nx /= len;
+  ny /= len;
+  nz /= len;
+
+  // "New" up vector.
+  var ux = ny * vz - nz * vy;
+  var uy = nz * vx - nx * vz;
+  var uz = nx * vy - ny * vx;
+
+  out[0] = nx;
+  out[1] = ux;
+  out[2] = -vx;
+  out[3] = 0.0;
+  out[4] = ny;
+  out[5] = uy;
+  out[6] = -vy;
+  out[7] = 0.0;
+  out[8] = nz;
+  out[9] = uz;
+  out[10] = -vz;
+  out[11] = 0.0;
+  out[12] = -(nx * eye[0] + ny * eye[1] + nz * eye[2]);
+  out[13] = -(ux * eye[0] + uy * eye[1] + uz * eye[2]);
+  out[14] = vx * eye[0] + vy * eye[1] + vz * eye[2];
+  out[15] = 1.0;
+
+  return out;
+}
+
+/**
+ * Writes an orthographic projection matrix into out. See buildOrthographicMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {number} left - The left coordinate of the viewing volume.
+ * @param {number} right - The right coordinate of the viewing volume.
+ * @param {number} bottom - The bottom coordinate of the viewing volume.
+ * @param {number} top - The top coordinate of the viewing volume.
+ * @param {number} near - The near coordinate of the viewing volume.
+ * @param {number} far - The far coordinate of the viewing volume.
+ * @returns {Float32Array} The out matrix.
+ */
+function buildOrthographicMatrixf(out, left, right, bottom, top, near, far) {
+  if (left == right) {
+    throw new InvalidArgumentError("ortho", "left and right are equal.");
+  }
+  if (bottom == top) {
+    throw new InvalidArgumentError("ortho", "bottom and top are equal.");
+  }
+  if (near == far) {
+    throw new InvalidArgumentError("ortho", "near and far are equal.");
+  }
+
+  var w = right - left;
+  var h = top - bottom;
+  var d = far - near;
+
+  identityMatrixf(out);
+  out[0] = 2.0 / w;
+  out[5] = 2.0 / h;
+  out[10] = -2.0 / d;
+  out[12] = -(left + right) / w;
+  out[13] = -(top + bottom) / h;
+  out[14] = -(near + far) / d;
+
+  return out;
+}
+
+/**
+ * Writes a perspective projection matrix into out. See buildPerspectiveMatrix().
+ * @param {Float32Array} out - The matrix to write to.
+ * @param {number} fovY - The vertical field of view in degrees.
+ * @param {number} aspect - The aspect ratio of the viewport.
+ * @param {number} near - The distance to the near clipping plane.
+ * @param {number} far - The distance to the far clipping plane. May be Infinity.
+ * @returns {Float32Array} The out matrix.
+ */
+function buildPerspectiveMatrixf(out, fovY, aspect, near, far) {
+  validatePerspectiveParameters("perspective", fovY, aspect, near, far);
+
+  var f = 1.0 / Math.tan(degreesToRadians(fovY) / 2);
+
+  out.fill(0.0);
+  out[0] = f / aspect;
+  out[5] = f;
+  out[11] = -1;
+
+  if (far == Infinity) {
+    out[10] = -1;
+    out[14] = -2 * near;
+  } else {
+    out[10] = -(near + far) / (far - near);
+    out[14] = (-2 * near * far) / (far - near);
+  }
+
+  return out;
+}
+
+// ##################### BATCH TRANSFORMS ####################
+
+// These functions transform every vertex in a flat array (such as the
+// Float32Array uploaded with gl.bufferData) with one matrix. They read the
+// matrix once and write straight into the array, so they are much faster than
+// calling linearMultiply() on a vec4 per vertex. See transform-benchmark.html.
+//
+// Vertices are read like forEachVertex() reads flat arrays: the x, y and z
+// components of a vertex are at offset, offset + 1 and offset + 2, and each
+// vertex starts stride components after the last. Only those three components
+// are written, so other attributes in an interleaved buffer are left alone.
+
+// The column-major copy of a nested-array matrix passed to a batch transform.
+var batchMatrix = new Float32Array(16);
+
+/**
+ * Checks the arguments of a batch transform and returns the matrix in column-major order.
+ * @param {string} operation - The name of the batch transform, for errors.
+ * @param {mat4|Float32Array} m - The matrix, as a mat4() or a column-major array.
+ * @param {Array<number>|Float32Array} vertices - The vertices.
+ * @param {number} stride - The number of components from one vertex to the next.
+ * @param {Array<number>|Float32Array} out - The array to write to.
+ * @returns {Float32Array|undefined} The matrix, or undefined if the arguments are invalid.
+ */
+function batchTransformMatrix(operation, m, vertices, stride, out) {
+  if (vertices.length > 0 && Array.isArray(vertices[0])) {
+    return reportError(new InvalidArgumentError(operation, "Vertices must be a flat array; use linearFlatten() first.", [vertices]));
+  }
+
+  if (stride < 3) {
+    return reportError(new InvalidArgumentError(operation, "Stride must be at least 3.", [stride]));
+  }
+
+  if (out.length < vertices.length) {
+    return reportError(new DimensionMismatchError(operation, "Output array is shorter than the vertex array.", [vertices, out]));
+  }
+
+  if (m.matrix) {
+    return m.length == 4 ? toMat4f(m, batchMatrix) : reportError(new NonMatrixError(operation, "Matrix is not a mat4.", [m]));
+  }
+
+  if (m.length != 16) {
+    return reportError(new DimensionMismatchError(operation, "Matrix is not a mat4 or a 16-element array.", [m]));
+  }
+
+  return m;
+}
+
+/**
+ * Transforms positions by a matrix, as if each were a vec4 with w = 1. If the
+ * matrix is a projection, the results are divided by w.
+ * @param {mat4|Float32Array} m - The matrix, as a mat4() or a column-major array such as mat4f().
+ * @param {Array<number>|Float32Array} vertices - The positions, as a flat array.
+ * @param {number} [stride=3] - The number of components from one vertex to the next.
+ * @param {number} [offset=0] - The index of the first vertex's x component.
+ * @param {Array<number>|Float32Array} [out=vertices] - The array to write to, in the same layout. The positions are transformed in place if omitted.
+ * @returns {Array<number>|Float32Array} The out array.
+ */
+function transformPoints(m, vertices, stride, offset, out) {
+  stride = stride || 3;
+  offset = offset || 0;
+  out = out || vertices;
+
+  m = batchTransformMatrix("transformPoints", m, vertices, stride, out);
+  if (!m) {
+    return;
+  }
+
+  var m00 = m[0], m10 = m[1], m20 = m[2], m30 = m[3];
+  var m01 = m[4], m11 = m[5], m21 = m[6], m31 = m[7];
+  var m02 = m[8], m12 = m[9], m22 = m[10], m32 = m[11];
+  var m03 = m[12], m13 = m[13], m23 = m[14], m33 = m[15];
+
+  var projective = m30 != 0.0 || m31 != 0.0 || m32 != 0.0 || m33 != 1.0;
+
+  for (var i = offset; i + 2 < vertices.length; i += stride) {
+    var x = vertices[i], y = vertices[i + 1], z = vertices[i + 2];
+    var w = projective ? 1.0 / (m30 * x + m31 * y + m32 * z + m33) : 1.0;
+
+    out[i] = (m00 * x + m01 * y + m02 * z + m03) * w;
+    out[i + 1] = (m10 * x + m11 * y + m12 * z + m13) * w;
+    out[i + 2] = (m20 * x + m21 * y + m22 * z + m23) * w;
+  }
+
+  return out;
+}
+
+/**
+ * Transforms directions by a matrix, as if each were a vec4 with w = 0, so
+ * translation has no effect. The results are not normalized.
+ * @param {mat4|Float32Array} m - The matrix, as a mat4() or a column-major array such as mat4f().
+ * @param {Array<number>|Float32Array} vertices - The directions, as a flat array.
+ * @param {number} [stride=3] - The number of components from one vertex to the next.
+ * @param {number} [offset=0] - The index of the first vertex's x component.
+ * @param {Array<number>|Float32Array} [out=vertices] - The array to write to, in the same layout. The directions are transformed in place if omitted.
+ * @returns {Array<number>|Float32Array} The out array.
+ */
+function transformDirections(m, vertices, stride, offset, out) {
+  stride = stride || 3;
+  offset = offset || 0;
+  out = out || vertices;
+
+  m = batchTransformMatrix("transformDirections", m, vertices, stride, out);
+  if (!m) {
+    return;
+  }
+
+  var m00 = m[0], m10 = m[1], m20 = m[2];
+  var m01 = m[4], m11 = m[5], m21 = m[6];
+  var m02 = m[8], m12 = m[9], m22 = m[10];
+
+  for (var i = offset; i + 2 < vertices.length; i += stride) {
+    var x = vertices[i], y = vertices[i + 1], z = vertices[i + 2];
+
+    out[i] = m00 * x + m01 * y + m02 * z;
+    out[i + 1] = m10 * x + m11 * y + m12 * z;
+    out[i + 2] = m20 * x + m21 * y + m22 * z;
+  }
+
+  return out;
+}
+
+/**
+ * Transforms normals by the inverse transpose of a matrix's upper 3x3, so they
+ * stay perpendicular to their surfaces under non-uniform scaling, and
+ * normalizes them. Zero-length normals are left as zero.
+ * @param {mat4|Float32Array} m - The matrix that transforms the positions, as a mat4() or a column-major array such as mat4f().
+ * @param {Array<number>|Float32Array} vertices - The normals, as a flat array.
+ * @param {number} [stride=3] - The number of components from one vertex to the next.
+ * @param {number} [offset=0] - The index of the first vertex's x component.
+ * @param {Array<number>|Float32Array} [out=vertices] - The array to write to, in the same layout. The normals are transformed in place if omitted.
+ * @returns {Array<number>|Float32Array} The out array.
+ */
+function transformNormals(m, vertices, stride, offset, out) {
+  stride = stride || 3;
+  offset = offset || 0;
+  out = out || vertices;
+
+  m = batchTransformMatrix("transformNormals", m, vertices, stride, out);
+  if (!m) {
+    return;
+  }
+
+  var a = m[0], b = m[4], c = m[8];
+  var d = m[1], e = m[5], f = m[9];
+  var g = m[2], h = m[6], k = m[10];
+
+  // The cofactor matrix is the inverse transpose times the determinant. The
+  // normals are normalized anyway, so the determinant never has to be divided
+  // out (only its sign matters, for matrices that mirror the model).
+  var sign = a * (e * k - f * h) - b * (d * k - f * g) + c * (d * h - e * g) < 0.0 ? -1.0 : 1.0;
+
+  var n00 = (e * k - f * h) * sign, n01 = (f * g - d * k) * sign, n02 = (d * h - e * g) * sign;
+  var n10 = (c * h - b * k) * sign, n11 = (a * k - c * g) * sign, n12 = (b * g - a * h) * sign;
+  var n20 = (b * f - c * e) * sign, n21 = (c * d - a * f) * sign, n22 = (a * e - b * d) * sign;
+
+  for (var i = offset; i + 2 < vertices.length; i += stride) {
+    var x = vertices[i], y = vertices[i + 1], z = vertices[i + 2];
+
+    var nx = n00 * x + n01 * y + n02 * z;
+    var ny = n10 * x + n11 * y + n12 * z;
+    var nz = n20 * x + n21 * y + n22 * z;
+
+    var length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    var scale = length > 0.0 ? 1.0 / length : 0.0;
+
+    out[i] = nx * scale;
+    out[i + 1] = ny * scale;
+    out[i + 2] = nz * scale;
+  }
+
+  return out;
+}
+
+// ##################### MISCELLANEOUS FUNCTIONS ####################
+
+/**
+ * Represents the size in bytes of various vector and matrix types.
+ * @type {Object}
+ * @property {number} vec2 - The size in bytes of a vec2.
+ * @property {number} vec3 - The size in bytes of a vec3.
+ * @property {number} vec4 - The size in bytes of a vec4.
+ * @property {number} mat2 - The size in bytes of a mat2.
+ * @property {number} mat3 - The size in bytes of a mat3.
+ * @property {number} mat4 - The size in bytes of a mat4.
+ */
+var sizeof = {
+  vec2: new Float32Array(linearFlatten(vec2())).byteLength,
   vec3: new Float32Array(linearFlatten(vec3())).byteLength,
   vec4: new Float32Array(linearFlatten(vec4())).byteLength,
   mat2: new Float32Array(linearFlatten(mat2())).byteLength,
@@ -856,283 +3354,2811 @@ var sizeof = {
   mat4: new Float32Array(linearFlatten(mat4())).byteLength,
 };
 
-/**
- * Prints the elements of a matrix to the console.
- * @param {number[][]} m - The matrix to be printed.
- */
-function printm(m) {
-  if (m.length == 2)
-    for (var i = 0; i < m.length; i++) console.log(m[i][0], m[i][1]);
-  else if (m.length == 3)
-    for (var i = 0; i < m.length; i++) console.log(m[i][0], m[i][1], m[i][2]);
-  else if (m.length == 4)
-    for (var i = 0; i < m.length; i++)
-      console.log(m[i][0], m[i][1], m[i][2], m[i][3]);
+/**
+ * Prints a matrix (or vector) to the console. See linearToString().
+ * @param {number[][]} m - The matrix to be printed.
+ * @param {Object} [options] - Formatting options for linearToString().
+ */
+function printm(m, options) {
+  console.log(linearToString(m, options));
+}
+
+// ##################### FORMATTING & SERIALIZATION ####################
+
+// Vectors, quaternions and matrices print with their constructor names, and
+// matrices print row by row, so the output of linearToString() can be pasted
+// back into code. JSON keeps the .matrix and .quaternion tags, which plain
+// JSON.stringify() drops. A 16-element Float32Array is taken to be a
+// column-major mat4f(), and is written row by row like a mat4().
+
+/**
+ * Checks if a value is a column-major matrix made by mat4f().
+ * @param {*} value - The value to check.
+ * @returns {boolean} Returns true if the value is a 16-element Float32Array.
+ */
+function isMat4f(value) {
+  return value instanceof Float32Array && value.length == 16;
+}
+
+/**
+ * Returns the name of the constructor that makes a vector, quaternion or matrix.
+ * @param {Array|Float32Array} value - The vector, quaternion or matrix.
+ * @returns {string} "vec3", "quaternion", "mat4", "mat4f" and so on.
+ */
+function linearTypeName(value) {
+  if (isMat4f(value)) {
+    return "mat4f";
+  }
+
+  if (value.matrix) {
+    return "mat" + value.length;
+  }
+
+  return value.quaternion ? "quaternion" : "vec" + value.length;
+}
+
+/**
+ * Formats a number with a fixed number of decimal places.
+ * @param {number} x - The number.
+ * @param {number} [precision=3] - The number of decimal places.
+ * @param {boolean} [trimZeros=false] - Whether to drop trailing zeros (and a trailing decimal point).
+ * @returns {string} The formatted number.
+ */
+function formatNumber(x, precision, trimZeros) {
+  if (!isFinite(x)) {
+    return String(x);
+  }
+
+  var text = x.toFixed(precision === undefined ? 3 : precision);
+
+  if (trimZeros && text.indexOf(".") >= 0) {
+    text = text.replace(/\.?0+$/, "");
+  }
+
+  // Rounding a small negative number can leave "-0.000".
+  return /^-[0.]*$/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Pads formatted numbers to the same width, so they line up in a column.
+ * @param {string[]} column - The formatted numbers.
+ * @param {string} align - "left", "right", or "decimal" to line up the decimal points.
+ * @returns {string[]} The padded numbers.
+ */
+function alignColumn(column, align) {
+  if (align == "decimal") {
+    var parts = column.map(function (text) {
+      var point = text.indexOf(".");
+      return point < 0 ? [text, ""] : [text.slice(0, point), text.slice(point)];
+    });
+
+    var whole = Math.max.apply(null, parts.map(function (p) { return p[0].length; }));
+    var fraction = Math.max.apply(null, parts.map(function (p) { return p[1].length; }));
+
+    return parts.map(function (p) {
+      return p[0].padStart(whole) + p[1].padEnd(fraction);
+    });
+  }
+
+  var width = Math.max.apply(null, column.map(function (text) { return text.length; }));
+
+  return column.map(function (text) {
+    return align == "left" ? text.padEnd(width) : text.padStart(width);
+  });
+}
+
+/**
+ * Formats a vector, quaternion or matrix as a constructor call, such as
+ * "vec3(1.000, 0.000, 0.000)". Matrices are written one row per line with
+ * their columns lined up, and a mat4f() as "mat4f(mat4(...))".
+ * @param {Array|Float32Array} value - The vector, quaternion or matrix.
+ * @param {Object} [options] - Formatting options.
+ * @param {number} [options.precision=3] - The number of decimal places.
+ * @param {boolean} [options.trimZeros=false] - Whether to drop trailing zeros.
+ * @param {string} [options.align="decimal"] - How to line up matrix columns: "left", "right" or "decimal".
+ * @param {boolean} [options.multiline=true] - Whether to write matrices one row per line.
+ * @returns {string} The formatted value.
+ */
+function linearToString(value, options) {
+  options = options || {};
+
+  var precision = options.precision !== undefined ? options.precision : 3;
+  var align = options.align || "decimal";
+  var multiline = options.multiline !== undefined ? options.multiline : true;
+
+  var format = function (x) {
+    return formatNumber(x, precision, options.trimZeros);
+  };
+
+  if (isMat4f(value)) {
+    return "mat4f(" + linearToString(fromMat4f(value), options) + ")";
+  }
+
+  if (!value.matrix) {
+    return linearTypeName(value) + "(" + Array.from(value, format).join(", ") + ")";
+  }
+
+  var rows = value.map(function (row) {
+    return Array.from(row, format);
+  });
+
+  if (!multiline) {
+    return linearTypeName(value) + "(" + rows.map(function (row) { return row.join(", "); }).join(", ") + ")";
+  }
+
+  for (var j = 0; j < rows[0].length; ++j) {
+    var column = alignColumn(rows.map(function (row) { return row[j]; }), align);
+
+    for (var i = 0; i < rows.length; ++i) {
+      rows[i][j] = column[i];
+    }
+  }
+
+  var lines = rows.map(function (row) {
+    return "  " + row.join(", ");
+  });
+
+  return linearTypeName(value) + "(\n" + lines.join(",\n") + "\n)";
+}
+
+/**
+ * Formats a value compactly on one line for on-screen debugging, such as
+ * "[1 0 0 | 0 1 0 | 0 0 1]" for a mat3. Trailing zeros are dropped.
+ * @param {*} value - A vector, quaternion, matrix, number, or anything else (which is passed to String()).
+ * @param {number} [precision=2] - The number of decimal places.
+ * @returns {string} The formatted value.
+ */
+function linearToDebugString(value, precision) {
+  precision = precision !== undefined ? precision : 2;
+
+  var format = function (x) {
+    return formatNumber(x, precision, true);
+  };
+
+  if (typeof value == "number") {
+    return format(value);
+  }
+
+  if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+    return String(value);
+  }
+
+  if (isMat4f(value)) {
+    value = fromMat4f(value);
+  }
+
+  if (value.matrix) {
+    return "[" + value.map(function (row) { return Array.from(row, format).join(" "); }).join(" | ") + "]";
+  }
+
+  return (value.quaternion ? "q" : "") + "[" + Array.from(value, format).join(" ") + "]";
+}
+
+/**
+ * A replacer for JSON.stringify() that keeps the type of matrices (including
+ * mat4f() matrices, written row by row), quaternions and Float32Arrays. Use
+ * linearReviver() to read them back.
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ * @returns {*} The value to write.
+ */
+function linearReplacer(key, value) {
+  if (value && value.matrix) {
+    return { type: linearTypeName(value), rows: value.map(function (row) { return Array.from(row); }) };
+  }
+
+  if (isMat4f(value)) {
+    return { type: "mat4f", rows: fromMat4f(value).map(function (row) { return Array.from(row); }) };
+  }
+
+  if (value && value.quaternion) {
+    return { type: "quaternion", values: Array.from(value) };
+  }
+
+  if (value instanceof Float32Array) {
+    return { type: "Float32Array", values: Array.from(value) };
+  }
+
+  return value;
+}
+
+/**
+ * A reviver for JSON.parse() that rebuilds the values written by linearReplacer().
+ * @param {string} key - The property name.
+ * @param {*} value - The parsed value.
+ * @returns {*} The rebuilt value.
+ */
+function linearReviver(key, value) {
+  if (!value || typeof value != "object" || Array.isArray(value) || typeof value.type != "string") {
+    return value;
+  }
+
+  var size = /^mat(?:([234])|(4)f)$/.exec(value.type);
+
+  if (size) {
+    var n = parseInt(size[1] || size[2]);
+    var valid = Array.isArray(value.rows) && value.rows.length == n && value.rows.every(function (row) {
+      return Array.isArray(row) && row.length == n;
+    });
+
+    if (!valid) {
+      return reportError(new DimensionMismatchError("linearReviver", "Rows do not form a " + value.type + ".", [value.rows]));
+    }
+
+    var m = value.rows.map(function (row) { return row.slice(); });
+    m.matrix = true;
+
+    return value.type == "mat4f" ? toMat4f(m) : m;
+  }
+
+  if (value.type == "quaternion" || value.type == "Float32Array") {
+    if (!Array.isArray(value.values) || (value.type == "quaternion" && value.values.length != 4)) {
+      return reportError(new DimensionMismatchError("linearReviver", "Values do not form a " + value.type + ".", [value.values]));
+    }
+
+    return value.type == "quaternion" ? quaternion(value.values) : new Float32Array(value.values);
+  }
+
+  return value;
+}
+
+/**
+ * Converts a value to JSON, keeping the type of any matrices, quaternions and
+ * Float32Arrays in it. Vectors are written as plain arrays.
+ * @param {*} value - The value, such as a matrix or an object holding several.
+ * @param {number|string} [space] - Indentation, as for JSON.stringify().
+ * @returns {string} The JSON.
+ */
+function linearToJSON(value, space) {
+  return JSON.stringify(value, linearReplacer, space);
+}
+
+/**
+ * Parses JSON written by linearToJSON(), rebuilding its matrices, quaternions and Float32Arrays.
+ * @param {string} text - The JSON.
+ * @returns {*} The parsed value.
+ */
+function linearFromJSON(text) {
+  return JSON.parse(text, linearReviver);
+}
+
+// ##################### DETERMINANTS ####################
+
+/**
+ * Calculates the determinant of a 2x2 matrix.
+ * @param {number[][]} m - The 2x2 matrix.
+ * @returns {number} The determinant of the matrix.
+ */
+function det2(m) {
+  return m[0][0] * m[1][1] - m[0][1] * m[1][0];
+}
+
+/**
+ * Calculates the determinant of a 3x3 matrix.
+ * @param {number[][]} m - The input matrix.
+ * @returns {number} The determinant of the matrix.
+ */
+function det3(m) {
+  var d =
+    m[0][0] * m[1][1] * m[2][2] +
+    m[0][1] * m[1][2] * m[2][0] +
+    m[0][2] * m[2][1] * m[1][0] -
+    m[2][0] * m[1][1] * m[0][2] -
+    m[1][0] * m[0][1] * m[2][2] -
+    m[0][0] * m[1][2] * m[2][1];
+  return d;
+}
+
+/**
+ * Calculates the determinant of a 4x4 matrix.
+ * @param {number[][]} m - The 4x4 matrix represented as a 2D array.
+ * @returns {number} The determinant of the matrix.
+ */
+function det4(m) {
+  var m0 = [
+    vec3(m[1][1], m[1][2], m[1][3]),
+    vec3(m[2][1], m[2][2], m[2][3]),
+    vec3(m[3][1], m[3][2], m[3][3]),
+  ];
+  var m1 = [
+    vec3(m[1][0], m[1][2], m[1][3]),
+    vec3(m[2][0], m[2][2], m[2][3]),
+    vec3(m[3][0], m[3][2], m[3][3]),
+  ];
+  var m2 = [
+    vec3(m[1][0], m[1][1], m[1][3]),
+    vec3(m[2][0], m[2][1], m[2][3]),
+    vec3(m[3][0], m[3][1], m[3][3]),
+  ];
+  var m3 = [
+    vec3(m[1][0], m[1][1], m[1][2]),
+    vec3(m[2][0], m[2][1], m[2][2]),
+    vec3(m[3][0], m[3][1], m[3][2]),
+  ];
+  return (
+    m[0][0] * det3(m0) -
+    m[0][1] * det3(m1) +
+    m[0][2] * det3(m2) -
+    m[0][3] * det3(m3)
+  );
+}
+
+/**
+ * Determines the type of determinant to calculate, then calculates the determinant of a matrix.
+ * @param {Array} m - The matrix to calculate the determinant of.
+ * @returns {number} The determinant of the matrix.
+ */
+function calculateDeterminant(m) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("calculateDeterminant", arguments, ["matrix"])) {
+    return;
+  }
+
+  if (m.matrix != true) return reportError(new NonMatrixError("calculateDeterminant", "Variable is not a matrix.", [m]));
+  if (m.length == 2) return det2(m);
+  if (m.length == 3) return det3(m);
+  if (m.length == 4) return det4(m);
+  return;
+}
+
+// ##################### INVERSES ####################
+
+/**
+ * Calculates the inverse of a 2x2 matrix.
+ * @param {mat2} m - The input matrix.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance. See isSingularDeterminant().
+ * @returns {mat2|null} - The inverse matrix, or null if the matrix is singular.
+ */
+function inverse2(m, epsilon) {
+  var a = mat2();
+  var d = det2(m);
+
+  if (isSingularDeterminant(d, m, epsilon)) {
+    return null;
+  }
+  a[0][0] = m[1][1] / d;
+  a[0][1] = -m[0][1] / d;
+  a[1][0] = -m[1][0] / d;
+  a[1][1] = m[0][0] / d;
+  a.matrix = true;
+  return a;
+}
+
+/**
+ * Calculates the inverse of a 3x3 matrix.
+ * 
+ * @param {mat3} m - The input matrix.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance. See isSingularDeterminant().
+ * @returns {mat3|null} The inverse matrix, or null if the matrix is singular.
+ */
+function inverse3(m, epsilon) {
+  var a = mat3();
+  var d = det3(m);
+
+  if (isSingularDeterminant(d, m, epsilon)) {
+    return null;
+  }
+
+  var a00 = [vec2(m[1][1], m[1][2]), vec2(m[2][1], m[2][2])];
+  var a01 = [vec2(m[1][0], m[1][2]), vec2(m[2][0], m[2][2])];
+  var a02 = [vec2(m[1][0], m[1][1]), vec2(m[2][0], m[2][1])];
+  var a10 = [vec2(m[0][1], m[0][2]), vec2(m[2][1], m[2][2])];
+  var a11 = [vec2(m[0][0], m[0][2]), vec2(m[2][0], m[2][2])];
+  var a12 = [vec2(m[0][0], m[0][1]), vec2(m[2][0], m[2][1])];
+  var a20 = [vec2(m[0][1], m[0][2]), vec2(m[1][1], m[1][2])];
+  var a21 = [vec2(m[0][0], m[0][2]), vec2(m[1][0], m[1][2])];
+  var a22 = [vec2(m[0][0], m[0][1]), vec2(m[1][0], m[1][1])];
+
+  a[0][0] = det2(a00) / d;
+  a[0][1] = -det2(a10) / d;
+  a[0][2] = det2(a20) / d;
+  a[1][0] = -det2(a01) / d;
+  a[1][1] = det2(a11) / d;
+  a[1][2] = -det2(a21) / d;
+  a[2][0] = det2(a02) / d;
+  a[2][1] = -det2(a12) / d;
+  a[2][2] = det2(a22) / d;
+
+  return a;
+}
+
+/**
+ * Calculates the inverse of a 4x4 matrix.
+ * 
+ * @param {mat4} m - The input matrix.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance. See isSingularDeterminant().
+ * @returns {mat4|null} The inverse matrix, or null if the matrix is singular.
+ */
+function inverse4(m, epsilon) {
+  var a = mat4();
+  var d = det4(m);
+
+  if (isSingularDeterminant(d, m, epsilon)) {
+    return null;
+  }
+
+  var a00 = [
+    vec3(m[1][1], m[1][2], m[1][3]),
+    vec3(m[2][1], m[2][2], m[2][3]),
+    vec3(m[3][1], m[3][2], m[3][3]),
+  ];
+  var a01 = [
+    vec3(m[1][0], m[1][2], m[1][3]),
+    vec3(m[2][0], m[2][2], m[2][3]),
+    vec3(m[3][0], m[3][2], m[3][3]),
+  ];
+  var a02 = [
+    vec3(m[1][0], m[1][1], m[1][3]),
+    vec3(m[2][0], m[2][1], m[2][3]),
+    vec3(m[3][0], m[3][1], m[3][3]),
+  ];
+  var a03 = [
+    vec3(m[1][0], m[1][1], m[1][2]),
+    vec3(m[2][0], m[2][1], m[2][2]),
+    vec3(m[3][0], m[3][1], m[3][2]),
+  ];
+  var a10 = [
+    vec3(m[0][1], m[0][2], m[0][3]),
+    vec3(m[2][1], m[2][2], m[2][3]),
+    vec3(m[3][1], m[3][2], m[3][3]),
+  ];
+  var a11 = [
+    vec3(m[0][0], m[0][2], m[0][3]),
+    vec3(m[2][0], m[2][2], m[2][3]),
+    vec3(m[3][0], m[3][2], m[3][3]),
+  ];
+  var a12 = [
+    vec3(m[0][0], m[0][1], m[0][3]),
+    vec3(m[2][0], m[2][1], m[2][3]),
+    vec3(m[3][0], m[3][1], m[3][3]),
+  ];
+  var a13 = [
+    vec3(m[0][0], m[0][1], m[0][2]),
+    vec3(m[2][0], m[2][1], m[2][2]),
+    vec3(m[3][0], m[3][1], m[3][2]),
+  ];
+  var a20 = [
+    vec3(m[0][1], m[0][2], m[0][3]),
+    vec3(m[1][1], m[1][2], m[1][3]),
+    vec3(m[3][1], m[3][2], m[3][3]),
+  ];
+  var a21 = [
+    vec3(m[0][0], m[0][2], m[0][3]),
+    vec3(m[1][0], m[1][2], m[1][3]),
+    vec3(m[3][0], m[3][2], m[3][3]),
+  ];
+  var a22 = [
+    vec3(m[0][0], m[0][1], m[0][3]),
+    vec3(m[1][0], m[1][1], m[1][3]),
+    vec3(m[3][0], m[3][1], m[3][3]),
+  ];
+  var a23 = [
+    vec3(m[0][0], m[0][1], m[0][2]),
+    vec3(m[1][0], m[1][1], m[1][2]),
+    vec3(m[3][0], m[3][1], m[3][2]),
+  ];
+
+  var a30 = [
+    vec3(m[0][1], m[0][2], m[0][3]),
+    vec3(m[1][1], m[1][2], m[1][3]),
+    vec3(m[2][1], m[2][2], m[2][3]),
+  ];
+  var a31 = [
+    vec3(m[0][0], m[0][2], m[0][3]),
+    vec3(m[1][0], m[1][2], m[1][3]),
+    vec3(m[2][0], m[2][2], m[2][3]),
+  ];
+  var a32 = [
+    vec3(m[0][0], m[0][1], m[0][3]),
+    vec3(m[1][0], m[1][1], m[1][3]),
+    vec3(m[2][0], m[2][1], m[2][3]),
+  ];
+  var a33 = [
+    vec3(m[0][0], m[0][1], m[0][2]),
+    vec3(m[1][0], m[1][1], m[1][2]),
+    vec3(m[2][0], m[2][1], m[2][2]),
+  ];
+
+  a[0][0] = det3(a00) / d;
+  a[0][1] = -det3(a10) / d;
+  a[0][2] = det3(a20) / d;
+  a[0][3] = -det3(a30) / d;
+  a[1][0] = -det3(a01) / d;
+  a[1][1] = det3(a11) / d;
+  a[1][2] = -det3(a21) / d;
+  a[1][3] = det3(a31) / d;
+  a[2][0] = det3(a02) / d;
+  a[2][1] = -det3(a12) / d;
+  a[2][2] = det3(a22) / d;
+  a[2][3] = -det3(a32) / d;
+  a[3][0] = -det3(a03) / d;
+  a[3][1] = det3(a13) / d;
+  a[3][2] = -det3(a23) / d;
+  a[3][3] = det3(a33) / d;
+
+  return a;
+}
+
+/**
+ * The default tolerance used to decide whether a matrix is singular. It is
+ * relative to the size of the matrix's elements, so uniformly scaling a matrix
+ * up or down does not change whether it is considered singular.
+ * @type {number}
+ */
+var inverseEpsilon = 1e-10;
+
+/**
+ * Returns the largest absolute value of the elements of a matrix.
+ * @param {Array<Array<number>>} m - The matrix.
+ * @returns {number} The largest absolute element.
+ */
+function largestMatrixElement(m) {
+  var largest = 0.0;
+  for (var i = 0; i < m.length; ++i) {
+    for (var j = 0; j < m[i].length; ++j) {
+      largest = Math.max(largest, Math.abs(m[i][j]));
+    }
+  }
+
+  return largest;
+}
+
+/**
+ * Checks whether a determinant is too close to zero for its matrix to be
+ * safely inverted. The determinant of an NxN matrix scales with the N-th power
+ * of its elements, so it is compared against epsilon times the largest element
+ * raised to the N-th power. Non-finite determinants are also treated as singular.
+ * @param {number} d - The determinant of m.
+ * @param {Array<Array<number>>} m - The matrix the determinant belongs to.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance.
+ * @returns {boolean} True if the matrix should be considered singular.
+ */
+function isSingularDeterminant(d, m, epsilon) {
+  if (epsilon === undefined) {
+    epsilon = inverseEpsilon;
+  }
+
+  if (!isFinite(d)) {
+    return true;
+  }
+
+  return Math.abs(d) <= epsilon * Math.pow(largestMatrixElement(m), m.length);
+}
+
+/**
+ * Calculates the inverse of a square matrix of any size using Gauss-Jordan
+ * elimination with partial pivoting.
+ * @param {Array<Array<number>>} m - The matrix to invert.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance. A pivot smaller than epsilon times the largest element of m means the matrix is singular.
+ * @returns {Array<Array<number>>|null} The inverse matrix, or null if the matrix is singular.
+ */
+function gaussJordanInverse(m, epsilon) {
+  if (epsilon === undefined) {
+    epsilon = inverseEpsilon;
+  }
+
+  var n = m.length;
+  var tolerance = epsilon * largestMatrixElement(m);
+
+  // Augment a copy of m with the identity matrix: [m | I].
+  var a = [];
+  for (var i = 0; i < n; ++i) {
+    a.push([]);
+    for (var j = 0; j < 2 * n; ++j) {
+      a[i].push(j < n ? m[i][j] : i == j - n ? 1.0 : 0.0);
+    }
+  }
+
+  for (var col = 0; col < n; ++col) {
+    // Use the row with the largest value in this column as the pivot row.
+    var pivotRow = col;
+    for (var i = col + 1; i < n; ++i) {
+      if (Math.abs(a[i][col]) > Math.abs(a[pivotRow][col])) {
+        pivotRow = i;
+      }
+    }
+
+    var pivot = a[pivotRow][col];
+
+    if (!(Math.abs(pivot) > tolerance) || !isFinite(pivot)) {
+      return null;
+    }
+
+    var swap = a[col];
+    a[col] = a[pivotRow];
+    a[pivotRow] = swap;
+
+    for (var j = 0; j < 2 * n; ++j) {
+      a[col][j] /= pivot;
+    }
+
+    // Eliminate this column from every other row.
+    for (var i = 0; i < n; ++i) {
+      if (i != col && a[i][col] != 0) {
+        var factor = a[i][col];
+        for (var j = 0; j < 2 * n; ++j) {
+          a[i][j] -= factor * a[col][j];
+        }
+      }
+    }
+  }
+
+  var result = [];
+  for (var i = 0; i < n; ++i) {
+    result.push(a[i].slice(n));
+  }
+
+  result.matrix = true;
+
+  return result;
+}
+
+/**
+ * Checks whether a mat4 is an affine transformation, i.e. its bottom row is [0, 0, 0, 1].
+ * @param {mat4} m - The matrix to check.
+ * @returns {boolean} True if the matrix is affine.
+ */
+function isAffineMatrix(m) {
+  return (
+    m.length == 4 &&
+    m[3][0] == 0.0 &&
+    m[3][1] == 0.0 &&
+    m[3][2] == 0.0 &&
+    m[3][3] == 1.0
+  );
+}
+
+/**
+ * Checks whether a mat4 is a rigid transformation, i.e. it is affine and its
+ * upper-left 3x3 is a pure rotation (orthonormal rows).
+ * @param {mat4} m - The matrix to check.
+ * @returns {boolean} True if the matrix is a rigid transformation.
+ */
+function isRigidMatrix(m) {
+  if (!isAffineMatrix(m)) {
+    return false;
+  }
+
+  return isOrthonormalMatrix(mat3(
+    m[0].slice(0, 3),
+    m[1].slice(0, 3),
+    m[2].slice(0, 3)
+  ));
+}
+
+/**
+ * Calculates the inverse of a rigid transformation (rotation and translation
+ * only). The rotation is inverted by transposing it, so no division is needed.
+ * The matrix is not checked; see isRigidMatrix().
+ * @param {mat4} m - The rigid transformation.
+ * @returns {mat4} The inverse matrix.
+ */
+function inverseRigid(m) {
+  var result = mat4();
+
+  for (var i = 0; i < 3; ++i) {
+    for (var j = 0; j < 3; ++j) {
+      result[i][j] = m[j][i];
+    }
+  }
+
+  for (var i = 0; i < 3; ++i) {
+    result[i][3] = -(
+      result[i][0] * m[0][3] +
+      result[i][1] * m[1][3] +
+      result[i][2] * m[2][3]
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Calculates the inverse of an affine transformation by inverting only its
+ * upper-left 3x3 and then its translation. The matrix is not checked; see
+ * isAffineMatrix().
+ * @param {mat4} m - The affine transformation.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance.
+ * @returns {mat4|null} The inverse matrix, or null if the matrix is singular.
+ */
+function inverseAffine(m, epsilon) {
+  var upper = mat3(m[0].slice(0, 3), m[1].slice(0, 3), m[2].slice(0, 3));
+  var inverse = inverse3(upper, epsilon);
+
+  if (inverse === null) {
+    return null;
+  }
+
+  var result = mat4();
+
+  for (var i = 0; i < 3; ++i) {
+    for (var j = 0; j < 3; ++j) {
+      result[i][j] = inverse[i][j];
+    }
+
+    result[i][3] = -(
+      inverse[i][0] * m[0][3] +
+      inverse[i][1] * m[1][3] +
+      inverse[i][2] * m[2][3]
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Calculates the inverse of a square matrix. Rigid and affine mat4s take a
+ * faster path; every other matrix is inverted with gaussJordanInverse().
+ * Singular matrices are reported and produce null instead of a matrix full of
+ * Infinity or NaN values.
+ * @param {Array} m - The matrix to calculate the inverse of.
+ * @param {number} [epsilon=inverseEpsilon] - The singularity tolerance.
+ * @returns {Array|null} - The inverse of the input matrix, or null if the matrix is singular.
+ */
+function calculateInverseMatrix(m, epsilon) {
+  if (typeof WEBGL_UTILITIES_DEBUG !== "undefined" && WEBGL_UTILITIES_DEBUG &&
+      !validateArguments("calculateInverseMatrix", arguments, ["matrix", "number?"])) {
+    return;
+  }
+
+  if (m.matrix != true) {
+    return reportError(new NonMatrixError("calculateInverseMatrix", "Variable is not a matrix.", [m]));
+  }
+
+  for (var i = 0; i < m.length; ++i) {
+    if (m[i].length != m.length) {
+      return reportError(new DimensionMismatchError("calculateInverseMatrix", "Cannot invert a non-square matrix.", [m]));
+    }
+  }
+
+  var result;
+
+  if (isRigidMatrix(m)) {
+    return inverseRigid(m);
+  } else if (isAffineMatrix(m)) {
+    result = inverseAffine(m, epsilon);
+  } else {
+    result = gaussJordanInverse(m, epsilon);
+  }
+
+  if (result === null) {
+    reportError(new SingularMatrixError("calculateInverseMatrix", "Matrix is singular and cannot be inverted.", [m]));
+  }
+
+  return result;
+}
+
+/**
+ * Calculates the normal matrix of a given matrix.
+ * @param {mat4} m - The input matrix.
+ * @param {boolean} flag - A flag indicating whether to return the full matrix or just the upper-left 3x3 submatrix.
+ * @returns {mat4|mat3|null} - The normal matrix, or null if the matrix is singular.
+ */
+function normalizeMatrix(m, flag) {
+  var a = mat4();
+  a = calculateInverseMatrix(transposeMatrix(m));
+  if (!a) return a;
+  if (flag != true) return a;
+  else {
+    var b = mat3();
+    for (var i = 0; i < 3; i++) for (var j = 0; j < 3; j++) b[i][j] = a[i][j];
+    return b;
+  }
+}
+
+
+// ##################### GEOMETRIC PRIMITIVES ####################
+
+// Rays, planes, boxes, spheres and triangles are plain objects holding vec3
+// arrays, so they can be built from (and passed back into) the vector
+// functions above. Planes follow the same convention as the vec4 clip plane
+// of buildObliqueProjectionMatrix(): a point p is on the plane when
+// dotProduct(normal, p) + distance == 0, and in front of it when positive.
+
+/**
+ * Creates a ray.
+ * @param {vec3} origin - The point the ray starts from.
+ * @param {vec3} direction - The direction of the ray. It is normalized, so distances along the ray are in world units.
+ * @returns {{origin: vec3, direction: vec3}} The ray.
+ */
+function ray(origin, direction) {
+  if (vectorLength(direction.slice(0, 3)) == 0) {
+    return reportError(new ZeroLengthVectorError("ray", "Direction has zero length.", [direction]));
+  }
+
+  return {
+    origin: vec3(origin[0], origin[1], origin[2]),
+    direction: normalizeVectors(vec3(direction[0], direction[1], direction[2])),
+  };
+}
+
+/**
+ * Creates a ray starting at one point and passing through another.
+ * @param {vec3} from - The point the ray starts from.
+ * @param {vec3} to - A second point on the ray.
+ * @returns {{origin: vec3, direction: vec3}} The ray.
+ */
+function rayFromPoints(from, to) {
+  return ray(from, linearSubtract(to.slice(0, 3), from.slice(0, 3)));
+}
+
+/**
+ * Creates a world-space ray through a pixel of the canvas, for picking with
+ * the mouse. Works with both perspective and orthographic projections.
+ * @param {number} x - The horizontal pixel coordinate, from the left edge of the canvas.
+ * @param {number} y - The vertical pixel coordinate, from the top edge of the canvas.
+ * @param {number} width - The width of the canvas in pixels.
+ * @param {number} height - The height of the canvas in pixels.
+ * @param {mat4} projection - The projection matrix.
+ * @param {mat4} [view] - The view matrix. Defaults to the identity matrix.
+ * @returns {{origin: vec3, direction: vec3}|null} The ray, starting on the near plane, or null if the matrices cannot be inverted.
+ */
+function rayFromScreen(x, y, width, height, projection, view) {
+  var ndcX = (2.0 * x) / width - 1.0;
+  var ndcY = 1.0 - (2.0 * y) / height;
+
+  // A depth of 0 rather than 1 keeps the second point finite for projections
+  // with an infinite far plane.
+  var near = unprojectPoint(vec3(ndcX, ndcY, -1.0), projection, view);
+  var middle = unprojectPoint(vec3(ndcX, ndcY, 0.0), projection, view);
+
+  if (!near || !middle) {
+    return null;
+  }
+
+  return rayFromPoints(near, middle);
+}
+
+/**
+ * Returns the point at a distance along a ray.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {number} t - The distance along the ray.
+ * @returns {vec3} The point.
+ */
+function pointOnRay(r, t) {
+  return linearAddition(r.origin, linearScale(t, r.direction));
+}
+
+/**
+ * Creates a plane from its normal and its signed distance from the origin.
+ * @param {vec3} normal - The normal of the plane. It is normalized, and distance is scaled to match.
+ * @param {number} distance - The constant term d of the plane equation.
+ * @returns {{normal: vec3, distance: number}} The plane.
+ */
+function plane(normal, distance) {
+  var len = vectorLength(normal.slice(0, 3));
+
+  if (len == 0) {
+    return reportError(new ZeroLengthVectorError("plane", "Normal has zero length.", [normal]));
+  }
+
+  return {
+    normal: vec3(normal[0] / len, normal[1] / len, normal[2] / len),
+    distance: distance / len,
+  };
+}
+
+/**
+ * Creates a plane through a point with the given normal.
+ * @param {vec3} point - A point on the plane.
+ * @param {vec3} normal - The normal of the plane.
+ * @returns {{normal: vec3, distance: number}} The plane.
+ */
+function planeFromPointNormal(point, normal) {
+  var n = normal.slice(0, 3);
+  return plane(n, -dotProduct(n, point.slice(0, 3)));
+}
+
+/**
+ * Creates the plane through three points. The normal faces the side from which
+ * the points appear counter-clockwise, matching WebGL's default front faces.
+ * @param {vec3} a - The first point.
+ * @param {vec3} b - The second point.
+ * @param {vec3} c - The third point.
+ * @returns {{normal: vec3, distance: number}} The plane.
+ */
+function planeFromPoints(a, b, c) {
+  var normal = crossProduct(linearSubtract(b.slice(0, 3), a.slice(0, 3)), linearSubtract(c.slice(0, 3), a.slice(0, 3)));
+  return planeFromPointNormal(a, normal);
+}
+
+/**
+ * Calculates the signed distance from a plane to a point. Positive distances
+ * are in front of the plane.
+ * @param {{normal: vec3, distance: number}} p - The plane.
+ * @param {vec3} point - The point.
+ * @returns {number} The signed distance.
+ */
+function signedDistanceToPlane(p, point) {
+  return dotProduct(p.normal, point.slice(0, 3)) + p.distance;
+}
+
+/**
+ * Creates an axis-aligned bounding box. The corners are sorted, so any two
+ * opposite corners may be given.
+ * @param {vec3} min - One corner of the box.
+ * @param {vec3} max - The opposite corner of the box.
+ * @returns {{min: vec3, max: vec3}} The box.
+ */
+function aabb(min, max) {
+  return {
+    min: vec3(Math.min(min[0], max[0]), Math.min(min[1], max[1]), Math.min(min[2], max[2])),
+    max: vec3(Math.max(min[0], max[0]), Math.max(min[1], max[1]), Math.max(min[2], max[2])),
+  };
+}
+
+/**
+ * Creates a sphere.
+ * @param {vec3} center - The center of the sphere.
+ * @param {number} radius - The radius of the sphere.
+ * @returns {{center: vec3, radius: number}} The sphere.
+ */
+function sphere(center, radius) {
+  if (!(radius >= 0)) {
+    return reportError(new InvalidArgumentError("sphere", "Radius must not be negative."));
+  }
+
+  return {
+    center: vec3(center[0], center[1], center[2]),
+    radius: radius,
+  };
+}
+
+/**
+ * Creates a triangle. vec4 vertices, such as those in cube.js, are accepted and
+ * their w components dropped.
+ * @param {vec3} a - The first vertex.
+ * @param {vec3} b - The second vertex.
+ * @param {vec3} c - The third vertex.
+ * @returns {{a: vec3, b: vec3, c: vec3}} The triangle.
+ */
+function triangle(a, b, c) {
+  return {
+    a: vec3(a[0], a[1], a[2]),
+    b: vec3(b[0], b[1], b[2]),
+    c: vec3(c[0], c[1], c[2]),
+  };
+}
+
+// ##################### INTERSECTIONS ####################
+
+// Each ray test returns null on a miss, and otherwise an object with the
+// distance along the ray to the hit and the hit point. Hits behind the origin
+// of the ray are misses.
+
+/**
+ * Tolerance used by the intersection tests to treat a ray as parallel to a
+ * plane or triangle.
+ * @type {number}
+ */
+var intersectionEpsilon = 1e-10;
+
+/**
+ * Intersects a ray with a plane.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {{normal: vec3, distance: number}} p - The plane.
+ * @returns {{distance: number, point: vec3}|null} The hit, or null on a miss.
+ */
+function intersectRayPlane(r, p) {
+  var denominator = dotProduct(p.normal, r.direction);
+
+  if (Math.abs(denominator) < intersectionEpsilon) {
+    return null;
+  }
+
+  var t = -signedDistanceToPlane(p, r.origin) / denominator;
+
+  if (t < 0) {
+    return null;
+  }
+
+  return { distance: t, point: pointOnRay(r, t) };
+}
+
+/**
+ * Intersects a ray with a sphere. If the ray starts inside the sphere, the
+ * point where it leaves is returned.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {{center: vec3, radius: number}} s - The sphere.
+ * @returns {{distance: number, point: vec3, normal: vec3}|null} The hit, with the outward surface normal, or null on a miss.
+ */
+function intersectRaySphere(r, s) {
+  var offset = linearSubtract(r.origin, s.center);
+  var b = dotProduct(offset, r.direction);
+  var c = dotProduct(offset, offset) - s.radius * s.radius;
+
+  // The origin is outside the sphere and the ray points away from it.
+  if (c > 0 && b > 0) {
+    return null;
+  }
+
+  var discriminant = b * b - c;
+
+  if (discriminant < 0) {
+    return null;
+  }
+
+  var t = -b - Math.sqrt(discriminant);
+
+  if (t < 0) {
+    t = -b + Math.sqrt(discriminant);
+  }
+
+  var point = pointOnRay(r, t);
+  var normal = s.radius > 0 ? linearScale(1.0 / s.radius, linearSubtract(point, s.center)) : negateElements(r.direction);
+
+  return { distance: t, point: point, normal: normal };
+}
+
+/**
+ * Intersects a ray with an axis-aligned bounding box using the slab method. If
+ * the ray starts inside the box, the hit distance is 0.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {{min: vec3, max: vec3}} box - The box.
+ * @returns {{distance: number, point: vec3, exitDistance: number}|null} The hit, with the distance at which the ray leaves the box, or null on a miss.
+ */
+function intersectRayAABB(r, box) {
+  var tMin = 0.0;
+  var tMax = Infinity;
+
+  for (var i = 0; i < 3; ++i) {
+    if (Math.abs(r.direction[i]) < intersectionEpsilon) {
+      // Parallel to this slab: a miss unless the origin is between its planes.
+      if (r.origin[i] < box.min[i] || r.origin[i] > box.max[i]) {
+        return null;
+      }
+    } else {
+      var t1 = (box.min[i] - r.origin[i]) / r.direction[i];
+      var t2 = (box.max[i] - r.origin[i]) / r.direction[i];
+
+      tMin = Math.max(tMin, Math.min(t1, t2));
+      tMax = Math.min(tMax, Math.max(t1, t2));
+
+      if (tMin > tMax) {
+        return null;
+      }
+    }
+  }
+
+  return { distance: tMin, point: pointOnRay(r, tMin), exitDistance: tMax };
+}
+
+/**
+ * Intersects a ray with a triangle using the Möller-Trumbore algorithm.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {{a: vec3, b: vec3, c: vec3}} tri - The triangle.
+ * @param {boolean} [cullBackFaces=false] - Whether to ignore triangles whose vertices appear clockwise from the ray origin.
+ * @returns {{distance: number, point: vec3, barycentric: vec3}|null} The hit, with the barycentric weights of vertices a, b and c at the hit point, or null on a miss.
+ */
+function intersectRayTriangle(r, tri, cullBackFaces) {
+  var edge1 = linearSubtract(tri.b, tri.a);
+  var edge2 = linearSubtract(tri.c, tri.a);
+  var p = crossProduct(r.direction, edge2);
+  var determinant = dotProduct(edge1, p);
+
+  if (cullBackFaces ? determinant < intersectionEpsilon : Math.abs(determinant) < intersectionEpsilon) {
+    return null;
+  }
+
+  var inverseDeterminant = 1.0 / determinant;
+  var offset = linearSubtract(r.origin, tri.a);
+
+  var u = dotProduct(offset, p) * inverseDeterminant;
+  if (u < 0.0 || u > 1.0) {
+    return null;
+  }
+
+  var q = crossProduct(offset, edge1);
+
+  var v = dotProduct(r.direction, q) * inverseDeterminant;
+  if (v < 0.0 || u + v > 1.0) {
+    return null;
+  }
+
+  var t = dotProduct(edge2, q) * inverseDeterminant;
+  if (t < 0) {
+    return null;
+  }
+
+  return {
+    distance: t,
+    point: pointOnRay(r, t),
+    barycentric: vec3(1.0 - u - v, u, v),
+  };
+}
+
+/**
+ * Calculates the barycentric weights of a point with respect to a triangle.
+ * Points off the triangle's plane are projected onto it first. The weights
+ * sum to 1 and are all between 0 and 1 exactly when the point is inside.
+ * @param {{a: vec3, b: vec3, c: vec3}} tri - The triangle.
+ * @param {vec3} point - The point.
+ * @returns {vec3|null} The weights of vertices a, b and c, or null if the triangle is degenerate.
+ */
+function barycentricCoordinates(tri, point) {
+  var v0 = linearSubtract(tri.b, tri.a);
+  var v1 = linearSubtract(tri.c, tri.a);
+  var v2 = linearSubtract(point.slice(0, 3), tri.a);
+
+  var d00 = dotProduct(v0, v0);
+  var d01 = dotProduct(v0, v1);
+  var d11 = dotProduct(v1, v1);
+  var d20 = dotProduct(v2, v0);
+  var d21 = dotProduct(v2, v1);
+  var denominator = d00 * d11 - d01 * d01;
+
+  if (Math.abs(denominator) < intersectionEpsilon) {
+    return null;
+  }
+
+  var v = (d11 * d20 - d01 * d21) / denominator;
+  var w = (d00 * d21 - d01 * d20) / denominator;
+
+  return vec3(1.0 - v - w, v, w);
+}
+
+/**
+ * Checks whether a point lies inside a triangle, after projecting it onto the
+ * triangle's plane. Points on an edge count as inside.
+ * @param {{a: vec3, b: vec3, c: vec3}} tri - The triangle.
+ * @param {vec3} point - The point.
+ * @returns {boolean} True if the point is inside the triangle.
+ */
+function pointInTriangle(tri, point) {
+  var weights = barycentricCoordinates(tri, point);
+
+  return weights !== null && weights[0] >= 0 && weights[1] >= 0 && weights[2] >= 0;
+}
+
+// ##################### CLOSEST POINTS ####################
+
+/**
+ * Finds the point on a ray closest to the given point.
+ * @param {{origin: vec3, direction: vec3}} r - The ray.
+ * @param {vec3} point - The point.
+ * @returns {vec3} The closest point on the ray.
+ */
+function closestPointOnRay(r, point) {
+  var t = Math.max(0.0, dotProduct(linearSubtract(point.slice(0, 3), r.origin), r.direction));
+  return pointOnRay(r, t);
+}
+
+/**
+ * Finds the point on a line segment closest to the given point.
+ * @param {vec3} a - The start of the segment.
+ * @param {vec3} b - The end of the segment.
+ * @param {vec3} point - The point.
+ * @returns {vec3} The closest point on the segment.
+ */
+function closestPointOnSegment(a, b, point) {
+  var ab = linearSubtract(b.slice(0, 3), a.slice(0, 3));
+  var lengthSquared = dotProduct(ab, ab);
+
+  if (lengthSquared == 0) {
+    return vec3(a[0], a[1], a[2]);
+  }
+
+  var t = dotProduct(linearSubtract(point.slice(0, 3), a.slice(0, 3)), ab) / lengthSquared;
+
+  return mixVectors(a.slice(0, 3), b.slice(0, 3), Math.min(Math.max(t, 0.0), 1.0));
+}
+
+/**
+ * Finds the point on a plane closest to the given point.
+ * @param {{normal: vec3, distance: number}} p - The plane.
+ * @param {vec3} point - The point.
+ * @returns {vec3} The closest point on the plane.
+ */
+function closestPointOnPlane(p, point) {
+  return linearSubtract(point.slice(0, 3), linearScale(signedDistanceToPlane(p, point), p.normal));
+}
+
+/**
+ * Finds the point in or on an axis-aligned bounding box closest to the given
+ * point. Points inside the box are returned unchanged.
+ * @param {{min: vec3, max: vec3}} box - The box.
+ * @param {vec3} point - The point.
+ * @returns {vec3} The closest point.
+ */
+function closestPointOnAABB(box, point) {
+  return vec3(
+    Math.min(Math.max(point[0], box.min[0]), box.max[0]),
+    Math.min(Math.max(point[1], box.min[1]), box.max[1]),
+    Math.min(Math.max(point[2], box.min[2]), box.max[2])
+  );
+}
+
+/**
+ * Finds the point on the surface of a sphere closest to the given point.
+ * @param {{center: vec3, radius: number}} s - The sphere.
+ * @param {vec3} point - The point.
+ * @returns {vec3} The closest point on the sphere. For the exact center, an arbitrary surface point is returned.
+ */
+function closestPointOnSphere(s, point) {
+  var offset = linearSubtract(point.slice(0, 3), s.center);
+  var len = vectorLength(offset);
+
+  if (len == 0) {
+    return linearAddition(s.center, vec3(s.radius, 0.0, 0.0));
+  }
+
+  return linearAddition(s.center, linearScale(s.radius / len, offset));
+}
+
+/**
+ * Finds the point on a triangle closest to the given point, by checking which
+ * vertex, edge or face region the point projects into.
+ * @param {{a: vec3, b: vec3, c: vec3}} tri - The triangle.
+ * @param {vec3} point - The point.
+ * @returns {{point: vec3, barycentric: vec3}} The closest point and its barycentric weights.
+ */
+function closestPointOnTriangle(tri, point) {
+  var p = point.slice(0, 3);
+  var ab = linearSubtract(tri.b, tri.a);
+  var ac = linearSubtract(tri.c, tri.a);
+
+  var result = function (u, v, w) {
+    return {
+      point: linearAddition(
+        linearAddition(linearScale(u, tri.a), linearScale(v, tri.b)),
+        linearScale(w, tri.c)
+      ),
+      barycentric: vec3(u, v, w),
+    };
+  };
+
+  // Vertex region A.
+  var ap = linearSubtract(p, tri.a);
+  var d1 = dotProduct(ab, ap);
+  var d2 = dotProduct(ac, ap);
+  if (d1 <= 0 && d2 <= 0) {
+    return result(1.0, 0.0, 0.0);
+  }
+
+  // Vertex region B.
+  var bp = linearSubtract(p, tri.b);
+  var d3 = dotProduct(ab, bp);
+  var d4 = dotProduct(ac, bp);
+  if (d3 >= 0 && d4 <= d3) {
+    return result(0.0, 1.0, 0.0);
+  }
+
+  // Edge region AB.
+  var vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+    var v = d1 / (d1 - d3);
+    return result(1.0 - v, v, 0.0);
+  }
+
+  // Vertex region C.
+  var cp = linearSubtract(p, tri.c);
+  var d5 = dotProduct(ab, cp);
+  var d6 = dotProduct(ac, cp);
+  if (d6 >= 0 && d5 <= d6) {
+    return result(0.0, 0.0, 1.0);
+  }
+
+  // Edge region AC.
+  var vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+    var w = d2 / (d2 - d6);
+    return result(1.0 - w, 0.0, w);
+  }
+
+  // Edge region BC.
+  var va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    var w = (d4 - d3) / (d4 - d3 + (d5 - d6));
+    return result(0.0, 1.0 - w, w);
+  }
+
+  // Face region.
+  var denominator = 1.0 / (va + vb + vc);
+  var v = vb * denominator;
+  var w = vc * denominator;
+  return result(1.0 - v - w, v, w);
+}
+
+// ##################### BOUNDING VOLUMES ####################
+
+/**
+ * Calls a function with the x, y and z components of each vertex in an array.
+ * Vertices may be given as an array of vec3/vec4 arrays (like the points array
+ * in cube.js), or as a flat array of numbers such as a Float32Array.
+ * @param {Array|Float32Array} vertices - The vertices.
+ * @param {number} [stride=3] - For flat arrays, the number of components from one vertex to the next.
+ * @param {number} [offset=0] - For flat arrays, the index of the first vertex's x component.
+ * @param {function(number, number, number)} callback - The function to call for each vertex.
+ */
+function forEachVertex(vertices, stride, offset, callback) {
+  if (vertices.length > 0 && Array.isArray(vertices[0])) {
+    for (var i = 0; i < vertices.length; ++i) {
+      callback(vertices[i][0], vertices[i][1], vertices[i][2]);
+    }
+    return;
+  }
+
+  stride = stride || 3;
+  offset = offset || 0;
+
+  for (var i = offset; i + 2 < vertices.length; i += stride) {
+    callback(vertices[i], vertices[i + 1], vertices[i + 2]);
+  }
+}
+
+/**
+ * Computes the axis-aligned bounding box of a set of vertices.
+ * @param {Array|Float32Array} vertices - The vertices. See forEachVertex().
+ * @param {number} [stride=3] - For flat arrays, the number of components from one vertex to the next.
+ * @param {number} [offset=0] - For flat arrays, the index of the first vertex's x component.
+ * @returns {{min: vec3, max: vec3}|null} The bounding box, or null if there are no vertices.
+ */
+function computeAABB(vertices, stride, offset) {
+  var min = vec3(Infinity, Infinity, Infinity);
+  var max = vec3(-Infinity, -Infinity, -Infinity);
+
+  forEachVertex(vertices, stride, offset, function (x, y, z) {
+    min[0] = Math.min(min[0], x);
+    min[1] = Math.min(min[1], y);
+    min[2] = Math.min(min[2], z);
+    max[0] = Math.max(max[0], x);
+    max[1] = Math.max(max[1], y);
+    max[2] = Math.max(max[2], z);
+  });
+
+  if (min[0] > max[0]) {
+    return null;
+  }
+
+  return aabb(min, max);
+}
+
+/**
+ * Computes a bounding sphere of a set of vertices, centered on their bounding
+ * box. This is not the smallest possible sphere, but is never more than a
+ * little larger and only takes two passes over the vertices.
+ * @param {Array|Float32Array} vertices - The vertices. See forEachVertex().
+ * @param {number} [stride=3] - For flat arrays, the number of components from one vertex to the next.
+ * @param {number} [offset=0] - For flat arrays, the index of the first vertex's x component.
+ * @returns {{center: vec3, radius: number}|null} The bounding sphere, or null if there are no vertices.
+ */
+function computeBoundingSphere(vertices, stride, offset) {
+  var box = computeAABB(vertices, stride, offset);
+
+  if (!box) {
+    return null;
+  }
+
+  var center = linearScale(0.5, linearAddition(box.min, box.max));
+  var radiusSquared = 0.0;
+
+  forEachVertex(vertices, stride, offset, function (x, y, z) {
+    var dx = x - center[0];
+    var dy = y - center[1];
+    var dz = z - center[2];
+    radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+  });
+
+  return sphere(center, Math.sqrt(radiusSquared));
+}
+
+/**
+ * Transforms an axis-aligned bounding box by an affine matrix, returning the
+ * axis-aligned box that encloses the transformed box (Arvo's method).
+ * @param {{min: vec3, max: vec3}} box - The box.
+ * @param {mat4} m - The affine transformation, such as a model matrix.
+ * @returns {{min: vec3, max: vec3}} The transformed box.
+ */
+function transformAABB(box, m) {
+  var min = vec3(m[0][3], m[1][3], m[2][3]);
+  var max = vec3(m[0][3], m[1][3], m[2][3]);
+
+  for (var i = 0; i < 3; ++i) {
+    for (var j = 0; j < 3; ++j) {
+      var a = m[i][j] * box.min[j];
+      var b = m[i][j] * box.max[j];
+      min[i] += Math.min(a, b);
+      max[i] += Math.max(a, b);
+    }
+  }
+
+  return aabb(min, max);
+}
+
+/**
+ * Transforms a bounding sphere by an affine matrix. Under non-uniform scale
+ * the radius grows by the largest scale factor, so the result still encloses
+ * the transformed contents.
+ * @param {{center: vec3, radius: number}} s - The sphere.
+ * @param {mat4} m - The affine transformation, such as a model matrix.
+ * @returns {{center: vec3, radius: number}} The transformed sphere.
+ */
+function transformSphere(s, m) {
+  var center = linearMultiply(m, vec4(s.center, 1.0));
+  var largestScale = 0.0;
+
+  for (var j = 0; j < 3; ++j) {
+    largestScale = Math.max(largestScale, vectorLength(vec3(m[0][j], m[1][j], m[2][j])));
+  }
+
+  return sphere(vec3(center[0], center[1], center[2]), s.radius * largestScale);
+}
+
+// ##################### FRUSTUM CULLING ####################
+
+/**
+ * Extracts the clipping planes of the view frustum from a combined
+ * projection * view matrix (the Gribb-Hartmann method). Each plane's normal
+ * points into the frustum. With a projection matrix alone the planes are in
+ * view space; with projection * view they are in world space.
+ * @param {mat4} m - The projection matrix, or projection * view.
+ * @returns {Array<{normal: vec3, distance: number}>} The left, right, bottom, top, near and far planes, in that order. The far plane is omitted for projections with an infinite far plane.
+ */
+function extractFrustumPlanes(m) {
+  if (!m.matrix || m.length != 4) {
+    return reportError(new NonMatrixError("extractFrustumPlanes", "Variable is not a mat4.", [m]));
+  }
+
+  var planes = [];
+
+  // Each plane is the bottom row of m plus or minus one of the other rows.
+  for (var row = 0; row < 3; ++row) {
+    for (var sign = 1; sign >= -1; sign -= 2) {
+      var coefficients = [];
+      for (var j = 0; j < 4; ++j) {
+        coefficients.push(m[3][j] + sign * m[row][j]);
+      }
+
+      if (vectorLength(coefficients.slice(0, 3)) > intersectionEpsilon) {
+        planes.push(plane(coefficients.slice(0, 3), coefficients[3]));
+      }
+    }
+  }
+
+  return planes;
+}
+
+/**
+ * Checks whether a point is inside the frustum.
+ * @param {Array<{normal: vec3, distance: number}>} planes - The frustum planes. See extractFrustumPlanes().
+ * @param {vec3} point - The point.
+ * @returns {boolean} True if the point is inside.
+ */
+function frustumContainsPoint(planes, point) {
+  for (var i = 0; i < planes.length; ++i) {
+    if (signedDistanceToPlane(planes[i], point) < 0) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether a sphere is at least partially inside the frustum. Large
+ * spheres just outside a corner of the frustum may be reported as inside,
+ * which only costs a wasted draw call.
+ * @param {Array<{normal: vec3, distance: number}>} planes - The frustum planes. See extractFrustumPlanes().
+ * @param {{center: vec3, radius: number}} s - The sphere.
+ * @returns {boolean} True unless the sphere is entirely outside.
+ */
+function frustumIntersectsSphere(planes, s) {
+  for (var i = 0; i < planes.length; ++i) {
+    if (signedDistanceToPlane(planes[i], s.center) < -s.radius) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether an axis-aligned bounding box is at least partially inside the
+ * frustum, by testing the corner of the box furthest along each plane normal.
+ * @param {Array<{normal: vec3, distance: number}>} planes - The frustum planes. See extractFrustumPlanes().
+ * @param {{min: vec3, max: vec3}} box - The box.
+ * @returns {boolean} True unless the box is entirely outside.
+ */
+function frustumIntersectsAABB(planes, box) {
+  for (var i = 0; i < planes.length; ++i) {
+    var n = planes[i].normal;
+    var corner = vec3(
+      n[0] >= 0 ? box.max[0] : box.min[0],
+      n[1] >= 0 ? box.max[1] : box.min[1],
+      n[2] >= 0 ? box.max[2] : box.min[2]
+    );
+
+    if (signedDistanceToPlane(planes[i], corner) < 0) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Tests objects against the view frustum and keeps count of how many were
+ * culled. Call update() once per frame with the current matrices, then
+ * isVisible() for each object before drawing it.
+ *
+ * @example
+ * var culler = new FrustumCuller();
+ * var bounds = computeBoundingSphere(points);
+ *
+ * function render() {
+ *   culler.update(projection, view);
+ *   for (var i = 0; i < models.length; ++i) {
+ *     if (culler.isVisible(bounds, models[i])) {
+ *       gl.drawArrays(gl.TRIANGLES, 0, NumVertices);
+ *     }
+ *   }
+ *   console.log(culler.statistics.culled + " objects culled");
+ * }
+ */
+class FrustumCuller {
+  constructor() {
+    this.planes = [];
+    this.resetStatistics();
+  }
+
+  /**
+   * Extracts the frustum planes for this frame and resets the statistics.
+   * @param {mat4} projection - The projection matrix.
+   * @param {mat4} [view] - The view matrix. If omitted, bounds are expected in view space.
+   * @returns {FrustumCuller} This culler, for chaining.
+   */
+  update(projection, view) {
+    this.planes = extractFrustumPlanes(view ? linearMultiply(projection, view) : projection) || [];
+    this.resetStatistics();
+    return this;
+  }
+
+  /**
+   * Clears the counts of tested, visible and culled objects.
+   */
+  resetStatistics() {
+    this.tested = 0;
+    this.visible = 0;
+    this.culled = 0;
+  }
+
+  /**
+   * Counts of the objects tested since the last update() or resetStatistics().
+   * @type {{tested: number, visible: number, culled: number, culledPercentage: number}}
+   */
+  get statistics() {
+    return {
+      tested: this.tested,
+      visible: this.visible,
+      culled: this.culled,
+      culledPercentage: this.tested == 0 ? 0 : (100 * this.culled) / this.tested,
+    };
+  }
+
+  /**
+   * Checks whether an object could be visible, and counts the result.
+   * @param {{center: vec3, radius: number}|{min: vec3, max: vec3}} bounds - The bounding sphere or box of the object in model space.
+   * @param {mat4} [model] - The model matrix of the object. If omitted, bounds are already in world space.
+   * @returns {boolean} False if the object is entirely outside the frustum and can be skipped.
+   */
+  isVisible(bounds, model) {
+    var visible;
+
+    if (bounds.radius !== undefined) {
+      visible = frustumIntersectsSphere(this.planes, model ? transformSphere(bounds, model) : bounds);
+    } else {
+      visible = frustumIntersectsAABB(this.planes, model ? transformAABB(bounds, model) : bounds);
+    }
+
+    this.tested++;
+
+    if (visible) {
+      this.visible++;
+    } else {
+      this.culled++;
+    }
+
+    return visible;
+  }
+}
+
+// ##################### CURVE SEGMENTS ####################
+
+// Each function below evaluates a single curve segment at a local parameter
+// t in [0, 1]. Points may be vec2 or vec3 (or any matching length), and the
+// result has the same length as the control points.
+
+/**
+ * Sums a list of points scaled by a list of weights.
+ * @param {Array<Array>} points - The points.
+ * @param {Array<number>} weights - One weight per point.
+ * @returns {Array} The weighted sum.
+ */
+function weightedPointSum(points, weights) {
+  var result = [];
+
+  for (var i = 0; i < points[0].length; ++i) {
+    var sum = 0.0;
+    for (var j = 0; j < points.length; ++j) {
+      sum += weights[j] * points[j][i];
+    }
+    result.push(sum);
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates a Bezier curve of any degree using de Casteljau's algorithm.
+ * @param {Array<Array>} points - The control points. n + 1 points give a curve of degree n.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function bezierPoint(points, t) {
+  if (!Array.isArray(points) || points.length == 0) {
+    return reportError(new InvalidArgumentError("bezierPoint", "At least one control point is required.", [points]));
+  }
+
+  var work = points.map(function (p) { return p.slice(); });
+
+  for (var n = work.length - 1; n > 0; --n) {
+    for (var i = 0; i < n; ++i) {
+      for (var j = 0; j < work[i].length; ++j) {
+        work[i][j] = (1.0 - t) * work[i][j] + t * work[i + 1][j];
+      }
+    }
+  }
+
+  return work[0];
+}
+
+/**
+ * Evaluates the derivative of a Bezier curve of any degree.
+ * @param {Array<Array>} points - The control points.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The derivative (tangent) of the curve.
+ */
+function bezierDerivative(points, t) {
+  if (!Array.isArray(points) || points.length == 0) {
+    return reportError(new InvalidArgumentError("bezierDerivative", "At least one control point is required.", [points]));
+  }
+
+  var n = points.length - 1;
+
+  if (n == 0) {
+    return points[0].map(function () { return 0.0; });
+  }
+
+  var differences = [];
+  for (var i = 0; i < n; ++i) {
+    differences.push(linearScale(n, linearSubtract(points[i + 1], points[i])));
+  }
+
+  return bezierPoint(differences, t);
+}
+
+/**
+ * Evaluates a quadratic Bezier curve.
+ * @param {Array} p0 - The start point.
+ * @param {Array} p1 - The control point.
+ * @param {Array} p2 - The end point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function quadraticBezierPoint(p0, p1, p2, t) {
+  var s = 1.0 - t;
+  return weightedPointSum([p0, p1, p2], [s * s, 2.0 * s * t, t * t]);
+}
+
+/**
+ * Evaluates a cubic Bezier curve.
+ * @param {Array} p0 - The start point.
+ * @param {Array} p1 - The first control point.
+ * @param {Array} p2 - The second control point.
+ * @param {Array} p3 - The end point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function cubicBezierPoint(p0, p1, p2, p3, t) {
+  var s = 1.0 - t;
+  return weightedPointSum([p0, p1, p2, p3], [s * s * s, 3.0 * s * s * t, 3.0 * s * t * t, t * t * t]);
+}
+
+/**
+ * Evaluates a cubic Hermite segment.
+ * @param {Array} p0 - The start point.
+ * @param {Array} m0 - The tangent at the start point.
+ * @param {Array} p1 - The end point.
+ * @param {Array} m1 - The tangent at the end point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function hermitePoint(p0, m0, p1, m1, t) {
+  var t2 = t * t;
+  var t3 = t2 * t;
+
+  return weightedPointSum([p0, m0, p1, m1], [
+    2.0 * t3 - 3.0 * t2 + 1.0,
+    t3 - 2.0 * t2 + t,
+    -2.0 * t3 + 3.0 * t2,
+    t3 - t2,
+  ]);
+}
+
+/**
+ * Evaluates the derivative of a cubic Hermite segment.
+ * @param {Array} p0 - The start point.
+ * @param {Array} m0 - The tangent at the start point.
+ * @param {Array} p1 - The end point.
+ * @param {Array} m1 - The tangent at the end point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The derivative (tangent) of the curve.
+ */
+function hermiteDerivative(p0, m0, p1, m1, t) {
+  var t2 = t * t;
+
+  return weightedPointSum([p0, m0, p1, m1], [
+    6.0 * t2 - 6.0 * t,
+    3.0 * t2 - 4.0 * t + 1.0,
+    -6.0 * t2 + 6.0 * t,
+    3.0 * t2 - 2.0 * t,
+  ]);
+}
+
+/**
+ * Evaluates a uniform Catmull-Rom segment, which passes through p1 and p2.
+ * @param {Array} p0 - The point before the segment.
+ * @param {Array} p1 - The start point.
+ * @param {Array} p2 - The end point.
+ * @param {Array} p3 - The point after the segment.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function catmullRomPoint(p0, p1, p2, p3, t) {
+  var m1 = linearScale(0.5, linearSubtract(p2, p0));
+  var m2 = linearScale(0.5, linearSubtract(p3, p1));
+  return hermitePoint(p1, m1, p2, m2, t);
+}
+
+/**
+ * Evaluates the derivative of a uniform Catmull-Rom segment.
+ * @param {Array} p0 - The point before the segment.
+ * @param {Array} p1 - The start point.
+ * @param {Array} p2 - The end point.
+ * @param {Array} p3 - The point after the segment.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The derivative (tangent) of the curve.
+ */
+function catmullRomDerivative(p0, p1, p2, p3, t) {
+  var m1 = linearScale(0.5, linearSubtract(p2, p0));
+  var m2 = linearScale(0.5, linearSubtract(p3, p1));
+  return hermiteDerivative(p1, m1, p2, m2, t);
+}
+
+/**
+ * Evaluates a uniform cubic B-spline segment. The curve is smooth but does
+ * not pass through its control points.
+ * @param {Array} p0 - The first control point.
+ * @param {Array} p1 - The second control point.
+ * @param {Array} p2 - The third control point.
+ * @param {Array} p3 - The fourth control point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The point on the curve.
+ */
+function bSplinePoint(p0, p1, p2, p3, t) {
+  var s = 1.0 - t;
+  var t2 = t * t;
+  var t3 = t2 * t;
+
+  return weightedPointSum([p0, p1, p2, p3], [
+    (s * s * s) / 6.0,
+    (3.0 * t3 - 6.0 * t2 + 4.0) / 6.0,
+    (-3.0 * t3 + 3.0 * t2 + 3.0 * t + 1.0) / 6.0,
+    t3 / 6.0,
+  ]);
+}
+
+/**
+ * Evaluates the derivative of a uniform cubic B-spline segment.
+ * @param {Array} p0 - The first control point.
+ * @param {Array} p1 - The second control point.
+ * @param {Array} p2 - The third control point.
+ * @param {Array} p3 - The fourth control point.
+ * @param {number} t - The curve parameter, from 0 to 1.
+ * @returns {Array} The derivative (tangent) of the curve.
+ */
+function bSplineDerivative(p0, p1, p2, p3, t) {
+  var s = 1.0 - t;
+  var t2 = t * t;
+
+  return weightedPointSum([p0, p1, p2, p3], [
+    -0.5 * s * s,
+    1.5 * t2 - 2.0 * t,
+    -1.5 * t2 + t + 0.5,
+    0.5 * t2,
+  ]);
+}
+
+// ##################### SPLINES ####################
+
+// A spline is a plain object describing a whole path through a list of
+// control points. Its parameter t runs from 0 to 1 over the entire path, with
+// every segment taking an equal share; use the arc-length functions when
+// motion along the path should have constant speed.
+
+/**
+ * Creates a spline.
+ * @param {string} type - One of "bezier", "catmull-rom", "hermite" or "b-spline".
+ * @param {Array<Array>} points - The control points, all vec2 or all vec3.
+ * @param {Object} [options] - Additional options.
+ * @param {Array<Array>} [options.tangents] - The tangent at each point (required for "hermite").
+ * @param {boolean} [options.closed=false] - Whether a "catmull-rom" or "b-spline" path loops back to its first point.
+ * @returns {{type: string, points: Array<Array>, tangents: Array<Array>, closed: boolean, segments: number, dimension: number}} The spline.
+ */
+function spline(type, points, options) {
+  options = options || {};
+
+  if (!Array.isArray(points) || points.length == 0) {
+    return reportError(new InvalidArgumentError("spline", "At least one control point is required.", [points]));
+  }
+
+  var dimension = points[0].length;
+
+  for (var i = 1; i < points.length; ++i) {
+    if (points[i].length != dimension) {
+      return reportError(new DimensionMismatchError("spline", "Control points are not the same dimension.", points));
+    }
+  }
+
+  var closed = !!options.closed;
+  var tangents = null;
+  var segments;
+
+  switch (type) {
+    case "bezier":
+      segments = 1;
+      closed = false;
+      break;
+    case "catmull-rom":
+      if (points.length < 2) {
+        return reportError(new InvalidArgumentError("spline", "A Catmull-Rom spline needs at least 2 points.", [points]));
+      }
+      segments = closed ? points.length : points.length - 1;
+      break;
+    case "hermite":
+      tangents = options.tangents;
+      if (!Array.isArray(tangents) || tangents.length != points.length) {
+        return reportError(new InvalidArgumentError("spline", "A Hermite spline needs one tangent per point.", [points, tangents]));
+      }
+      if (points.length < 2) {
+        return reportError(new InvalidArgumentError("spline", "A Hermite spline needs at least 2 points.", [points]));
+      }
+      segments = points.length - 1;
+      closed = false;
+      break;
+    case "b-spline":
+      if (points.length < 4) {
+        return reportError(new InvalidArgumentError("spline", "A B-spline needs at least 4 points.", [points]));
+      }
+      segments = closed ? points.length : points.length - 3;
+      break;
+    default:
+      return reportError(new InvalidArgumentError("spline", "Unknown spline type \"" + type + "\".", [type]));
+  }
+
+  return {
+    type: type,
+    points: points,
+    tangents: tangents,
+    closed: closed,
+    segments: segments,
+    dimension: dimension,
+  };
+}
+
+/**
+ * Finds which segment of a spline a parameter falls in.
+ * @param {Object} s - The spline.
+ * @param {number} t - The spline parameter, from 0 to 1.
+ * @returns {{index: number, t: number}} The segment index and the parameter within that segment.
+ */
+function splineSegmentAt(s, t) {
+  var scaled = Math.min(Math.max(t, 0.0), 1.0) * s.segments;
+  var index = Math.min(Math.floor(scaled), s.segments - 1);
+
+  return { index: index, t: scaled - index };
+}
+
+/**
+ * Returns the four control points that shape one segment of a Catmull-Rom or
+ * B-spline, wrapping around closed paths and repeating the end points of open ones.
+ * @param {Object} s - The spline.
+ * @param {number} index - The segment index.
+ * @returns {Array<Array>} The four control points.
+ */
+function splineSegmentPoints(s, index) {
+  var n = s.points.length;
+  var first = s.type == "catmull-rom" ? index - 1 : index;
+  var result = [];
+
+  for (var i = first; i < first + 4; ++i) {
+    var k = s.closed ? ((i % n) + n) % n : Math.min(Math.max(i, 0), n - 1);
+    result.push(s.points[k]);
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates a point on a spline.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} t - The spline parameter, from 0 to 1.
+ * @returns {Array} The point on the spline.
+ */
+function splinePoint(s, t) {
+  if (s.type == "bezier") {
+    return bezierPoint(s.points, Math.min(Math.max(t, 0.0), 1.0));
+  }
+
+  var segment = splineSegmentAt(s, t);
+
+  if (s.type == "hermite") {
+    var i = segment.index;
+    return hermitePoint(s.points[i], s.tangents[i], s.points[i + 1], s.tangents[i + 1], segment.t);
+  }
+
+  var p = splineSegmentPoints(s, segment.index);
+
+  if (s.type == "catmull-rom") {
+    return catmullRomPoint(p[0], p[1], p[2], p[3], segment.t);
+  }
+
+  return bSplinePoint(p[0], p[1], p[2], p[3], segment.t);
+}
+
+/**
+ * Evaluates the derivative of a spline with respect to its parameter.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} t - The spline parameter, from 0 to 1.
+ * @returns {Array} The derivative (tangent) of the spline.
+ */
+function splineDerivative(s, t) {
+  if (s.type == "bezier") {
+    return bezierDerivative(s.points, Math.min(Math.max(t, 0.0), 1.0));
+  }
+
+  var segment = splineSegmentAt(s, t);
+  var d;
+
+  if (s.type == "hermite") {
+    var i = segment.index;
+    d = hermiteDerivative(s.points[i], s.tangents[i], s.points[i + 1], s.tangents[i + 1], segment.t);
+  } else {
+    var p = splineSegmentPoints(s, segment.index);
+    if (s.type == "catmull-rom") {
+      d = catmullRomDerivative(p[0], p[1], p[2], p[3], segment.t);
+    } else {
+      d = bSplineDerivative(p[0], p[1], p[2], p[3], segment.t);
+    }
+  }
+
+  // Each segment only covers 1 / segments of the spline parameter.
+  return linearScale(s.segments, d);
+}
+
+/**
+ * Returns the unit tangent of a spline, or a zero vector where the spline
+ * does not move (for example at a repeated control point).
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} t - The spline parameter, from 0 to 1.
+ * @returns {Array} The unit tangent.
+ */
+function splineTangent(s, t) {
+  var d = splineDerivative(s, t);
+
+  if (approximatelyEqual(vectorLength(d), 0.0)) {
+    return d.map(function () { return 0.0; });
+  }
+
+  return normalizeVectors(d);
+}
+
+// ##################### ARC LENGTH ####################
+
+/**
+ * Builds (and caches on the spline) a table mapping the spline parameter to
+ * the distance travelled along the spline.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} [samplesPerSegment=32] - How many straight pieces each segment is measured with.
+ * @returns {{parameters: Array<number>, lengths: Array<number>, total: number}} The table.
+ */
+function splineArcLengthTable(s, samplesPerSegment) {
+  samplesPerSegment = samplesPerSegment || 32;
+
+  if (s.arcLengths && s.arcLengths.samplesPerSegment == samplesPerSegment) {
+    return s.arcLengths;
+  }
+
+  var samples = samplesPerSegment * s.segments;
+  var parameters = [0.0];
+  var lengths = [0.0];
+  var previous = splinePoint(s, 0.0);
+  var total = 0.0;
+
+  for (var i = 1; i <= samples; ++i) {
+    var t = i / samples;
+    var current = splinePoint(s, t);
+    total += vectorLength(linearSubtract(current, previous));
+    parameters.push(t);
+    lengths.push(total);
+    previous = current;
+  }
+
+  s.arcLengths = {
+    samplesPerSegment: samplesPerSegment,
+    parameters: parameters,
+    lengths: lengths,
+    total: total,
+  };
+
+  return s.arcLengths;
+}
+
+/**
+ * Measures the length of a spline.
+ * @param {Object} s - The spline, as returned by spline().
+ * @returns {number} The approximate length of the spline.
+ */
+function splineLength(s) {
+  return splineArcLengthTable(s).total;
+}
+
+/**
+ * Finds the spline parameter at a given distance along the spline.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} distance - The distance from the start of the spline.
+ * @returns {number} The spline parameter, from 0 to 1.
+ */
+function splineParameterAtDistance(s, distance) {
+  var table = splineArcLengthTable(s);
+  var lengths = table.lengths;
+
+  if (distance <= 0.0 || table.total == 0.0) {
+    return 0.0;
+  }
+
+  if (distance >= table.total) {
+    return 1.0;
+  }
+
+  var low = 0;
+  var high = lengths.length - 1;
+
+  while (high - low > 1) {
+    var middle = (low + high) >> 1;
+    if (lengths[middle] < distance) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  var span = lengths[high] - lengths[low];
+  var s0 = span == 0.0 ? 0.0 : (distance - lengths[low]) / span;
+
+  return table.parameters[low] + s0 * (table.parameters[high] - table.parameters[low]);
+}
+
+/**
+ * Evaluates a point on a spline by distance rather than by parameter, so that
+ * equal steps in distance give equal steps along the path.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} distance - The distance from the start of the spline.
+ * @returns {Array} The point on the spline.
+ */
+function splinePointAtDistance(s, distance) {
+  return splinePoint(s, splineParameterAtDistance(s, distance));
+}
+
+// ##################### TESSELLATION ####################
+
+/**
+ * Splits a piece of a spline in half until it is within tolerance of a
+ * straight line, collecting the end points of each straight piece.
+ * @param {Object} s - The spline.
+ * @param {number} t0 - The parameter at the start of the piece.
+ * @param {Array} p0 - The point at the start of the piece.
+ * @param {number} t1 - The parameter at the end of the piece.
+ * @param {Array} p1 - The point at the end of the piece.
+ * @param {number} tolerance - The largest allowed distance from the curve to the line.
+ * @param {number} depth - How many more times the piece may be split.
+ * @param {boolean} force - Whether to split regardless of flatness.
+ * @param {Array<Array>} out - The list of points to append to.
+ */
+function subdivideSpline(s, t0, p0, t1, p1, tolerance, depth, force, out) {
+  var tm = 0.5 * (t0 + t1);
+  var pm = splinePoint(s, tm);
+
+  // Distance from the midpoint of the curve to the straight line between the
+  // ends. Measuring to the line rather than to the middle of the chord keeps
+  // straight pieces that speed up or slow down from being split.
+  var chord = linearSubtract(p1, p0);
+  var offset = linearSubtract(pm, p0);
+  var chordLengthSquared = dotProduct(chord, chord);
+
+  if (chordLengthSquared > 0.0) {
+    var along = Math.min(Math.max(dotProduct(offset, chord) / chordLengthSquared, 0.0), 1.0);
+    offset = linearSubtract(offset, linearScale(along, chord));
+  }
+
+  if (depth > 0 && (force || vectorLength(offset) > tolerance)) {
+    subdivideSpline(s, t0, p0, tm, pm, tolerance, depth - 1, false, out);
+    subdivideSpline(s, tm, pm, t1, p1, tolerance, depth - 1, false, out);
+  } else {
+    out.push(p1);
+  }
+}
+
+/**
+ * Converts a spline into a line strip, placing more vertices where the
+ * spline bends and fewer where it is straight.
+ * @param {Object} s - The spline, as returned by spline().
+ * @param {number} [tolerance=0.001] - The largest allowed distance between the spline and the line strip.
+ * @param {number} [maxDepth=10] - The most times any segment is split in half.
+ * @returns {Float32Array} The vertices, ready for gl.bufferData() and gl.LINE_STRIP. There are length / s.dimension of them.
+ */
+function tessellateSpline(s, tolerance, maxDepth) {
+  tolerance = tolerance === undefined ? 0.001 : tolerance;
+  maxDepth = maxDepth === undefined ? 10 : maxDepth;
+
+  var points = [splinePoint(s, 0.0)];
+
+  for (var i = 0; i < s.segments; ++i) {
+    var t0 = i / s.segments;
+    var t1 = (i + 1) / s.segments;
+
+    // Always split each segment once, so an S-shaped segment whose middle
+    // happens to sit on its chord is not mistaken for a straight line.
+    subdivideSpline(s, t0, points[points.length - 1], t1, splinePoint(s, t1), tolerance, maxDepth, true, points);
+  }
+
+  return linearFlatten(points);
+}
+
+// ##################### NOISE ####################
+
+// Gradient noise built only from float arithmetic that is exact in single
+// precision, so the GLSL versions below (GLSL_NOISE) give the same values on
+// the GPU, to within rounding, as these functions give on the CPU. Lattice
+// points are hashed with the permutation polynomial (34x^2 + 10x) mod 289, and
+// each hash picks a unit gradient. Points may be vec2, vec3 or vec4.
+
+/**
+ * Reduces a number modulo 289, the period of the noise hash.
+ * @param {number} x - The number.
+ * @returns {number} The remainder.
+ */
+function mod289(x) {
+  return x - Math.floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+/**
+ * Scrambles a whole number from 0 to 578 into another from 0 to 289.
+ * @param {number} x - The number.
+ * @returns {number} The scrambled number.
+ */
+function noisePermute(x) {
+  return mod289((x * 34.0 + 10.0) * x);
+}
+
+/**
+ * Hashes the integer coordinates of a lattice point.
+ * @param {Array<number>} cell - The coordinates.
+ * @returns {number} The hash, from 0 to 289.
+ */
+function noiseHash(cell) {
+  var h = 0.0;
+
+  for (var i = 0; i < cell.length; ++i) {
+    h = noisePermute(h + mod289(cell[i]));
+  }
+
+  return h;
+}
+
+/**
+ * Returns the fractional part of a number, as GLSL fract() does.
+ * @param {number} x - The number.
+ * @returns {number} x - floor(x).
+ */
+function noiseFract(x) {
+  return x - Math.floor(x);
+}
+
+/**
+ * Picks the unit gradient for a lattice point hash. The gradients are spread
+ * evenly over the circle, sphere or 4D hypersphere.
+ * @param {number} h - The hash.
+ * @param {number} dimension - 2, 3 or 4.
+ * @returns {Array<number>} The gradient.
+ */
+function noiseGradient(h, dimension) {
+  var tau = 2.0 * Math.PI;
+
+  if (dimension == 2) {
+    var angle = (tau * h) / 289.0;
+    return [Math.cos(angle), Math.sin(angle)];
+  }
+
+  if (dimension == 3) {
+    // A Fibonacci spiral of 289 points on the sphere.
+    var z = 1.0 - 2.0 * noiseFract((h + 0.5) / 289.0);
+    var ring = Math.sqrt(Math.max(1.0 - z * z, 0.0));
+    var spin = tau * noiseFract((h * 110.0) / 289.0);
+    return [ring * Math.cos(spin), ring * Math.sin(spin), z];
+  }
+
+  // Two circles whose radii split the unit length between them.
+  var h2 = noisePermute(h);
+  var h3 = noisePermute(h2);
+  var split = noiseFract((h2 + 0.5) / 289.0);
+  var r1 = Math.sqrt(split);
+  var r2 = Math.sqrt(1.0 - split);
+  var a1 = (tau * h) / 289.0;
+  var a2 = (tau * h3) / 289.0;
+
+  return [r1 * Math.cos(a1), r1 * Math.sin(a1), r2 * Math.cos(a2), r2 * Math.sin(a2)];
+}
+
+/**
+ * Checks that a noise input is a vec2, vec3 or vec4.
+ * @param {string} operation - The name of the calling function.
+ * @param {Array<number>} point - The input.
+ * @returns {boolean} True if the input is usable.
+ */
+function isNoisePoint(operation, point) {
+  if (!Array.isArray(point) || point.length < 2 || point.length > 4) {
+    reportError(new InvalidArgumentError(operation, "The point must be a vec2, vec3 or vec4.", [point]));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Scales that bring Perlin noise with unit gradients to the range -1 to 1.
+ */
+var perlinNoiseScale = [0.0, 0.0, Math.SQRT2, 2.0 / Math.sqrt(3.0), 1.0];
+
+/**
+ * Evaluates classic Perlin gradient noise.
+ * @param {Array<number>} point - The point, a vec2, vec3 or vec4.
+ * @returns {number} The noise value, from about -1 to 1. It is 0 at every integer point.
+ */
+function perlinNoise(point) {
+  if (!isNoisePoint("perlinNoise", point)) {
+    return;
+  }
+
+  var n = point.length;
+  var cell = [];
+  var f = [];
+  var u = [];
+
+  for (var k = 0; k < n; ++k) {
+    cell.push(Math.floor(point[k]));
+    f.push(point[k] - cell[k]);
+    // Quintic fade, so the noise has continuous second derivatives.
+    u.push(f[k] * f[k] * f[k] * (f[k] * (f[k] * 6.0 - 15.0) + 10.0));
+  }
+
+  var sum = 0.0;
+
+  for (var corner = 0; corner < 1 << n; ++corner) {
+    var weight = 1.0;
+    var c = [];
+    var d = [];
+
+    for (var k = 0; k < n; ++k) {
+      var o = (corner >> k) & 1;
+      c.push(cell[k] + o);
+      d.push(f[k] - o);
+      weight *= o ? u[k] : 1.0 - u[k];
+    }
+
+    var g = noiseGradient(noiseHash(c), n);
+    var dot = 0.0;
+    for (var k = 0; k < n; ++k) {
+      dot += g[k] * d[k];
+    }
+
+    sum += weight * dot;
+  }
+
+  return sum * perlinNoiseScale[n];
+}
+
+/**
+ * Adds the contribution of one simplex corner.
+ * @param {Array<number>} cell - The lattice point of the corner.
+ * @param {Array<number>} d - The offset from the corner to the point.
+ * @param {number} radius - The squared radius of the corner's influence.
+ * @returns {number} The contribution.
+ */
+function simplexCorner(cell, d, radius) {
+  var t = radius;
+  for (var k = 0; k < d.length; ++k) {
+    t -= d[k] * d[k];
+  }
+
+  if (t <= 0.0) {
+    return 0.0;
+  }
+
+  var g = noiseGradient(noiseHash(cell), d.length);
+  var dot = 0.0;
+  for (var k = 0; k < d.length; ++k) {
+    dot += g[k] * d[k];
+  }
+
+  return t * t * t * t * dot;
+}
+
+/**
+ * Returns 0 if x < edge and 1 otherwise, as GLSL step() does.
+ * @param {number} edge - The edge.
+ * @param {number} x - The value.
+ * @returns {number} 0 or 1.
+ */
+function noiseStep(edge, x) {
+  return x < edge ? 0.0 : 1.0;
+}
+
+/**
+ * Scales that bring simplex noise with unit gradients to about -1 to 1.
+ */
+var simplexNoiseScale = [0.0, 0.0, 99.0, 43.0, 48.0];
+
+/**
+ * Evaluates simplex noise. It looks like Perlin noise without the grid
+ * artifacts, and is cheaper in higher dimensions.
+ * @param {Array<number>} point - The point, a vec2, vec3 or vec4.
+ * @returns {number} The noise value, from about -1 to 1.
+ */
+function simplexNoise(point) {
+  if (!isNoisePoint("simplexNoise", point)) {
+    return;
+  }
+
+  var n = point.length;
+  var F = [0.0, 0.0, 0.366025403784, 1.0 / 3.0, 0.309016994375][n]; // (sqrt(n + 1) - 1) / n
+  var G = [0.0, 0.0, 0.211324865405, 1.0 / 6.0, 0.138196601125][n]; // (n + 1 - sqrt(n + 1)) / (n * (n + 1))
+
+  // Skew the point onto the grid of simplices and find the one it is in.
+  var s = 0.0;
+  for (var k = 0; k < n; ++k) {
+    s += point[k];
+  }
+  s *= F;
+
+  var cell = [];
+  var t = 0.0;
+  for (var k = 0; k < n; ++k) {
+    cell.push(Math.floor(point[k] + s));
+    t += cell[k];
+  }
+  t *= G;
+
+  var x0 = [];
+  for (var k = 0; k < n; ++k) {
+    x0.push(point[k] - cell[k] + t);
+  }
+
+  // Rank the coordinates to find the order in which the simplex's corners
+  // step away from the first one. The 3D and 4D rankings are the step()
+  // formulations used by the GLSL versions, so ties resolve the same way.
+  var steps;
+
+  if (n == 2) {
+    steps = x0[0] > x0[1] ? [[1, 0]] : [[0, 1]];
+  } else if (n == 3) {
+    var g = [noiseStep(x0[1], x0[0]), noiseStep(x0[2], x0[1]), noiseStep(x0[0], x0[2])];
+    var l = [1.0 - g[0], 1.0 - g[1], 1.0 - g[2]];
+    steps = [
+      [Math.min(g[0], l[2]), Math.min(g[1], l[0]), Math.min(g[2], l[1])],
+      [Math.max(g[0], l[2]), Math.max(g[1], l[0]), Math.max(g[2], l[1])],
+    ];
+  } else {
+    var isX = [noiseStep(x0[1], x0[0]), noiseStep(x0[2], x0[0]), noiseStep(x0[3], x0[0])];
+    var isYZ = [noiseStep(x0[2], x0[1]), noiseStep(x0[3], x0[1]), noiseStep(x0[3], x0[2])];
+    var rank = [
+      isX[0] + isX[1] + isX[2],
+      1.0 - isX[0] + isYZ[0] + isYZ[1],
+      1.0 - isX[1] + 1.0 - isYZ[0] + isYZ[2],
+      1.0 - isX[2] + 1.0 - isYZ[1] + 1.0 - isYZ[2],
+    ];
+    var clamp = function (x) {
+      return Math.min(Math.max(x, 0.0), 1.0);
+    };
+    steps = [
+      rank.map(function (r) { return clamp(r - 2.0); }),
+      rank.map(function (r) { return clamp(r - 1.0); }),
+      rank.map(function (r) { return clamp(r); }),
+    ];
+  }
+
+  var radius = n == 2 ? 0.5 : 0.6;
+  var sum = simplexCorner(cell, x0, radius);
+
+  for (var i = 0; i <= steps.length; ++i) {
+    var c = [];
+    var d = [];
+
+    for (var k = 0; k < n; ++k) {
+      var o = i < steps.length ? steps[i][k] : 1.0;
+      c.push(cell[k] + o);
+      d.push(x0[k] - o + (i + 1) * G);
+    }
+
+    sum += simplexCorner(c, d, radius);
+  }
+
+  return sum * simplexNoiseScale[n];
+}
+
+/**
+ * Sums octaves of noise at rising frequencies and falling amplitudes
+ * (fractal Brownian motion), for natural-looking detail such as terrain.
+ * @param {Array<number>} point - The point, a vec2, vec3 or vec4.
+ * @param {number} [octaves=5] - How many layers of noise to add, at most 16.
+ * @param {number} [lacunarity=2] - How much the frequency rises each octave.
+ * @param {number} [gain=0.5] - How much the amplitude falls each octave.
+ * @param {function(Array<number>): number} [noise=simplexNoise] - The noise function.
+ * @returns {number} The noise value, from about -1 to 1.
+ */
+function fractalNoise(point, octaves, lacunarity, gain, noise) {
+  return sumNoiseOctaves("fractalNoise", point, octaves, lacunarity, gain, noise, false);
+}
+
+/**
+ * Sums octaves of the absolute value of noise, which gives sharp creases
+ * suited to clouds, smoke and marble.
+ * @param {Array<number>} point - The point, a vec2, vec3 or vec4.
+ * @param {number} [octaves=5] - How many layers of noise to add, at most 16.
+ * @param {number} [lacunarity=2] - How much the frequency rises each octave.
+ * @param {number} [gain=0.5] - How much the amplitude falls each octave.
+ * @param {function(Array<number>): number} [noise=simplexNoise] - The noise function.
+ * @returns {number} The noise value, from 0 to about 1.
+ */
+function turbulence(point, octaves, lacunarity, gain, noise) {
+  return sumNoiseOctaves("turbulence", point, octaves, lacunarity, gain, noise, true);
+}
+
+/**
+ * Shared loop of fractalNoise() and turbulence().
+ * @param {string} operation - The name of the calling function.
+ * @param {Array<number>} point - The point.
+ * @param {number} [octaves=5] - How many layers of noise to add, at most 16.
+ * @param {number} [lacunarity=2] - How much the frequency rises each octave.
+ * @param {number} [gain=0.5] - How much the amplitude falls each octave.
+ * @param {function(Array<number>): number} [noise=simplexNoise] - The noise function.
+ * @param {boolean} absolute - Whether to sum absolute values.
+ * @returns {number} The weighted average of the octaves.
+ */
+function sumNoiseOctaves(operation, point, octaves, lacunarity, gain, noise, absolute) {
+  if (!isNoisePoint(operation, point)) {
+    return;
+  }
+
+  octaves = Math.min(octaves === undefined ? 5 : octaves, 16);
+  lacunarity = lacunarity === undefined ? 2.0 : lacunarity;
+  gain = gain === undefined ? 0.5 : gain;
+  noise = noise || simplexNoise;
+
+  var sum = 0.0;
+  var total = 0.0;
+  var amplitude = 1.0;
+  var p = point.slice();
+
+  for (var i = 0; i < octaves; ++i) {
+    var value = noise(p);
+    sum += amplitude * (absolute ? Math.abs(value) : value);
+    total += amplitude;
+    amplitude *= gain;
+    p = p.map(function (x) { return x * lacunarity; });
+  }
+
+  return total == 0.0 ? 0.0 : sum / total;
+}
+
+/**
+ * Evaluates fractal noise at a point pushed around by more fractal noise,
+ * which gives swirling, flowing patterns.
+ * @param {Array<number>} point - The point, a vec2, vec3 or vec4.
+ * @param {number} [strength=1] - How far the point is pushed.
+ * @param {number} [octaves=5] - How many octaves each fractal noise uses, at most 16.
+ * @returns {number} The noise value, from about -1 to 1.
+ */
+function domainWarp(point, strength, octaves) {
+  if (!isNoisePoint("domainWarp", point)) {
+    return;
+  }
+
+  strength = strength === undefined ? 1.0 : strength;
+
+  // One differently offset noise per coordinate, so each is pushed independently.
+  var warped = [];
+  for (var k = 0; k < point.length; ++k) {
+    var offset = 5.2 * (k + 1);
+    var shift = fractalNoise(point.map(function (x) { return x + offset; }), octaves);
+    warped.push(point[k] + strength * shift);
+  }
+
+  return fractalNoise(warped, octaves);
 }
 
-// ##################### DETERMINANTS ####################
+// ##################### GLSL NOISE ####################
 
 /**
- * Calculates the determinant of a 2x2 matrix.
- * @param {number[][]} m - The 2x2 matrix.
- * @returns {number} The determinant of the matrix.
+ * Builds the GLSL Perlin noise function for one vector size.
+ * @param {string} type - "vec2", "vec3" or "vec4".
+ * @returns {string} The GLSL source.
  */
-function det2(m) {
-  return m[0][0] * m[1][1] - m[0][1] * m[1][0];
+function glslPerlinNoise(type) {
+  var n = Number(type.charAt(3));
+  var components = "xyzw".slice(0, n).split("").map(function (c) { return "w." + c; }).join(" * ");
+  var divisors = type + "(" + [1.0, 2.0, 4.0, 8.0].slice(0, n).map(function (d) { return d.toFixed(1); }).join(", ") + ")";
+
+  return `
+float perlinNoise(${type} p) {
+  ${type} cell = floor(p);
+  ${type} f = p - cell;
+  ${type} u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+  float sum = 0.0;
+
+  for (int k = 0; k < ${1 << n}; k++) {
+    ${type} o = mod(floor(float(k) / ${divisors}), 2.0);
+    ${type} w = mix(1.0 - u, u, o);
+    sum += ${components} * dot(noiseGradient${n}(noiseHash(cell + o)), f - o);
+  }
+
+  return sum * ${perlinNoiseScale[n].toFixed(8)};
+}
+`;
 }
 
 /**
- * Calculates the determinant of a 3x3 matrix.
- * @param {number[][]} m - The input matrix.
- * @returns {number} The determinant of the matrix.
+ * Builds the GLSL fractal noise and turbulence functions for one vector size.
+ * @param {string} type - "vec2", "vec3" or "vec4".
+ * @returns {string} The GLSL source.
  */
-function det3(m) {
-  var d =
-    m[0][0] * m[1][1] * m[2][2] +
-    m[0][1] * m[1][2] * m[2][0] +
-    m[0][2] * m[2][1] * m[1][0] -
-    m[2][0] * m[1][1] * m[0][2] -
-    m[1][0] * m[0][1] * m[2][2] -
-    m[0][0] * m[1][2] * m[2][1];
-  return d;
+function glslFractalNoise(type) {
+  return ["fractalNoise", "turbulence"].map(function (name) {
+    return `
+float ${name}(${type} p, int octaves, float lacunarity, float gain) {
+  float sum = 0.0;
+  float total = 0.0;
+  float amplitude = 1.0;
+
+  for (int i = 0; i < 16; i++) {
+    if (i >= octaves) {
+      break;
+    }
+    sum += amplitude * ${name == "turbulence" ? "abs(simplexNoise(p))" : "simplexNoise(p)"};
+    total += amplitude;
+    amplitude *= gain;
+    p *= lacunarity;
+  }
+
+  return total == 0.0 ? 0.0 : sum / total;
+}
+`;
+  }).join("");
 }
 
 /**
- * Calculates the determinant of a 4x4 matrix.
- * @param {number[][]} m - The 4x4 matrix represented as a 2D array.
- * @returns {number} The determinant of the matrix.
+ * GLSL versions of perlinNoise(), simplexNoise(), fractalNoise(),
+ * turbulence() and domainWarp() for vec2, vec3 and vec4, which give the same
+ * values as the JavaScript functions. The GLSL fractalNoise() and
+ * turbulence() always use simplex noise and take every argument, and
+ * domainWarp() uses a lacunarity of 2 and a gain of 0.5, as the JavaScript
+ * defaults do. Pass this as the sharedSource of initShaders() to use it.
+ *
+ * The hash needs whole numbers up to 2^24 to be exact, so evaluate noise in
+ * a vertex shader or under "precision highp float".
+ * @type {string}
  */
-function det4(m) {
-  var m0 = [
-    vec3(m[1][1], m[1][2], m[1][3]),
-    vec3(m[2][1], m[2][2], m[2][3]),
-    vec3(m[3][1], m[3][2], m[3][3]),
-  ];
-  var m1 = [
-    vec3(m[1][0], m[1][2], m[1][3]),
-    vec3(m[2][0], m[2][2], m[2][3]),
-    vec3(m[3][0], m[3][2], m[3][3]),
-  ];
-  var m2 = [
-    vec3(m[1][0], m[1][1], m[1][3]),
-    vec3(m[2][0], m[2][1], m[2][3]),
-    vec3(m[3][0], m[3][1], m[3][3]),
-  ];
-  var m3 = [
-    vec3(m[1][0], m[1][1], m[1][2]),
-    vec3(m[2][0], m[2][1], m[2][2]),
-    vec3(m[3][0], m[3][1], m[3][2]),
-  ];
-  return (
-    m[0][0] * det3(m0) -
-    m[0][1] * det3(m1) +
-    m[0][2] * det3(m2) -
-    m[0][3] * det3(m3)
-  );
+var GLSL_NOISE = `
+float mod289(float x) {
+  return x - floor(x * (1.0 / 289.0)) * 289.0;
 }
 
-/**
- * Determines the type of determinant to calculate, then calculates the determinant of a matrix.
- * @param {Array} m - The matrix to calculate the determinant of.
- * @returns {number} The determinant of the matrix.
- */
-function calculateDeterminant(m) {
-  if (m.matrix != true) console.error("WebGL Utilities:", "calculateDeterminant(): Variable is not a matrix.");
-  if (m.length == 2) return det2(m);
-  if (m.length == 3) return det3(m);
-  if (m.length == 4) return det4(m);
-  return;
+float noisePermute(float x) {
+  return mod289((x * 34.0 + 10.0) * x);
 }
 
-// ##################### INVERSES ####################
+float noiseHash(vec2 c) {
+  return noisePermute(noisePermute(mod289(c.x)) + mod289(c.y));
+}
 
-/**
- * Calculates the inverse of a 2x2 matrix.
- * @param {mat2} m - The input matrix.
- * @returns {mat2} - The inverse matrix.
- */
-function inverse2(m) {
-  var a = mat2();
-  var d = det2(m);
-  a[0][0] = m[1][1] / d;
-  a[0][1] = -m[0][1] / d;
-  a[1][0] = -m[1][0] / d;
-  a[1][1] = m[0][0] / d;
-  a.matrix = true;
-  return a;
+float noiseHash(vec3 c) {
+  return noisePermute(noiseHash(c.xy) + mod289(c.z));
 }
 
-/**
- * Calculates the inverse of a 3x3 matrix.
- * 
- * @param {mat3} m - The input matrix.
- * @returns {mat3} The inverse matrix.
- */
-function inverse3(m) {
-  var a = mat3();
-  var d = det3(m);
+float noiseHash(vec4 c) {
+  return noisePermute(noiseHash(c.xyz) + mod289(c.w));
+}
 
-  var a00 = [vec2(m[1][1], m[1][2]), vec2(m[2][1], m[2][2])];
-  var a01 = [vec2(m[1][0], m[1][2]), vec2(m[2][0], m[2][2])];
-  var a02 = [vec2(m[1][0], m[1][1]), vec2(m[2][0], m[2][1])];
-  var a10 = [vec2(m[0][1], m[0][2]), vec2(m[2][1], m[2][2])];
-  var a11 = [vec2(m[0][0], m[0][2]), vec2(m[2][0], m[2][2])];
-  var a12 = [vec2(m[0][0], m[0][1]), vec2(m[2][0], m[2][1])];
-  var a20 = [vec2(m[0][1], m[0][2]), vec2(m[1][1], m[1][2])];
-  var a21 = [vec2(m[0][0], m[0][2]), vec2(m[1][0], m[1][2])];
-  var a22 = [vec2(m[0][0], m[0][1]), vec2(m[1][0], m[1][1])];
+const float NOISE_TAU = 6.28318530718;
 
-  a[0][0] = det2(a00) / d;
-  a[0][1] = -det2(a10) / d;
-  a[0][2] = det2(a20) / d;
-  a[1][0] = -det2(a01) / d;
-  a[1][1] = det2(a11) / d;
-  a[1][2] = -det2(a21) / d;
-  a[2][0] = det2(a02) / d;
-  a[2][1] = -det2(a12) / d;
-  a[2][2] = det2(a22) / d;
+vec2 noiseGradient2(float h) {
+  float angle = NOISE_TAU * h / 289.0;
+  return vec2(cos(angle), sin(angle));
+}
 
-  return a;
+vec3 noiseGradient3(float h) {
+  float z = 1.0 - 2.0 * fract((h + 0.5) / 289.0);
+  float ring = sqrt(max(1.0 - z * z, 0.0));
+  float spin = NOISE_TAU * fract(h * 110.0 / 289.0);
+  return vec3(ring * cos(spin), ring * sin(spin), z);
 }
 
-/**
- * Calculates the inverse of a 4x4 matrix.
- * 
- * @param {mat4} m - The input matrix.
- * @returns {mat4} The inverse matrix.
- */
-function inverse4(m) {
-  var a = mat4();
-  var d = det4(m);
+vec4 noiseGradient4(float h) {
+  float h2 = noisePermute(h);
+  float h3 = noisePermute(h2);
+  float split = fract((h2 + 0.5) / 289.0);
+  float r1 = sqrt(split);
+  float r2 = sqrt(1.0 - split);
+  float a1 = NOISE_TAU * h / 289.0;
+  float a2 = NOISE_TAU * h3 / 289.0;
+  return vec4(r1 * cos(a1), r1 * sin(a1), r2 * cos(a2), r2 * sin(a2));
+}
+${glslPerlinNoise("vec2")}${glslPerlinNoise("vec3")}${glslPerlinNoise("vec4")}
+float simplexCorner(vec2 cell, vec2 d) {
+  float t = max(0.5 - dot(d, d), 0.0);
+  t *= t;
+  return t * t * dot(noiseGradient2(noiseHash(cell)), d);
+}
 
-  var a00 = [
-    vec3(m[1][1], m[1][2], m[1][3]),
-    vec3(m[2][1], m[2][2], m[2][3]),
-    vec3(m[3][1], m[3][2], m[3][3]),
-  ];
-  var a01 = [
-    vec3(m[1][0], m[1][2], m[1][3]),
-    vec3(m[2][0], m[2][2], m[2][3]),
-    vec3(m[3][0], m[3][2], m[3][3]),
-  ];
-  var a02 = [
-    vec3(m[1][0], m[1][1], m[1][3]),
-    vec3(m[2][0], m[2][1], m[2][3]),
-    vec3(m[3][0], m[3][1], m[3][3]),
-  ];
-  var a03 = [
-    vec3(m[1][0], m[1][1], m[1][2]),
-    vec3(m[2][0], m[2][1], m[2][2]),
-    vec3(m[3][0], m[3][1], m[3][2]),
-  ];
-  var a10 = [
-    vec3(m[0][1], m[0][2], m[0][3]),
-    vec3(m[2][1], m[2][2], m[2][3]),
-    vec3(m[3][1], m[3][2], m[3][3]),
-  ];
-  var a11 = [
-    vec3(m[0][0], m[0][2], m[0][3]),
-    vec3(m[2][0], m[2][2], m[2][3]),
-    vec3(m[3][0], m[3][2], m[3][3]),
-  ];
-  var a12 = [
-    vec3(m[0][0], m[0][1], m[0][3]),
-    vec3(m[2][0], m[2][1], m[2][3]),
-    vec3(m[3][0], m[3][1], m[3][3]),
-  ];
-  var a13 = [
-    vec3(m[0][0], m[0][1], m[0][2]),
-    vec3(m[2][0], m[2][1], m[2][2]),
-    vec3(m[3][0], m[3][1], m[3][2]),
-  ];
-  var a20 = [
-    vec3(m[0][1], m[0][2], m[0][3]),
-    vec3(m[1][1], m[1][2], m[1][3]),
-    vec3(m[3][1], m[3][2], m[3][3]),
-  ];
-  var a21 = [
-    vec3(m[0][0], m[0][2], m[0][3]),
-    vec3(m[1][0], m[1][2], m[1][3]),
-    vec3(m[3][0], m[3][2], m[3][3]),
-  ];
-  var a22 = [
-    vec3(m[0][0], m[0][1], m[0][3]),
-    vec3(m[1][0], m[1][1], m[1][3]),
-    vec3(m[3][0], m[3][1], m[3][3]),
-  ];
-  var a23 = [
-    vec3(m[0][0], m[0][1], m[0][2]),
-    vec3(m[1][0], m[1][1], m[1][2]),
-    vec3(m[3][0], m[3][1], m[3][2]),
-  ];
+float simplexCorner(vec3 cell, vec3 d) {
+  float t = max(0.6 - dot(d, d), 0.0);
+  t *= t;
+  return t * t * dot(noiseGradient3(noiseHash(cell)), d);
+}
 
-  var a30 = [
-    vec3(m[0][1], m[0][2], m[0][3]),
-    vec3(m[1][1], m[1][2], m[1][3]),
-    vec3(m[2][1], m[2][2], m[2][3]),
-  ];
-  var a31 = [
-    vec3(m[0][0], m[0][2], m[0][3]),
-    vec3(m[1][0], m[1][2], m[1][3]),
-    vec3(m[2][0], m[2][2], m[2][3]),
-  ];
-  var a32 = [
-    vec3(m[0][0], m[0][1], m[0][3]),
-    vec3(m[1][0], m[1][1], m[1][3]),
-    vec3(m[2][0], m[2][1], m[2][3]),
-  ];
-  var a33 = [
-    vec3(m[0][0], m[0][1], m[0][2]),
-    vec3(m[1][0], m[1][1], m[1][2]),
-    vec3(m[2][0], m[2][1], m[2][2]),
-  ];
+float simplexCorner(vec4 cell, vec4 d) {
+  float t = max(0.6 - dot(d, d), 0.0);
+  t *= t;
+  return t * t * dot(noiseGradient4(noiseHash(cell)), d);
+}
 
-  a[0][0] = det3(a00) / d;
-  a[0][1] = -det3(a10) / d;
-  a[0][2] = det3(a20) / d;
-  a[0][3] = -det3(a30) / d;
-  a[1][0] = -det3(a01) / d;
-  a[1][1] = det3(a11) / d;
-  a[1][2] = -det3(a21) / d;
-  a[1][3] = det3(a31) / d;
-  a[2][0] = det3(a02) / d;
-  a[2][1] = -det3(a12) / d;
-  a[2][2] = det3(a22) / d;
-  a[2][3] = -det3(a32) / d;
-  a[3][0] = -det3(a03) / d;
-  a[3][1] = det3(a13) / d;
-  a[3][2] = -det3(a23) / d;
-  a[3][3] = det3(a33) / d;
+float simplexNoise(vec2 p) {
+  const float F = 0.366025403784;
+  const float G = 0.211324865405;
 
-  return a;
+  vec2 cell = floor(p + (p.x + p.y) * F);
+  vec2 x0 = p - cell + (cell.x + cell.y) * G;
+  vec2 i1 = (x0.x > x0.y) ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
+
+  return ${simplexNoiseScale[2].toFixed(1)} * (
+    simplexCorner(cell, x0) +
+    simplexCorner(cell + i1, x0 - i1 + G) +
+    simplexCorner(cell + 1.0, x0 - 1.0 + 2.0 * G)
+  );
 }
 
-/**
- * Calculates the inverse of a matrix.
- * @param {Array} m - The matrix to calculate the inverse of.
- * @returns {Array} - The inverse of the input matrix.
- */
-function calculateInverseMatrix(m) {
-  if (m.matrix != true) console.error("WebGL Utilities:", "calculateInverseMatrix(): Variable is not a matrix.");
-  if (m.length == 2) return inverse2(m);
-  if (m.length == 3) return inverse3(m);
-  if (m.length == 4) return inverse4(m);
-  return;
+float simplexNoise(vec3 p) {
+  const float F = 1.0 / 3.0;
+  const float G = 1.0 / 6.0;
+
+  vec3 cell = floor(p + (p.x + p.y + p.z) * F);
+  vec3 x0 = p - cell + (cell.x + cell.y + cell.z) * G;
+
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+
+  return ${simplexNoiseScale[3].toFixed(1)} * (
+    simplexCorner(cell, x0) +
+    simplexCorner(cell + i1, x0 - i1 + G) +
+    simplexCorner(cell + i2, x0 - i2 + 2.0 * G) +
+    simplexCorner(cell + 1.0, x0 - 1.0 + 3.0 * G)
+  );
+}
+
+float simplexNoise(vec4 p) {
+  const float F = 0.309016994375;
+  const float G = 0.138196601125;
+
+  vec4 cell = floor(p + (p.x + p.y + p.z + p.w) * F);
+  vec4 x0 = p - cell + (cell.x + cell.y + cell.z + cell.w) * G;
+
+  vec3 isX = step(x0.yzw, x0.xxx);
+  vec3 isYZ = step(x0.zww, x0.yyz);
+  vec4 rank;
+  rank.x = isX.x + isX.y + isX.z;
+  rank.yzw = 1.0 - isX;
+  rank.y += isYZ.x + isYZ.y;
+  rank.zw += 1.0 - isYZ.xy;
+  rank.z += isYZ.z;
+  rank.w += 1.0 - isYZ.z;
+
+  vec4 i1 = clamp(rank - 2.0, 0.0, 1.0);
+  vec4 i2 = clamp(rank - 1.0, 0.0, 1.0);
+  vec4 i3 = clamp(rank, 0.0, 1.0);
+
+  return ${simplexNoiseScale[4].toFixed(1)} * (
+    simplexCorner(cell, x0) +
+    simplexCorner(cell + i1, x0 - i1 + G) +
+    simplexCorner(cell + i2, x0 - i2 + 2.0 * G) +
+    simplexCorner(cell + i3, x0 - i3 + 3.0 * G) +
+    simplexCorner(cell + 1.0, x0 - 1.0 + 4.0 * G)
+  );
+}
+${glslFractalNoise("vec2")}${glslFractalNoise("vec3")}${glslFractalNoise("vec4")}
+float domainWarp(vec2 p, float strength, int octaves) {
+  vec2 shift = vec2(
+    fractalNoise(p + 5.2, octaves, 2.0, 0.5),
+    fractalNoise(p + 10.4, octaves, 2.0, 0.5)
+  );
+  return fractalNoise(p + strength * shift, octaves, 2.0, 0.5);
+}
+
+float domainWarp(vec3 p, float strength, int octaves) {
+  vec3 shift = vec3(
+    fractalNoise(p + 5.2, octaves, 2.0, 0.5),
+    fractalNoise(p + 10.4, octaves, 2.0, 0.5),
+    fractalNoise(p + 15.6, octaves, 2.0, 0.5)
+  );
+  return fractalNoise(p + strength * shift, octaves, 2.0, 0.5);
 }
 
+float domainWarp(vec4 p, float strength, int octaves) {
+  vec4 shift = vec4(
+    fractalNoise(p + 5.2, octaves, 2.0, 0.5),
+    fractalNoise(p + 10.4, octaves, 2.0, 0.5),
+    fractalNoise(p + 15.6, octaves, 2.0, 0.5),
+    fractalNoise(p + 20.8, octaves, 2.0, 0.5)
+  );
+  return fractalNoise(p + strength * shift, octaves, 2.0, 0.5);
+}
+`;
+
+// ##################### GLSL ROTATION ####################
+
 /**
- * Calculates the normal matrix of a given matrix.
- * @param {mat4} m - The input matrix.
- * @param {boolean} flag - A flag indicating whether to return the full matrix or just the upper-left 3x3 submatrix.
- * @returns {mat4|mat3} - The normal matrix.
+ * GLSL function rotationMatrix(theta), which returns the rotation by theta
+ * degrees about each axis, applied x first, then y, then z. The Project 2
+ * shaders include it with #include "rotation" once it is registered with
+ * registerShaderChunk() from .webgl-resources.js.
+ * @type {string}
  */
-function normalizeMatrix(m, flag) {
-  var a = mat4();
-  a = calculateInverseMatrix(transposeMatrix(m));
-  if (flag != true) return a;
-  else {
-    var b = mat3();
-    for (var i = 0; i < 3; i++) for (var j = 0; j < 3; j++) b[i][j] = a[i][j];
-    return b;
-  }
+var GLSL_ROTATION = `
+mat4 rotationMatrix( vec3 theta )
+{
+    // Compute the sines and cosines of theta for each of
+    //   the three axes in one computation.
+    vec3 angles = radians( theta );
+    vec3 c = cos( angles );
+    vec3 s = sin( angles );
+
+    // Remember: these matrices are column-major
+    mat4 rx = mat4( 1.0,  0.0,  0.0, 0.0,
+		    0.0,  c.x,  s.x, 0.0,
+		    0.0, -s.x,  c.x, 0.0,
+		    0.0,  0.0,  0.0, 1.0 );
+
+    mat4 ry = mat4( c.y, 0.0, -s.y, 0.0,
+		    0.0, 1.0,  0.0, 0.0,
+		    s.y, 0.0,  c.y, 0.0,
+		    0.0, 0.0,  0.0, 1.0 );
+
+    mat4 rz = mat4( c.z, s.z, 0.0, 0.0,
+		    -s.z,  c.z, 0.0, 0.0,
+		    0.0,  0.0, 1.0, 0.0,
+		    0.0,  0.0, 0.0, 1.0 );
+
+    return rz * ry * rx;
 }
+`;
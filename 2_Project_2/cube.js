@@ -16,12 +16,23 @@ var zAxis = 2;
 
 var axis = 0;
 var theta = [0, 0, 0];
+var spin; // The tween turning the cube about the current axis.
 
 var thetaLoc;
+var viewLoc;
+var projectionLoc;
+
+var camera; // The camera in use: orbitCamera or flyCamera.
+var orbitCamera;
+var flyCamera;
+var lastFrameTime; // The timestamp of the previous frame, in milliseconds.
+
+var resources;
+var showDebug = false; // Whether the debug overlay shows the camera and rotation.
 
 // NON-CRITICAL VARIABLES END
 
-window.onload = function init() {
+window.onload = async function init() {
 
   // ERROR HANDLING START
   if (document.getElementById(globalCanvasID) == null) {
@@ -32,13 +43,14 @@ window.onload = function init() {
     return;
   }
 
-  var resources = new WebGLResources(globalCanvasID);
+  resources = new WebGLResources(globalCanvasID);
   var utilities = resources.WebGLUtils;
   gl = utilities.setupWebGL();
   var canvasDimensions = resources.canvasDimensions();
 
   if (!gl) {
     console.error("Cube:", "init(): WebGL isn't available.");
+    return;
   }
   // ERROR HANDLING END
 
@@ -49,7 +61,17 @@ window.onload = function init() {
 
   gl.enable(gl.DEPTH_TEST);
 
-  var program = resources.initShaders(gl, "vertex-shader", "fragment-shader");
+  // Registered rather than fetched, so the page also works opened from disk.
+  resources.registerShaderChunk("rotation", GLSL_ROTATION);
+
+  var program = await resources.loadProgram(gl, "vertex-shader", "fragment-shader");
+
+  // The shader errors are already shown over the canvas, so just stop.
+  if (!program) {
+    console.error("Cube:", "init(): The shaders failed to build.");
+    return;
+  }
+
   gl.useProgram(program);
 
   var cBuffer = gl.createBuffer();
@@ -69,22 +91,90 @@ window.onload = function init() {
   gl.enableVertexAttribArray(vPosition);
 
   thetaLoc = gl.getUniformLocation(program, "theta");
+  viewLoc = gl.getUniformLocation(program, "view");
+  projectionLoc = gl.getUniformLocation(program, "projection");
+
+  orbitCamera = new OrbitCamera(document.getElementById(globalCanvasID), {
+    distance: 3,
+    azimuth: 30,
+    elevation: 20,
+  });
+  flyCamera = new FlyCamera(null, { speed: 2, acceleration: 8 });
+  camera = orbitCamera;
 
   //event listeners for buttons
 
   document.getElementById("xButton").onclick = function () {
-    axis = xAxis;
+    spinAbout(xAxis);
   };
   document.getElementById("yButton").onclick = function () {
-    axis = yAxis;
+    spinAbout(yAxis);
   };
   document.getElementById("zButton").onclick = function () {
-    axis = zAxis;
+    spinAbout(zAxis);
   };
+  document.getElementById("cameraButton").onclick = function () {
+    switchCamera(this);
+  };
+  document.getElementById("contextLossButton").onclick = function () {
+    resources.simulateContextLoss();
+  };
+  document.getElementById("debugToggle").onchange = function () {
+    showDebug = this.checked;
+    resources.showDebugOverlay(showDebug);
+  };
+
+  // Open the page with ?hotreload on a local server to see shader edits as
+  // they are saved, without losing the cube's spin or the camera.
+  if (new URL(location.href).searchParams.has("hotreload")) {
+    resources.enableShaderHotReload();
+  }
 
+  spinAbout(axis);
   render();
 };
 
+/**
+ * Starts turning the cube about an axis, one full turn every three seconds.
+ * @param {number} newAxis - The axis to turn about (xAxis, yAxis or zAxis).
+ */
+function spinAbout(newAxis) {
+  if (spin) {
+    spin.stop();
+  }
+
+  axis = newAxis;
+
+  var turn = {};
+  turn[axis] = "+360";
+
+  spin = new Tween(theta).to(turn, 3000).repeat(Infinity).start();
+}
+
+/**
+ * Switches between the orbit and fly cameras. The fly camera starts where the
+ * orbit camera was, facing the cube.
+ * @param {HTMLButtonElement} button - The button, whose label names the other camera.
+ */
+function switchCamera(button) {
+  var canvas = document.getElementById(globalCanvasID);
+
+  if (camera === orbitCamera) {
+    orbitCamera.detach();
+    flyCamera.position = orbitCamera.eye;
+    flyCamera.velocity = [0, 0, 0];
+    flyCamera.lookAt(orbitCamera.target);
+    flyCamera.attach(canvas);
+    camera = flyCamera;
+    button.textContent = "Orbit Camera";
+  } else {
+    flyCamera.detach();
+    orbitCamera.attach(canvas);
+    camera = orbitCamera;
+    button.textContent = "Fly Camera";
+  }
+}
+
 /**
  * Colors the cube by drawing six quadrilaterals.
  */
@@ -148,13 +238,31 @@ function quad(a, b, c, d) {
  * Renders the scene by clearing the color and depth buffers, updating the rotation angles,
  * setting the uniform variable for rotation angles, and drawing the triangles.
  * This function is called recursively using requestAnimationFrame for smooth animation.
+ * @param {number} [time] - The frame timestamp passed by requestAnimationFrame.
  */
-function render() {
+function render(time) {
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-  theta[axis] += 2.0;
+  if (time === undefined) {
+    time = performance.now();
+  }
+
+  updateTweens(time);
   gl.uniform3fv(thetaLoc, theta);
 
+  var deltaTime = lastFrameTime === undefined ? 0 : (time - lastFrameTime) / 1000;
+  lastFrameTime = time;
+
+  var matrices = camera.update(deltaTime);
+  gl.uniformMatrix4fv(viewLoc, false, linearFlatten(matrices.view));
+  gl.uniformMatrix4fv(projectionLoc, false, linearFlatten(matrices.projection));
+
+  if (showDebug) {
+    resources.setDebugValue("theta", theta, 0);
+    resources.setDebugValue("eye", matrices.eye);
+    resources.setDebugValue("view", matrices.view);
+  }
+
   gl.drawArrays(gl.TRIANGLES, 0, NumVertices);
 
   requestAnimFrame(render);
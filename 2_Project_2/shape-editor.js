@@ -16,17 +16,18 @@ var zAxis = 2;
 
 var axis = 0;
 var theta = [0, 0, 0];
+var spin; // The tween turning the cube about the current axis.
 
 var thetaLoc;
 
 // NON-CRITICAL VARIABLES END
 
-window.onload = function init() {
+window.onload = async function init() {
 
   // ERROR HANDLING START
   if (document.getElementById(globalCanvasID) == null) {
     console.error(
-      "Cube:",
+      "Shape Editor:",
       "Canvas with ID '" + globalCanvasID + "' not found."
     );
     return;
@@ -38,7 +39,8 @@ window.onload = function init() {
   var canvasDimensions = resources.canvasDimensions();
 
   if (!gl) {
-    console.error("Cube:", "init(): WebGL isn't available.");
+    console.error("Shape Editor:", "init(): WebGL isn't available.");
+    return;
   }
   // ERROR HANDLING END
 
@@ -49,7 +51,17 @@ window.onload = function init() {
 
   gl.enable(gl.DEPTH_TEST);
 
-  var program = resources.initShaders(gl, "vertex-shader", "fragment-shader");
+  // Registered rather than fetched, so the page also works opened from disk.
+  resources.registerShaderChunk("rotation", GLSL_ROTATION);
+
+  var program = await resources.loadProgram(gl, "vertex-shader", "fragment-shader");
+
+  // The shader errors are already shown over the canvas, so just stop.
+  if (!program) {
+    console.error("Shape Editor:", "init(): The shaders failed to build.");
+    return;
+  }
+
   gl.useProgram(program);
 
   var cBuffer = gl.createBuffer();
@@ -73,18 +85,36 @@ window.onload = function init() {
   //event listeners for buttons
 
   document.getElementById("xButton").onclick = function () {
-    axis = xAxis;
+    spinAbout(xAxis);
   };
   document.getElementById("yButton").onclick = function () {
-    axis = yAxis;
+    spinAbout(yAxis);
   };
   document.getElementById("zButton").onclick = function () {
-    axis = zAxis;
+    spinAbout(zAxis);
   };
 
+  spinAbout(axis);
   render();
 };
 
+/**
+ * Starts turning the cube about an axis, one full turn every three seconds.
+ * @param {number} newAxis - The axis to turn about (xAxis, yAxis or zAxis).
+ */
+function spinAbout(newAxis) {
+  if (spin) {
+    spin.stop();
+  }
+
+  axis = newAxis;
+
+  var turn = {};
+  turn[axis] = "+360";
+
+  spin = new Tween(theta).to(turn, 3000).repeat(Infinity).start();
+}
+
 /**
  * Colors the cube by drawing six quadrilaterals.
  */
@@ -148,11 +178,12 @@ function quad(a, b, c, d) {
  * Renders the scene by clearing the color and depth buffers, updating the rotation angles,
  * setting the uniform variable for rotation angles, and drawing the triangles.
  * This function is called recursively using requestAnimationFrame for smooth animation.
+ * @param {number} [time] - The frame timestamp passed by requestAnimationFrame.
  */
-function render() {
+function render(time) {
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-  theta[axis] += 2.0;
+  updateTweens(time);
   gl.uniform3fv(thetaLoc, theta);
 
   gl.drawArrays(gl.TRIANGLES, 0, NumVertices);
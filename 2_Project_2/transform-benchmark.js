@@ -0,0 +1,164 @@
+"use strict";
+
+// The shortest time to spend running each benchmark, in milliseconds.
+var minimumBenchmarkTime = 250;
+
+var model; // The matrix every benchmark transforms by.
+var positions; // The untransformed positions, as a flat Float32Array.
+var output; // Where the batch transforms write their results.
+
+/**
+ * Each benchmark transforms every position once. The first two go through the
+ * per-vertex functions and the rest through the batch transforms, so the
+ * table shows how much faster the batch transforms are.
+ */
+var benchmarks = [
+  {
+    name: "linearMultiply() per vertex",
+    run: function () {
+      for (var i = 0; i < positions.length; i += 3) {
+        var p = linearMultiply(model, vec4(positions[i], positions[i + 1], positions[i + 2], 1.0));
+        output[i] = p[0];
+        output[i + 1] = p[1];
+        output[i + 2] = p[2];
+      }
+    },
+  },
+  {
+    name: "transformVectorf() per vertex",
+    setup: function () {
+      this.matrix = mat4f(model);
+      this.vector = new Float32Array(4);
+      this.result = new Float32Array(4);
+    },
+    run: function () {
+      var v = this.vector;
+      for (var i = 0; i < positions.length; i += 3) {
+        v[0] = positions[i];
+        v[1] = positions[i + 1];
+        v[2] = positions[i + 2];
+        v[3] = 1.0;
+        transformVectorf(this.result, this.matrix, v);
+        output[i] = this.result[0];
+        output[i + 1] = this.result[1];
+        output[i + 2] = this.result[2];
+      }
+    },
+  },
+  {
+    name: "transformPoints() with a mat4()",
+    run: function () {
+      transformPoints(model, positions, 3, 0, output);
+    },
+  },
+  {
+    name: "transformPoints() with a mat4f()",
+    setup: function () {
+      this.matrix = mat4f(model);
+    },
+    run: function () {
+      transformPoints(this.matrix, positions, 3, 0, output);
+    },
+  },
+  {
+    name: "transformDirections()",
+    run: function () {
+      transformDirections(model, positions, 3, 0, output);
+    },
+  },
+  {
+    name: "transformNormals()",
+    run: function () {
+      transformNormals(model, positions, 3, 0, output);
+    },
+  },
+];
+
+window.onload = function init() {
+  model = linearMultiply(
+    translateMatrix(1, 2, 3),
+    linearMultiply(rotateMatrix(30, [1, 1, 0]), scalingMatrix(2, 1, 0.5))
+  );
+
+  document.getElementById("runButton").onclick = function () {
+    var count = parseInt(document.getElementById("vertexCount").value);
+    runBenchmarks(count, this);
+  };
+};
+
+/**
+ * Fills the positions array with random points, then runs each benchmark in
+ * turn and shows the results in the table.
+ * @param {number} count - The number of vertices to transform.
+ * @param {HTMLButtonElement} button - The run button, disabled while the benchmarks run.
+ */
+function runBenchmarks(count, button) {
+  positions = new Float32Array(count * 3);
+  output = new Float32Array(count * 3);
+
+  for (var i = 0; i < positions.length; ++i) {
+    positions[i] = Math.random() * 20.0 - 10.0;
+  }
+
+  var table = document.getElementById("results");
+  table.innerHTML = "<tr><th>Method</th><th>ms per pass</th><th>Vertices per ms</th><th>Speedup over linearMultiply()</th></tr>";
+  button.disabled = true;
+
+  var baseline;
+  var index = 0;
+
+  // Each benchmark runs in its own task so the page can draw the rows as they finish.
+  var next = function () {
+    if (index == benchmarks.length) {
+      button.disabled = false;
+      return;
+    }
+
+    var benchmark = benchmarks[index++];
+    var time = timeBenchmark(benchmark);
+
+    if (baseline === undefined) {
+      baseline = time;
+    }
+
+    var row = table.insertRow();
+    row.insertCell().textContent = benchmark.name;
+    row.insertCell().textContent = time.toFixed(3);
+    row.insertCell().textContent = Math.round(count / time).toLocaleString();
+    row.insertCell().textContent = (baseline / time).toFixed(1) + "x";
+
+    setTimeout(next, 0);
+  };
+
+  setTimeout(next, 0);
+}
+
+/**
+ * Runs a benchmark until at least minimumBenchmarkTime has passed and at least
+ * five passes have been made.
+ * @param {Object} benchmark - The benchmark, with a run() method and an optional setup() method.
+ * @returns {number} The median time of one pass, in milliseconds.
+ */
+function timeBenchmark(benchmark) {
+  if (benchmark.setup) {
+    benchmark.setup();
+  }
+
+  // One untimed pass, so the timed passes run already-compiled code.
+  benchmark.run();
+
+  var times = [];
+  var start = performance.now();
+
+  while (times.length < 5 || performance.now() - start < minimumBenchmarkTime) {
+    var passStart = performance.now();
+    benchmark.run();
+    times.push(performance.now() - passStart);
+  }
+
+  times.sort(function (a, b) {
+    return a - b;
+  });
+
+  return times[Math.floor(times.length / 2)];
+}